@@ -1,4 +1,6 @@
 // helpers/content-library.js
+import { ImageBlock, TextBlock, PersonalizationBlock, SocialBlock } from './content-blocks.js';
+
 export class ContentLibrary {
   constructor(mcServer) {
     this.server = mcServer;
@@ -3,6 +3,7 @@ export class EmailBuilder {
   constructor(mcServer) {
     this.server = mcServer;
     this.sections = [];
+    this.requestContext = {}; // e.g. { profile } forwarded to the REST call
     this.metadata = {
       name: '',
       subject: '',
@@ -33,6 +34,14 @@ export class EmailBuilder {
 
   // Build and save the email
   async build() {
+    return await this.server.handleRestRequest({
+      ...this.requestContext,
+      ...this.buildRequest()
+    });
+  }
+
+  // Asset API request that build() sends
+  buildRequest() {
     const htmlContent = this.generateHTML();
     
     const emailData = {
@@ -55,11 +64,11 @@ export class EmailBuilder {
       }
     };
 
-    return await this.server.handleRestRequest({
+    return {
       method: 'POST',
       path: '/asset/v1/content/assets',
       body: emailData
-    });
+    };
   }
 
   generateHTML() {
@@ -73,9 +82,9 @@ export class EmailBuilder {
     return html;
   }
 
-  generateKey(name) {
+  generateKey(name, suffix = Date.now()) {
     return name.toLowerCase()
       .replace(/[^a-z0-9]/g, '_')
-      .substring(0, 36) + '_' + Date.now();
+      .substring(0, 36) + '_' + suffix;
   }
 }
\ No newline at end of file
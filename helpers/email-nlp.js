@@ -1,4 +1,8 @@
 // helpers/email-nlp.js
+import { ContentLibrary } from './content-library.js';
+import { Section, TwoColumnSection } from './email-sections.js';
+import { TextBlock, ImageBlock, EmptyBlock } from './content-blocks.js';
+
 export class EmailNLPBuilder {
   constructor(emailBuilder) {
     this.builder = emailBuilder;
@@ -1,4 +1,6 @@
 // helpers/email-sections.js
+import { EmptyBlock } from './content-blocks.js';
+
 export class Section {
   constructor(options = {}) {
     this.type = options.type || 'standard';
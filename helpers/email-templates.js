@@ -1,4 +1,8 @@
 // helpers/email-templates.js
+import { EmailBuilder } from './email-builder.js';
+import { Section, TwoColumnSection, ThreeColumnSection } from './email-sections.js';
+import { TextBlock, ImageBlock, ButtonBlock, PersonalizationBlock, EditorialBlock } from './content-blocks.js';
+
 export class EmailTemplates {
   static getWelcomeTemplate(firstName = 'Friend', productName = 'Our Service') {
     const builder = new EmailBuilder();
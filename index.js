@@ -6,9 +6,10 @@ import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprot
 import axios from 'axios';
 import { parseString } from 'xml2js';
 import { promisify } from 'util';
-import { readFileSync } from 'fs';
+import { readFileSync, realpathSync } from 'fs';
+import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, extname, join } from 'path';
 
 // Import email builder helpers (these files need to be created in /helpers directory)
 import { EmailBuilder } from './helpers/email-builder.js';
@@ -20,13 +21,82 @@ import {
   PersonalizationBlock, 
   EditorialBlock, 
   DividerBlock, 
+  SocialBlock,
   EmptyBlock 
 } from './helpers/content-blocks.js';
 import { EmailTemplates } from './helpers/email-templates.js';
 import { EmailNLPBuilder } from './helpers/email-nlp.js';
 import { ContentLibrary } from './helpers/content-library.js';
+import { ProfileManager } from './utils/profiles.js';
+import { RequestExecutor } from './utils/request-executor.js';
+import { RestPaginator } from './utils/paginator.js';
+import { ResponseShaper } from './utils/response-shaper.js';
+import { RequestPolicy } from './utils/policy.js';
+import { AuditLog } from './utils/audit-log.js';
+import { logger } from './utils/logger.js';
+import { SoapFilterBuilder } from './utils/soap-filter.js';
+import { escapeXml, XmlSerializer } from './utils/xml.js';
+import { SoapResponse } from './utils/soap-response.js';
+import { SoapSchema } from './utils/soap-schema.js';
+import { OperationRouter, OPERATIONS } from './utils/operations.js';
+import { DataExtensionRows } from './utils/de-rows.js';
+import { RowWriter, ROW_FILE_FORMATS } from './utils/row-writer.js';
+import { DataExtensionSchema, DATA_EXTENSION_PROPERTIES, SAFE, DESTRUCTIVE } from './utils/de-schema.js';
+import { DataExtensionValidator } from './utils/de-validator.js';
+import { SqlLinter } from './utils/sql-lint.js';
+import { JourneyComposer, ENTRY_MODES } from './utils/journey-composer.js';
+import { JourneyValidator } from './utils/journey-validator.js';
+import { JourneyDiff } from './utils/journey-diff.js';
 
 const parseXml = promisify(parseString);
+const DEFAULT_MAX_RETRIEVE_RESULTS = 25000;
+// Objects per Create/Update/Delete call
+const MAX_SOAP_BATCH_SIZE = 2500;
+const BATCH_SOAP_ACTIONS = ['Create', 'Update', 'Delete'];
+const VALIDATED_SOAP_ACTIONS = ['Retrieve', 'Create', 'Update', 'Delete'];
+// Built-in ExtractDefinition IDs
+const EXTRACT_DEFINITIONS = {
+  dataExtension: 'bb94a04d-9632-4623-be47-daabc3f588a6',
+  tracking: 'c7219016-a7f0-4c72-8657-1ec12c28a0db',
+};
+// Row loads above this size go through the async data extension API
+const DE_ROWS_SOAP_LIMIT = 1000;
+const DE_ROWS_ASYNC_CHUNK_SIZE = 5000;
+const DE_ROWS_MAX_ERRORS = 100;
+// Largest $pageSize the rowset API accepts
+const DE_EXPORT_PAGE_SIZE = 2500;
+const DE_EXPORT_SAMPLE_SIZE = 5;
+const QUERY_UPDATE_TYPES = ['Overwrite', 'Update', 'Append'];
+const QUERY_FINAL_STATUSES = ['Complete', 'Error', 'Canceled'];
+const JOURNEY_ACTIONS = ['status', 'versions', 'compare', 'publish', 'stop', 'pause', 'resume', 'clone'];
+// A new version is created from these; ids, dates, status and stats are assigned by Journey Builder
+const JOURNEY_CLONE_PROPERTIES = [
+  'key', 'name', 'description', 'workflowApiVersion', 'entryMode', 'definitionType', 'channel', 'categoryId',
+  'metaData', 'defaults', 'triggers', 'activities', 'goals', 'exits', 'notifiers',
+];
+const JOURNEY_PUBLISH_PENDING = /InProcess|Pending|Queued/i;
+
+// inputSchema properties shared by the tools that call the API
+const CONTEXT_SCHEMA_PROPERTIES = {
+  businessUnitId: {
+    type: 'string',
+    description: 'Business Unit ID (MID) for scoped operations',
+  },
+  profile: {
+    type: 'string',
+    description: 'Credential profile to use (defaults to the configured default profile)',
+  },
+  retry: {
+    type: 'object',
+    description: 'Retry overrides: { maxRetries, allowNonIdempotent }',
+  },
+};
+const CONFIRMATION_SCHEMA_PROPERTIES = {
+  confirmationToken: {
+    type: 'string',
+    description: 'Token returned by a previous call that required confirmation; repeat the same arguments with it to execute',
+  },
+};
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
@@ -40,9 +110,9 @@ docFiles.forEach(file => {
     const content = JSON.parse(readFileSync(filePath, 'utf8'));
     const key = file.replace('.json', '').replace(/-/g, '_');
     documentation[key] = content;
-    console.error(`✓ Loaded ${file}`);
+    logger.info(`✓ Loaded ${file}`);
   } catch (error) {
-    console.error(`✗ Could not load ${file}:`, error.message);
+    logger.warn(`✗ Could not load ${file}:`, error.message);
   }
 });
 
@@ -54,7 +124,7 @@ class MarketingCloudServer {
       'list_emails', 'create_email', 'update_email',
       'list_journeys', 'create_journey', 'publish_journey',
       'get_contacts', 'create_contact',
-      'list_data_extensions'
+      'list_data_extensions', 'get_data_extension_rows'
     ];
     
     // Operations better suited for SOAP
@@ -66,22 +136,22 @@ class MarketingCloudServer {
     
     // Check data size for intelligent routing
     if (operation.includes('data') && params.rowCount > 1000) {
-      console.error(`Routing to SOAP for bulk operation (${params.rowCount} rows)`);
+      logger.debug(`Routing to SOAP for bulk operation (${params.rowCount} rows)`);
       return 'SOAP';
     }
     
     if (restPreferred.includes(operation)) {
-      console.error(`Routing to REST for ${operation} (optimal performance)`);
+      logger.debug(`Routing to REST for ${operation} (optimal performance)`);
       return 'REST';
     }
     
     if (soapPreferred.includes(operation)) {
-      console.error(`Routing to SOAP for ${operation} (better for this operation)`);
+      logger.debug(`Routing to SOAP for ${operation} (better for this operation)`);
       return 'SOAP';
     }
     
     // Default to REST
-    console.error(`Defaulting to REST for ${operation}`);
+    logger.debug(`Defaulting to REST for ${operation}`);
     return 'REST';
   }
   
@@ -98,7 +168,16 @@ class MarketingCloudServer {
       }
     );
 
-    this.tokens = new Map(); // Cache tokens by BU
+    this.profiles = new ProfileManager();
+    this.policy = new RequestPolicy();
+    this.auditLog = new AuditLog(process.env.MCE_AUDIT_LOG || join(__dirname, 'mce-audit.jsonl'));
+    this.tokens = new Map(); // Cache tokens by profile and BU
+    this.pendingTokens = new Map(); // In-flight token requests by profile and BU
+    this.requestExecutor = new RequestExecutor();
+    this.objectSchemas = new Map(); // Describe results by profile, BU and object type
+    this.describeCacheTtlMs = Number(process.env.MCE_DESCRIBE_CACHE_TTL_SECONDS || 3600) * 1000;
+    this.operations = new OperationRouter(this);
+    this.exportDir = process.env.MCE_EXPORT_DIR || join(__dirname, 'exports');
     this.setupHandlers();
   }
 
@@ -145,9 +224,40 @@ class MarketingCloudServer {
                 type: ['object', 'string'],
                 description: 'Request body',
               },
-              businessUnitId: {
-                type: 'string',
-                description: 'Business Unit ID (MID) for scoped token',
+              ...CONTEXT_SCHEMA_PROPERTIES,
+              retry: {
+                type: 'object',
+                description: 'Retry overrides: { maxRetries, allowNonIdempotent }. Throttled requests are always retried; other failures only for idempotent methods unless allowNonIdempotent is true',
+              },
+              paginate: {
+                type: 'boolean',
+                description: 'GET only: follow all pages ($page/$pageSize, page/pageSize or links.next) and return a merged items array',
+              },
+              maxPages: {
+                type: 'number',
+                description: 'Maximum pages to fetch when paginating (default 50)',
+              },
+              maxTotalItems: {
+                type: 'number',
+                description: 'Maximum items to collect across all pages when paginating (default 10000)',
+              },
+              select: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Field paths to keep in the result, e.g. ["count", "items[*].name", "items[*].customerKey"]. Use [*] or implicit traversal for arrays',
+              },
+              maxItems: {
+                type: 'number',
+                description: 'Keep at most this many entries of any array in the result',
+              },
+              maxChars: {
+                type: 'number',
+                description: 'Truncate the serialized result to this many characters',
+              },
+              ...CONFIRMATION_SCHEMA_PROPERTIES,
+              dryRun: {
+                type: 'boolean',
+                description: 'Resolve everything and return the URL, headers (token redacted) and body without sending the request',
               },
             },
             required: ['method', 'path'],
@@ -161,7 +271,7 @@ class MarketingCloudServer {
             properties: {
               action: {
                 type: 'string',
-                enum: ['Create', 'Retrieve', 'Update', 'Delete', 'Perform', 'Configure'],
+                enum: ['Create', 'Retrieve', 'Update', 'Delete', 'Describe', 'Perform', 'Configure', 'Schedule', 'Extract'],
                 description: 'SOAP action to perform',
               },
               objectType: {
@@ -175,19 +285,84 @@ class MarketingCloudServer {
               },
               filter: {
                 type: 'object',
-                description: 'Filter criteria for Retrieve',
+                description: 'Filter criteria for Retrieve: { property, operator, value } or nested { and: [...] } / { or: [...] }. ' +
+                  'Use values: [...] with IN/between; dateValue or type: "date" forces DateValue (auto for *Date properties with ISO dates)',
               },
               objects: {
                 type: 'array',
-                description: 'Objects to create/update',
+                description: 'Objects to create/update/delete. Nested objects and arrays are serialized to XML; use "@xsi:type" keys for type hints. For DataExtensionObject[Key], flat rows become Properties (Keys for Delete)',
+              },
+              fetchAll: {
+                type: 'boolean',
+                description: 'Retrieve only: follow MoreDataAvailable with ContinueRequest and merge all Results',
+              },
+              maxResults: {
+                type: 'number',
+                description: 'Retrieve only: stop fetchAll after this many results (default 25000)',
+              },
+              continueRequest: {
+                type: 'string',
+                description: 'Retrieve only: RequestID of a previous MoreDataAvailable response to fetch the next batch',
+              },
+              queryAllAccounts: {
+                type: 'boolean',
+                description: 'Retrieve only: query across all business units of the enterprise',
+              },
+              clientIds: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Retrieve only: MIDs of the business units to query (ClientIDs)',
               },
               options: {
                 type: 'object',
-                description: 'SOAP options',
+                description: 'Options element of the request, e.g. { "SaveOptions": [{ "PropertyName": "*", "SaveAction": "UpdateAdd" }] } for Create/Update',
               },
-              businessUnitId: {
+              requestAction: {
                 type: 'string',
-                description: 'Business Unit ID (MID) for scoped operations',
+                description: 'Perform/Configure/Schedule: the request\'s Action element, e.g. "start" (default for Perform and Schedule), "stop", or "create"/"update"/"delete" for Configure',
+              },
+              schedule: {
+                type: 'object',
+                description: 'Schedule only: ScheduleDefinition, e.g. { "RecurrenceType": "Daily", "Recurrence": { "@xsi:type": "DailyRecurrence", "DailyRecurrencePatternType": "Interval", "DayInterval": 1 }, "RecurrenceRangeType": "EndAfter", "Occurrences": 5, "StartDateTime": "2026-01-01T06:00:00" }',
+              },
+              extract: {
+                type: 'object',
+                description: 'Extract only: { definition: "dataExtension" | "tracking" | ExtractDefinition ID, parameters: { OutputFileName, DECustomerKey, StartDate, EndDate, ... } }. objectType is informational (e.g. "ExtractRequest"). Files are written to the Safehouse',
+              },
+              upsert: {
+                type: 'boolean',
+                description: 'Create/Update only: add SaveOptions with SaveAction=UpdateAdd for all properties so existing objects are updated',
+              },
+              batchSize: {
+                type: 'number',
+                description: `Create/Update/Delete only: objects per SOAP call when sending several objects (max ${MAX_SOAP_BATCH_SIZE})`,
+              },
+              ...CONTEXT_SCHEMA_PROPERTIES,
+              retry: {
+                type: 'object',
+                description: 'Retry overrides: { maxRetries, allowNonIdempotent }. Throttled requests are always retried; other failures only for idempotent actions unless allowNonIdempotent is true',
+              },
+              select: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Field paths to keep in the result, e.g. ["overallStatus", "errors", "results[*].Name"]. Use [*] or implicit traversal for arrays',
+              },
+              maxItems: {
+                type: 'number',
+                description: 'Keep at most this many entries of any array in the result',
+              },
+              maxChars: {
+                type: 'number',
+                description: 'Truncate the serialized result to this many characters',
+              },
+              ...CONFIRMATION_SCHEMA_PROPERTIES,
+              validate: {
+                type: 'boolean',
+                description: 'Check properties, filter properties and object fields against the object\'s metadata, and DataExtension definitions against the field rules, before sending (default true)',
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Build the SOAP envelope (token redacted) and return it without sending the request',
               },
             },
             required: ['action', 'objectType'],
@@ -282,340 +457,2743 @@ class MarketingCloudServer {
               promoCode: {
                 type: 'string',
                 description: 'Promo code for promotional template'
-              }
+              },
+              customerKey: {
+                type: 'string',
+                description: 'Asset customer key (default: generated from the name)'
+              },
+              profile: {
+                type: 'string',
+                description: 'Credential profile to use (defaults to the configured default profile)'
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Generate the HTML and the asset request without creating the email'
+              },
+              ...CONFIRMATION_SCHEMA_PROPERTIES
             },
             required: ['name', 'subject']
           }
-        }
-      ],
-    }));
-
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        switch (name) {
-          case 'mce_v1_health':
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: `ok=true echo=${args.ping || 'pong'}`,
-                },
-              ],
-            };
-
-          case 'mce_v1_rest_request':
-            return await this.handleRestRequest(args);
-
-          case 'mce_v1_soap_request':
-            return await this.handleSoapRequest(args);
-
-          case 'mce_v1_documentation':
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: this.getDocumentation(),
-                },
-              ],
-            };
-
-          case 'mce_v1_build_email':
-            return await this.handleEmailBuild(args);
-
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        console.error(`Error in ${name}:`, error);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: ${error.message}`,
+        },
+        {
+          name: 'mce_v1_operation',
+          description: 'Run a named operation on whichever API suits it (REST or SOAP), falling back to the other on failure. ' +
+            'Reports the route taken and timings. Operations: ' +
+            OperationRouter.describe().map(op => `${op.name} (${op.description})`).join('; '),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              operation: {
+                type: 'string',
+                enum: Object.keys(OPERATIONS),
+                description: 'Operation to run',
+              },
+              params: {
+                type: 'object',
+                description: 'Operation parameters, see the operation list in the tool description',
+              },
+              api: {
+                type: 'string',
+                enum: ['REST', 'SOAP'],
+                description: 'Try this API first instead of the MCE_API_PREFERENCE / automatic choice',
+              },
+              fallback: {
+                type: 'boolean',
+                description: 'Retry on the other API when the first one fails (default true)',
+              },
+              ...CONTEXT_SCHEMA_PROPERTIES,
+              select: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Field paths to keep in the result, e.g. ["route", "result.items[*].name"]',
+              },
+              maxItems: {
+                type: 'number',
+                description: 'Keep at most this many entries of any array in the result',
+              },
+              maxChars: {
+                type: 'number',
+                description: 'Truncate the serialized result to this many characters',
+              },
+              ...CONFIRMATION_SCHEMA_PROPERTIES,
             },
-          ],
-        };
-      }
-    });
-  }
+            required: ['operation'],
+          },
+        },
+        {
+          name: 'mce_v1_describe',
+          description: 'List the properties of a SOAP object type (retrievable, updatable, required, data type). DataExtensionObject[Key] lists the columns of that data extension',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              objectType: {
+                type: 'string',
+                description: 'SOAP object type, e.g. Subscriber, DataExtension or DataExtensionObject[MyDEKey]',
+              },
+              ...CONTEXT_SCHEMA_PROPERTIES,
+              refresh: {
+                type: 'boolean',
+                description: 'Ignore the cached definition and describe the object again',
+              },
+              select: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Field paths to keep in the result, e.g. ["properties[*].name"]',
+              },
+              maxItems: {
+                type: 'number',
+                description: 'Keep at most this many entries of any array in the result',
+              },
+              maxChars: {
+                type: 'number',
+                description: 'Truncate the serialized result to this many characters',
+              },
+            },
+            required: ['objectType'],
+          },
+        },
+        {
+          name: 'mce_v1_de_rows',
+          description: 'Upsert or insert rows into a data extension by external key, from an inline array or a local CSV/NDJSON/JSON file. ' +
+            'Rows are checked against the data extension fields and primary keys first; invalid rows are reported and not sent. ' +
+            `Up to ${DE_ROWS_SOAP_LIMIT} rows go through SOAP with per-row results, larger loads through the async rows API with status polling`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataExtensionKey: {
+                type: 'string',
+                description: 'External key (CustomerKey) of the data extension',
+              },
+              rows: {
+                type: 'array',
+                items: { type: 'object' },
+                description: 'Rows as objects keyed by column name',
+              },
+              file: {
+                type: 'string',
+                description: 'Local file with the rows: .csv (header row required), .ndjson/.jsonl (one object per line) or .json (array)',
+              },
+              format: {
+                type: 'string',
+                enum: ['csv', 'ndjson', 'jsonl', 'json'],
+                description: 'File format when the extension does not tell',
+              },
+              mode: {
+                type: 'string',
+                enum: ['upsert', 'insert'],
+                description: 'upsert (default) updates rows with an existing primary key, insert fails on them',
+              },
+              async: {
+                type: 'boolean',
+                description: `Force the async rows API (true) or SOAP (false). By default loads over ${DE_ROWS_SOAP_LIMIT} rows use the async API`,
+              },
+              chunkSize: {
+                type: 'number',
+                description: `Rows per request (default ${MAX_SOAP_BATCH_SIZE} for SOAP, ${DE_ROWS_ASYNC_CHUNK_SIZE} for the async API)`,
+              },
+              pollIntervalMs: {
+                type: 'number',
+                description: 'Delay between async status checks (default 2000)',
+              },
+              pollTimeoutSeconds: {
+                type: 'number',
+                description: 'Stop waiting for async requests after this long (default 300); their request IDs are still returned',
+              },
+              maxErrors: {
+                type: 'number',
+                description: `Row errors to report (default ${DE_ROWS_MAX_ERRORS})`,
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Load and validate the rows without sending them',
+              },
+              ...CONTEXT_SCHEMA_PROPERTIES,
+              ...CONFIRMATION_SCHEMA_PROPERTIES,
+            },
+            required: ['dataExtensionKey'],
+          },
+        },
+        {
+          name: 'mce_v1_de_export',
+          description: 'Export all rows of a data extension to a local CSV or NDJSON file, page by page. ' +
+            'Returns only the file path, row count and a small sample, so large exports stay out of the conversation',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataExtensionKey: {
+                type: 'string',
+                description: 'External key (CustomerKey) of the data extension',
+              },
+              file: {
+                type: 'string',
+                description: 'Output path (default: <MCE_EXPORT_DIR>/<key>-<timestamp>.<format>)',
+              },
+              overwrite: {
+                type: 'boolean',
+                description: 'Replace the file if it already exists (default false: the export fails instead)',
+              },
+              format: {
+                type: 'string',
+                enum: ROW_FILE_FORMATS,
+                description: 'File format (default from the file extension, otherwise csv)',
+              },
+              filter: {
+                type: 'string',
+                description: 'Rowset $filter expression, e.g. "Status eq \'Active\'"',
+              },
+              orderBy: {
+                type: 'string',
+                description: 'Rowset $orderBy expression, e.g. "CreatedDate DESC"',
+              },
+              fields: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Columns to export, in this order (default: all columns of the data extension)',
+              },
+              maxRows: {
+                type: 'number',
+                description: 'Stop after this many rows',
+              },
+              pageSize: {
+                type: 'number',
+                description: `Rows per request (default and maximum ${DE_EXPORT_PAGE_SIZE})`,
+              },
+              ...CONTEXT_SCHEMA_PROPERTIES,
+            },
+            required: ['dataExtensionKey'],
+          },
+        },
+        {
+          name: 'mce_v1_de_schema',
+          description: 'Keep data extensions in sync with JSON schema files (fields, types, lengths, keys, sendable relationship, folder, retention). ' +
+            'diff compares a schema with the live data extension, apply makes the changes (creating it if missing), pull writes the live definition to a schema file. ' +
+            'Additive changes are applied; destructive ones need allowDestructive and unsupported ones (type or primary key changes) are refused',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              action: {
+                type: 'string',
+                enum: ['diff', 'apply', 'pull'],
+                description: 'What to do (default diff)',
+              },
+              file: {
+                type: 'string',
+                description: 'Schema file to compare/apply, or to write for pull (see de-schema.example.json)',
+              },
+              definition: {
+                type: 'object',
+                description: 'Inline schema instead of file: { customerKey, name, description, categoryId, isSendable, sendableDataExtensionField, sendableSubscriberField, retention, fields: [{ name, fieldType, maxLength, scale, isPrimaryKey, isRequired, defaultValue }] }',
+              },
+              dataExtensionKey: {
+                type: 'string',
+                description: 'External key of the live data extension (default: the schema customerKey; required for pull)',
+              },
+              allowDestructive: {
+                type: 'boolean',
+                description: 'Also apply destructive changes: removing fields, shortening fields, making fields required, changing retention',
+              },
+              ...CONTEXT_SCHEMA_PROPERTIES,
+              ...CONFIRMATION_SCHEMA_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'mce_v1_validate_de',
+          description: 'Check a data extension definition against Marketing Cloud rules without calling the API: field types, lengths, Decimal precision/scale, ' +
+            'primary keys, duplicate names, reserved system field names such as _CustomObjectKey and other names starting with "_", default values, ' +
+            'the sendable field and retention. Returns every problem at once',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              definition: {
+                type: 'object',
+                description: 'Definition as used for DataExtension Create: { name, customerKey, categoryId, isSendable, sendableDataExtensionField, sendableSubscriberField, retention, fields: [{ name, fieldType, maxLength, scale, isPrimaryKey, isRequired, isNullable, defaultValue }] }',
+              },
+              file: {
+                type: 'string',
+                description: 'Schema file with the definition, instead of definition',
+              },
+            },
+          },
+        },
+        {
+          name: 'mce_v1_query_activity',
+          description: 'Manage Automation Studio SQL Query Activities (QueryDefinition). lint checks the SQL locally for constructs Marketing Cloud rejects ' +
+            '(variables, temp tables, ORDER BY without TOP, unknown data views, non-SELECT statements); create and update lint before deploying; ' +
+            'run starts the query, waits for it to finish and reports the status, error and target row count',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              action: {
+                type: 'string',
+                enum: ['lint', 'create', 'update', 'run'],
+                description: 'What to do (default lint)',
+              },
+              customerKey: {
+                type: 'string',
+                description: 'External key of the query activity (required for update and run; defaults to name on create)',
+              },
+              name: {
+                type: 'string',
+                description: 'Query activity name (required for create)',
+              },
+              description: {
+                type: 'string',
+                description: 'Query activity description',
+              },
+              queryText: {
+                type: 'string',
+                description: 'The SQL',
+              },
+              file: {
+                type: 'string',
+                description: 'Local .sql file with the query, instead of queryText',
+              },
+              targetDataExtensionKey: {
+                type: 'string',
+                description: 'External key of the data extension the results are written to (required for create)',
+              },
+              targetUpdateType: {
+                type: 'string',
+                enum: QUERY_UPDATE_TYPES,
+                description: 'Overwrite replaces all rows, Update upserts by primary key, Append adds rows (default Overwrite on create)',
+              },
+              categoryId: {
+                type: 'number',
+                description: 'Folder ID for the query activity',
+              },
+              force: {
+                type: 'boolean',
+                description: 'Deploy even when the linter reports errors',
+              },
+              wait: {
+                type: 'boolean',
+                description: 'For run: wait until the query finishes (default true)',
+              },
+              pollIntervalMs: {
+                type: 'number',
+                description: 'Delay between status checks (default 5000)',
+              },
+              pollTimeoutSeconds: {
+                type: 'number',
+                description: 'Stop waiting after this long (default 1800, the Query Activity time limit)',
+              },
+              ...CONTEXT_SCHEMA_PROPERTIES,
+              ...CONFIRMATION_SCHEMA_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'mce_v1_build_journey',
+          description: 'Build a Journey Builder journey from a high-level description: entry (data extension with optional schedule and filter, or an existing API event), ' +
+            'then steps (email, wait, decision, engagement, randomSplit, exit). Activity keys (EMAIL-1, WAIT-1, ...) and outcomes are generated and wired; ' +
+            'steps after a split continue every path that does not exit. Creates the entry event definition and the journey (as a draft) unless dryRun is set',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Journey name',
+              },
+              key: {
+                type: 'string',
+                description: 'Journey key (generated when omitted)',
+              },
+              description: {
+                type: 'string',
+                description: 'Journey description',
+              },
+              entryMode: {
+                type: 'string',
+                enum: ENTRY_MODES,
+                description: 'Re-entry setting (default OnceAndDone for recurring schedules, otherwise SingleEntryAcrossAllVersions)',
+              },
+              entry: {
+                type: 'object',
+                description: '{ type: "dataExtension", dataExtensionKey, schedule: { start, end, occurrences, frequency: Once|Hourly|Daily|Weekly|Monthly|Yearly, interval, timeZone }, ' +
+                  'filter: { conditions: [{ field, operator, value }], logic } or FilterDefinition XML, newRecordsOnly } or { type: "event", eventDefinitionKey }',
+              },
+              steps: {
+                type: 'array',
+                description: 'Steps in order: { type: "email", id, emailId | assetId, name, subject, preheader }, { type: "wait", duration, unit: HOURS|DAYS|WEEKS|MONTHS, time, timeZone }, ' +
+                  '{ type: "decision", name, paths: [{ label, conditions: [{ field, operator, value }], logic, steps }], remainder: { label, steps } }, ' +
+                  '{ type: "engagement", name, email (id or name of an earlier email step, default the closest one), metric: open|click|bounce|unsubscribe, urls, yes: [steps], no: [steps] }, ' +
+                  '{ type: "randomSplit", name, paths: [{ percentage, label, steps }] }, { type: "exit" }',
+                items: {
+                  type: 'object',
+                },
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Return the generated journey and event definition without creating them',
+              },
+              ...CONTEXT_SCHEMA_PROPERTIES,
+              ...CONFIRMATION_SCHEMA_PROPERTIES,
+            },
+            required: ['name', 'entry', 'steps'],
+          },
+        },
+        {
+          name: 'mce_v1_validate_journey',
+          description: 'Check a journey definition offline before creating or publishing it: outcomes point to existing activities, no orphan, unreachable or looping activities, ' +
+            'exactly one entry event, valid waits and time zones, email activities with a triggeredSend configuration, decision and engagement split wiring, ' +
+            'entry data extension rules (Contact Model linkage for filters, no holdback and useHighWatermark for recurring entry) and entryMode consistency. ' +
+            'Returns errors and warnings with the activity key',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              journey: {
+                type: 'object',
+                description: 'Journey definition as sent to /interaction/v1/interactions (or returned by GET)',
+              },
+              eventDefinition: {
+                type: 'object',
+                description: 'Entry event definition, to check the schedule, filter and high watermark rules',
+              },
+              file: {
+                type: 'string',
+                description: 'JSON file with the journey, or with { journey, eventDefinition } as returned by mce_v1_build_journey, instead of journey',
+              },
+            },
+          },
+        },
+        {
+          name: 'mce_v1_journey',
+          description: 'Manage the journey lifecycle. status reports the version, status, population stats and recent audit entries; versions lists every version; ' +
+            'compare diffs two versions activity by activity; publish validates the version, calls publishAsync and waits for the outcome; ' +
+            'stop, pause and resume change a running version; clone copies a version into a new draft version (or a new journey with newKey)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              action: {
+                type: 'string',
+                enum: JOURNEY_ACTIONS,
+                description: 'What to do (default status)',
+              },
+              id: {
+                type: 'string',
+                description: 'Journey ID (or use key)',
+              },
+              key: {
+                type: 'string',
+                description: 'Journey key (or use id)',
+              },
+              versionNumber: {
+                type: 'number',
+                description: 'Version to act on (default the latest)',
+              },
+              fromVersion: {
+                type: 'number',
+                description: 'For compare: older version (default the one before toVersion)',
+              },
+              toVersion: {
+                type: 'number',
+                description: 'For compare: newer version (default the latest)',
+              },
+              allVersions: {
+                type: 'boolean',
+                description: 'For pause and resume: apply to every running version',
+              },
+              newKey: {
+                type: 'string',
+                description: 'For clone: create a separate journey with this key instead of a new version',
+              },
+              name: {
+                type: 'string',
+                description: 'For clone: name of the copy (default the source name, with " (copy)" for a new journey)',
+              },
+              force: {
+                type: 'boolean',
+                description: 'For publish: publish even when validation reports errors',
+              },
+              wait: {
+                type: 'boolean',
+                description: 'For publish: wait until publishing finishes (default true)',
+              },
+              pollIntervalMs: {
+                type: 'number',
+                description: 'Delay between publish status checks (default 5000)',
+              },
+              pollTimeoutSeconds: {
+                type: 'number',
+                description: 'Stop waiting for publish after this long (default 300)',
+              },
+              auditLimit: {
+                type: 'number',
+                description: 'For status: number of audit entries to include (default 10, 0 to skip)',
+              },
+              ...CONTEXT_SCHEMA_PROPERTIES,
+              ...CONFIRMATION_SCHEMA_PROPERTIES,
+            },
+          },
+        },
+        {
+          name: 'mce_v1_audit_query',
+          description: 'Search the audit log of mutating REST/SOAP calls and email builds, newest first',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              from: {
+                type: 'string',
+                description: 'ISO 8601 start of the time range',
+              },
+              to: {
+                type: 'string',
+                description: 'ISO 8601 end of the time range',
+              },
+              businessUnitId: {
+                type: 'string',
+                description: 'Only entries for this MID',
+              },
+              profile: {
+                type: 'string',
+                description: 'Only entries for this credential profile',
+              },
+              objectType: {
+                type: 'string',
+                description: 'SOAP object type or REST API family (e.g. DataExtension, asset, interaction)',
+              },
+              tool: {
+                type: 'string',
+                description: 'Only entries recorded by this tool',
+              },
+              operation: {
+                type: 'string',
+                description: 'HTTP method or SOAP action (e.g. DELETE, Create)',
+              },
+              target: {
+                type: 'string',
+                description: 'Substring of the path, object key or created ID',
+              },
+              limit: {
+                type: 'number',
+                description: 'Maximum entries to return (default 100)',
+              },
+            },
+          },
+        }
+      ],
+    }));
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+
+      try {
+        switch (name) {
+          case 'mce_v1_health':
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `ok=true echo=${args.ping || 'pong'}`,
+                },
+              ],
+            };
+
+          case 'mce_v1_rest_request':
+            return await this.handleRestRequest(args);
+
+          case 'mce_v1_soap_request':
+            return await this.handleSoapRequest(args);
+
+          case 'mce_v1_documentation':
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: this.getDocumentation(),
+                },
+              ],
+            };
+
+          case 'mce_v1_build_email':
+            return await this.handleEmailBuild(args);
+
+          case 'mce_v1_operation':
+            return await this.handleOperation(args);
+
+          case 'mce_v1_describe':
+            return await this.handleDescribe(args);
+
+          case 'mce_v1_de_rows':
+            return await this.handleDeRows(args);
+
+          case 'mce_v1_de_export':
+            return await this.handleDeExport(args);
+
+          case 'mce_v1_de_schema':
+            return await this.handleDeSchema(args);
+
+          case 'mce_v1_validate_de':
+            return await this.handleValidateDe(args);
+
+          case 'mce_v1_query_activity':
+            return await this.handleQueryActivity(args);
+
+          case 'mce_v1_build_journey':
+            return await this.handleBuildJourney(args);
+
+          case 'mce_v1_validate_journey':
+            return await this.handleValidateJourney(args);
+
+          case 'mce_v1_journey':
+            return await this.handleJourney(args);
+
+          case 'mce_v1_audit_query':
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(await this.auditLog.query(args || {}), null, 2),
+                },
+              ],
+            };
+
+          default:
+            throw new Error(`Unknown tool: ${name}`);
+        }
+      } catch (error) {
+        logger.error(`Error in ${name}:`, error);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+        };
+      }
+    });
+  }
+
+  async getAccessToken(businessUnitId, profileName) {
+    const profile = this.profiles.resolve(profileName);
+    const cacheKey = this.getTokenCacheKey(profile.name, businessUnitId);
+
+    // Check cache
+    const cached = this.tokens.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    // Collapse concurrent fetches for the same BU into one token request
+    if (this.pendingTokens.has(cacheKey)) {
+      return this.pendingTokens.get(cacheKey);
+    }
+
+    const pending = this.fetchAccessToken(profile, businessUnitId)
+      .then(tokenInfo => {
+        this.tokens.set(cacheKey, tokenInfo);
+        return tokenInfo;
+      })
+      .finally(() => {
+        this.pendingTokens.delete(cacheKey);
+      });
+
+    this.pendingTokens.set(cacheKey, pending);
+    return pending;
+  }
+
+  async fetchAccessToken(profile, businessUnitId) {
+    const { subdomain, clientId, clientSecret } = profile;
+
+    const tokenUrl = `https://${subdomain}.auth.marketingcloudapis.com/v2/token`;
+    const tokenData = {
+      grant_type: 'client_credentials',
+      client_id: clientId,
+      client_secret: clientSecret,
+    };
+
+    if (businessUnitId) {
+      tokenData.account_id = businessUnitId;
+    }
+
+    try {
+      const response = await axios.post(tokenUrl, tokenData, {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      return {
+        access_token: response.data.access_token,
+        rest_instance_url: response.data.rest_instance_url,
+        soap_instance_url: response.data.soap_instance_url,
+        expires_in: response.data.expires_in,
+        expiresAt: Date.now() + (response.data.expires_in - 60) * 1000,
+        profile: profile.name,
+      };
+    } catch (error) {
+      logger.error('Token acquisition failed:', error.response?.data || error.message);
+      throw new Error(`Failed to get access token: ${error.message}`);
+    }
+  }
+
+  invalidateToken(businessUnitId, accessToken, profileName) {
+    const cacheKey = this.getTokenCacheKey(this.profiles.resolve(profileName).name, businessUnitId);
+    const cached = this.tokens.get(cacheKey);
+
+    // Only drop the entry if it is still the token that failed; a parallel
+    // call may already have replaced it with a fresh one
+    if (cached && (!accessToken || cached.access_token === accessToken)) {
+      this.tokens.delete(cacheKey);
+    }
+  }
+
+  getTokenCacheKey(profileName, businessUnitId) {
+    return `${profileName}:${businessUnitId || 'default'}`;
+  }
+
+  isSoapAuthFault(response) {
+    if (response.status === 401) return true;
+    if (response.status === 200) return false;
+
+    const text = String(response.data || '');
+    return /<faultcode>[^<]*Security[^<]*<\/faultcode>|Login Failed|Token Expired|Invalid Token|Unauthorized/i.test(text);
+  }
+
+  async handleRestRequest(args) {
+    try {
+      if (args.dryRun) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(this.buildRestPreview(args), null, 2),
+            },
+          ],
+        };
+      }
+
+      const confirmation = this.checkPolicy({ api: 'REST', method: args.method, path: args.path }, args);
+      if (confirmation) return confirmation;
+
+      if (args.paginate) {
+        const paginator = new RestPaginator(pageArgs => this.executeRestRequest(pageArgs));
+        const result = await paginator.collect(args, {
+          maxPages: args.maxPages,
+          maxTotalItems: args.maxTotalItems,
+        });
+        logger.info(`Paginated ${args.path}: ${result.itemsReturned} items from ${result.pagesFetched} page(s)`);
+
+        // Selections apply to the merged result, so keep the paging metadata
+        const select = args.select && [...args.select, 'count', 'itemsReturned', 'pagesFetched', 'truncated', 'stoppedReason', 'retries', 'error'];
+        const shaped = ResponseShaper.shape(result, { select, maxItems: args.maxItems, maxChars: args.maxChars });
+
+        return this.withTruncationSummary({
+          content: [
+            {
+              type: 'text',
+              text: shaped.text,
+            },
+          ],
+        }, shaped.summary);
+      }
+
+      const { response, summary } = await this.executeRestRequest(args);
+      this.auditRequest('REST', args, { response });
+
+      logger.debug(`Response status: ${response.status}`);
+      
+      // Return the actual response data, projected and trimmed as requested
+      let shaped = { text: `HTTP ${response.status} (empty response)`, summary: null };
+      
+      if (response.data) {
+        shaped = ResponseShaper.shape(response.data, args);
+      }
+
+      logger.debug(`Response preview: ${shaped.text.substring(0, 500)}`);
+
+      return this.withRetrySummary(this.withTruncationSummary({
+        content: [
+          {
+            type: 'text',
+            text: shaped.text,
+          },
+        ],
+      }, shaped.summary), summary);
+    } catch (error) {
+      logger.error('REST request failed:', error);
+      this.auditRequest('REST', args, { error });
+      return this.withRetrySummary({
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`,
+          },
+        ],
+      }, error.retrySummary);
+    }
+  }
+
+  // Throws if the policy blocks the request. Returns a preview result with a
+  // confirmation token when the request needs confirming, otherwise null.
+  checkPolicy(request, args) {
+    const profile = this.profiles.resolve(args.profile);
+    const decision = this.policy.evaluate({ ...request, profile: profile.name });
+    if (!decision.requiresConfirmation) {
+      return null;
+    }
+
+    const { confirmationToken, ...requestArgs } = args;
+    if (this.policy.consumeConfirmation(confirmationToken, requestArgs)) {
+      logger.info(`Confirmed: ${decision.reason}`);
+      return null;
+    }
+
+    const token = this.policy.issueConfirmation(requestArgs);
+    const minutes = Math.round(this.policy.confirmationTtlMs / 60000);
+    const prefix = confirmationToken ? 'The confirmation token was invalid, expired or issued for different arguments. ' : '';
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${prefix}Confirmation required: ${decision.reason}. Nothing was sent.\n\n` +
+            `Preview:\n${JSON.stringify({ profile: profile.name, ...requestArgs }, null, 2)}\n\n` +
+            `To execute, repeat the call with the same arguments plus "confirmationToken": "${token}" ` +
+            `(single use, valid for ${minutes} minutes).`,
+        },
+      ],
+    };
+  }
+
+  // Token lookup, 401 refresh and retries around a single REST call
+  async executeRestRequest(args) {
+    const profile = this.profiles.resolve(args.profile);
+    const businessUnitId = args.businessUnitId || profile.defaultMid;
+    let tokenInfo = await this.getAccessToken(businessUnitId, profile.name);
+
+    return await this.requestExecutor.execute(async () => {
+      let response = await this.sendRestRequest(args, tokenInfo);
+
+      // Token revoked or expired early: re-acquire once and replay
+      if (response.status === 401) {
+        logger.warn('REST request unauthorized, refreshing token and retrying');
+        this.invalidateToken(businessUnitId, tokenInfo.access_token, profile.name);
+        tokenInfo = await this.getAccessToken(businessUnitId, profile.name);
+        response = await this.sendRestRequest(args, tokenInfo);
+      }
+      return response;
+    }, {
+      idempotent: RequestExecutor.isIdempotent('REST', args.method),
+      classify: RequestExecutor.classifyRestResponse,
+      retry: args.retry,
+    });
+  }
+
+  async sendRestRequest(args, tokenInfo) {
+    const request = this.buildRestRequest(args, tokenInfo);
+    logger.debug(`Making ${request.method} request to: ${request.url}`);
+
+    // Make request
+    return await axios({
+      ...request,
+      validateStatus: () => true, // Don't throw on any status
+    });
+  }
+
+  buildRestRequest(args, tokenInfo) {
+    // Build URL
+    const baseUrl = tokenInfo.rest_instance_url;
+    let url = `${baseUrl}${args.path}`;
+    
+    // Add query parameters
+    if (args.query) {
+      const params = new URLSearchParams();
+      Object.entries(args.query).forEach(([key, value]) => {
+        if (typeof value === 'object') {
+          params.append(key, JSON.stringify(value));
+        } else {
+          params.append(key, value);
+        }
+      });
+      const queryString = params.toString();
+      if (queryString) {
+        url += `?${queryString}`;
+      }
+    }
+
+    // Build headers
+    const headers = {
+      'Authorization': `Bearer ${tokenInfo.access_token}`,
+      'Content-Type': 'application/json',
+      ...args.headers,
+    };
+
+    return {
+      method: args.method,
+      url: url,
+      headers: headers,
+      data: args.body,
+    };
+  }
+
+  async handleSoapRequest(args) {
+    try {
+      logger.debug('SOAP request args:', args);
+
+      this.validateDataExtensionDefinitions(args);
+
+      if (args.dryRun) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(this.buildSoapPreview(args), null, 2),
+            },
+          ],
+        };
+      }
+
+      const confirmation = this.checkPolicy({ api: 'SOAP', action: args.action, objectType: args.objectType }, args);
+      if (confirmation) return confirmation;
+
+      await this.validateSoapRequest(args);
+
+      if (args.action === 'Retrieve' && args.fetchAll) {
+        return await this.handleSoapRetrieveAll(args);
+      }
+
+      if (BATCH_SOAP_ACTIONS.includes(args.action) && args.objects && args.objects.length > 1) {
+        return await this.handleSoapBatch(args);
+      }
+
+      const { response, summary } = await this.executeSoapRequest(args);
+
+      this.auditRequest('SOAP', args, { response });
+
+      return this.withRetrySummary(await this.formatSoapResponse(response, args), summary);
+    } catch (error) {
+      this.auditRequest('SOAP', args, { error });
+
+      logger.error('SOAP request failed:', error);
+      
+      return this.withRetrySummary({
+        content: [
+          {
+            type: 'text',
+            text: `SOAP Error: ${error.message}`,
+          },
+        ],
+      }, error.retrySummary);
+    }
+  }
+
+  // Token lookup, auth-fault refresh and retries around a single SOAP call
+  async executeSoapRequest(args) {
+    const profile = this.profiles.resolve(args.profile);
+    const businessUnitId = args.businessUnitId || profile.defaultMid;
+    let tokenInfo = await this.getAccessToken(businessUnitId, profile.name);
+    logger.debug('Token acquired successfully');
+
+    return await this.requestExecutor.execute(async () => {
+      let response = await this.sendSoapRequest(args, tokenInfo);
+
+      // Security fault from an early-expired token: re-acquire once and replay
+      if (this.isSoapAuthFault(response)) {
+        logger.warn('SOAP request failed authentication, refreshing token and retrying');
+        this.invalidateToken(businessUnitId, tokenInfo.access_token, profile.name);
+        tokenInfo = await this.getAccessToken(businessUnitId, profile.name);
+        response = await this.sendSoapRequest(args, tokenInfo);
+      }
+      return response;
+    }, {
+      idempotent: RequestExecutor.isIdempotent('SOAP', args.action),
+      classify: RequestExecutor.classifySoapResponse,
+      retry: args.retry,
+    });
+  }
+
+  async handleOperation(args) {
+    try {
+      const result = await this.operations.run(args);
+      if (result.confirmation) {
+        return result.confirmation;
+      }
+
+      const shaped = ResponseShaper.shape(result, args);
+      return this.withTruncationSummary({
+        content: [
+          {
+            type: 'text',
+            text: shaped.text,
+          },
+        ],
+      }, shaped.summary);
+    } catch (error) {
+      return this.toolError('Operation', 'Operation failed:', error);
+    }
+  }
+
+  async handleDescribe(args) {
+    try {
+      const { schema, cached, fetchedAt } = await this.describeObject(args);
+      const shaped = ResponseShaper.shape({ ...schema.toJSON(), cached, fetchedAt: new Date(fetchedAt).toISOString() }, args);
+      return this.withTruncationSummary({
+        content: [
+          {
+            type: 'text',
+            text: shaped.text,
+          },
+        ],
+      }, shaped.summary);
+    } catch (error) {
+      return this.toolError('Describe', 'Describe failed:', error);
+    }
+  }
+
+  // Cached per profile, BU and object type
+  async describeObject(args) {
+    const profile = this.profiles.resolve(args.profile);
+    const businessUnitId = args.businessUnitId || profile.defaultMid;
+    const cacheKey = `${this.getTokenCacheKey(profile.name, businessUnitId)}:${args.objectType}`;
+
+    const cached = this.objectSchemas.get(cacheKey);
+    if (cached && !args.refresh && Date.now() - cached.fetchedAt < this.describeCacheTtlMs) {
+      return { ...cached, cached: true };
+    }
+
+    const context = { profile: args.profile, businessUnitId: args.businessUnitId, retry: args.retry };
+    const match = /^DataExtensionObject\[(.+)\]$/.exec(args.objectType);
+    const schema = match
+      ? await this.describeDataExtension(args.objectType, match[1], context)
+      : await this.describeSoapObject(args.objectType, context);
+
+    const entry = { schema, fetchedAt: Date.now() };
+    this.objectSchemas.set(cacheKey, entry);
+    return { ...entry, cached: false };
+  }
+
+  async describeSoapObject(objectType, context) {
+    const { response } = await this.executeSoapRequest({ ...context, action: 'Describe', objectType });
+    const normalized = await this.normalizeSoapResponse(response);
+    if (normalized.errors.length > 0) {
+      throw new Error(normalized.errors[0].message);
+    }
+
+    const definition = normalized.results[0];
+    if (!definition || !definition.Properties) {
+      throw new Error(`No ObjectDefinition returned for ${objectType}`);
+    }
+    return SoapSchema.fromObjectDefinition(objectType, definition);
+  }
+
+  // Describe does not know data extension columns, so they come from DataExtensionField
+  async describeDataExtension(objectType, customerKey, context) {
+    const fields = await this.retrieveDataExtensionFields(customerKey, context);
+    if (fields.length === 0) {
+      throw new Error(`Data extension "${customerKey}" not found or has no fields`);
+    }
+    return SoapSchema.fromDataExtensionFields(objectType, fields);
+  }
+
+  async retrieveDataExtensionFields(customerKey, context) {
+    const { response } = await this.executeSoapRequest({
+      ...context,
+      action: 'Retrieve',
+      objectType: 'DataExtensionField',
+      properties: ['ObjectID', 'Name', 'FieldType', 'MaxLength', 'Scale', 'IsPrimaryKey', 'IsRequired', 'DefaultValue', 'Ordinal'],
+      filter: { property: 'DataExtension.CustomerKey', operator: 'equals', value: customerKey },
+    });
+    const normalized = await this.normalizeSoapResponse(response);
+    if (normalized.errors.length > 0) {
+      throw new Error(normalized.errors[0].message);
+    }
+    return normalized.results;
+  }
+
+  // DataExtension definitions are checked locally, so mistakes are reported
+  // together instead of one SOAP fault at a time
+  validateDataExtensionDefinitions(args) {
+    if (args.validate === false || args.action !== 'Create' || args.objectType !== 'DataExtension') {
+      return;
+    }
+
+    const problems = (args.objects || []).flatMap((obj, index) => {
+      const issues = DataExtensionValidator.validate(obj);
+      if (issues.length === 0) return [];
+      const label = obj && (obj.customerKey || obj.name) ? `${obj.customerKey || obj.name}` : `object #${index + 1}`;
+      return [`${label}:\n${DataExtensionValidator.format(issues)}`];
+    });
+    if (problems.length > 0) {
+      throw new Error(`Invalid DataExtension definition. Nothing was sent.\n${problems.join('\n')}\n` +
+        `Use mce_v1_validate_de to check a definition, or pass validate: false to send it anyway.`);
+    }
+  }
+
+  // Rejects unknown or misspelled names before they turn into API faults.
+  // Metadata lookups that fail are logged and do not block the request.
+  async validateSoapRequest(args) {
+    if (args.validate === false || !VALIDATED_SOAP_ACTIONS.includes(args.action) || args.continueRequest) {
+      return;
+    }
+
+    let schema;
+    try {
+      ({ schema } = await this.describeObject(args));
+    } catch (error) {
+      logger.debug(`Skipping validation of ${args.objectType}: ${error.message}`);
+      return;
+    }
+
+    // DataExtension creation is validated in the shape that is actually sent
+    const request = args.action === 'Create' && args.objectType === 'DataExtension'
+      ? { ...args, objects: (args.objects || []).map(obj => this.buildDataExtensionDefinition(obj)) }
+      : args;
+
+    const issues = schema.validate(request);
+    if (issues.length > 0) {
+      throw new Error(`Request does not match the ${args.objectType} metadata:\n- ${issues.join('\n- ')}\n` +
+        `Use mce_v1_describe to list its properties, or pass validate: false to send it anyway.`);
+    }
+  }
+
+  // Follows MoreDataAvailable with ContinueRequest and merges all Results
+  async handleSoapRetrieveAll(args) {
+    const maxResults = args.maxResults || DEFAULT_MAX_RETRIEVE_RESULTS;
+    const results = [];
+    const retries = [];
+    let pagesFetched = 0;
+    const errors = [];
+    let requestId = args.continueRequest || null;
+    let overallStatus = null;
+    let stoppedReason = 'all results retrieved';
+    let pageCutOff = false;
+
+    while (true) {
+      const pageArgs = requestId ? { ...args, continueRequest: requestId } : args;
+      const { response, summary } = await this.executeSoapRequest(pageArgs);
+      pagesFetched++;
+
+      if (RequestExecutor.hasRetryInfo(summary)) {
+        retries.push({ page: pagesFetched, ...summary });
+      }
+
+      const page = await this.normalizeSoapResponse(response);
+      if (response.status !== 200 || page.overallStatus === 'Fault') {
+        errors.push(...page.errors);
+        stoppedReason = `request failed on page ${pagesFetched}`;
+        break;
+      }
+
+      const pageResults = page.results;
+      errors.push(...page.errors);
+      overallStatus = page.overallStatus;
+      requestId = page.requestId;
+      const room = maxResults - results.length;
+      pageCutOff = pageResults.length > room;
+      results.push(...pageResults.slice(0, room));
+      logger.debug(`Retrieve page ${pagesFetched}: ${pageResults.length} results, status ${overallStatus}`);
+
+      if (overallStatus !== 'MoreDataAvailable') {
+        break;
+      }
+      if (results.length >= maxResults) {
+        stoppedReason = `maxResults (${maxResults}) reached`;
+        break;
+      }
+    }
+
+    const moreDataAvailable = overallStatus === 'MoreDataAvailable';
+    const result = {
+      overallStatus: overallStatus || 'Error',
+      requestId,
+      results,
+      errors,
+      fetchAll: {
+        pagesFetched,
+        resultsReturned: results.length,
+        truncated: moreDataAvailable || errors.length > 0,
+        stoppedReason,
+      },
+    };
+
+    // Continuing after a partially kept batch would skip its remaining rows
+    if (moreDataAvailable && !pageCutOff) {
+      result.fetchAll.continueRequest = requestId;
+    }
+    if (retries.length > 0) {
+      result.fetchAll.retries = retries;
+    }
+
+    const shaped = ResponseShaper.shape(result, args);
+    return this.withTruncationSummary({
+      content: [
+        {
+          type: 'text',
+          text: shaped.text,
+        },
+      ],
+    }, shaped.summary);
+  }
+
+  async handleSoapBatch(args) {
+    const shaped = ResponseShaper.shape(await this.executeSoapBatch(args), args);
+    return this.withTruncationSummary({
+      content: [
+        {
+          type: 'text',
+          text: shaped.text,
+        },
+      ],
+    }, shaped.summary);
+  }
+
+  // Sends the objects in chunks and maps every input object to its result
+  async executeSoapBatch(args) {
+    const batches = this.getSoapBatches(args);
+    const results = [];
+    const requestIds = [];
+    const retries = [];
+
+    for (const [batchIndex, batch] of batches.entries()) {
+      try {
+        const { response, summary } = await this.executeSoapRequest(batch.args);
+        this.auditRequest('SOAP', batch.args, { response });
+
+        if (RequestExecutor.hasRetryInfo(summary)) {
+          retries.push({ batch: batchIndex + 1, ...summary });
+        }
+        const normalized = await this.normalizeSoapResponse(response);
+        if (normalized.requestId) {
+          requestIds.push(normalized.requestId);
+        }
+        results.push(...this.mapBatchResults(normalized, response, batch));
+      } catch (error) {
+        this.auditRequest('SOAP', batch.args, { error });
+        logger.error(`SOAP ${args.action} batch ${batchIndex + 1}/${batches.length} failed:`, error);
+
+        results.push(...batch.args.objects.map((obj, i) =>
+          this.buildBatchResult(batch.offset + i, obj, { StatusCode: 'Error', StatusMessage: error.message })
+        ));
+      }
+    }
+
+    const failed = results.filter(result => result.StatusCode !== 'OK');
+    const output = {
+      overallStatus: failed.length === 0 ? 'OK' : failed.length < results.length ? 'Has Errors' : 'Error',
+      requestId: requestIds.length === 1 ? requestIds[0] : null,
+      results,
+      errors: failed.map(result => ({
+        code: result.ErrorCode ?? null,
+        message: result.StatusMessage || result.StatusCode,
+        objectIndex: result.index,
+      })),
+      batch: {
+        objects: results.length,
+        batches: batches.length,
+        succeeded: results.length - failed.length,
+        failed: failed.length,
+        requestIds,
+      },
+    };
+    if (retries.length > 0) {
+      output.batch.retries = retries;
+    }
+    return output;
+  }
+
+  getSoapBatches(args) {
+    const objects = args.objects || [];
+    const batchSize = Math.max(1, Math.min(args.batchSize || MAX_SOAP_BATCH_SIZE, MAX_SOAP_BATCH_SIZE));
+    const batches = [];
+
+    for (let offset = 0; offset < objects.length; offset += batchSize) {
+      batches.push({ offset, args: { ...args, objects: objects.slice(offset, offset + batchSize) } });
+    }
+    return batches;
+  }
+
+  // Results carry an OrdinalID (position in the request) when the API returns one
+  mapBatchResults(normalized, response, batch) {
+    const objects = batch.args.objects;
+
+    if (response.status !== 200 || normalized.overallStatus === 'Fault') {
+      const error = normalized.errors[0];
+      const message = `HTTP ${response.status}${error ? `: ${error.message}` : ''}`;
+      return objects.map((obj, i) => this.buildBatchResult(batch.offset + i, obj, { StatusCode: 'Error', StatusMessage: message }));
+    }
+
+    const byPosition = new Map();
+    normalized.results.forEach((result, position) => {
+      byPosition.set(Number.isInteger(result.OrdinalID) ? result.OrdinalID : position, result);
+    });
+
+    return objects.map((obj, i) => {
+      const result = byPosition.get(i);
+      if (!result) {
+        const ok = normalized.overallStatus === 'OK';
+        return this.buildBatchResult(batch.offset + i, obj, {
+          StatusCode: ok ? 'OK' : 'Unknown',
+          StatusMessage: ok ? undefined : `No result returned (OverallStatus: ${normalized.overallStatus})`,
+        });
+      }
+      return this.buildBatchResult(batch.offset + i, obj, result);
+    });
+  }
+
+  buildBatchResult(index, obj, result) {
+    const newId = result.NewID ?? result.NewObjectID;
+    return {
+      index,
+      key: this.getObjectKey(obj) ?? undefined,
+      StatusCode: result.StatusCode,
+      StatusMessage: result.StatusMessage,
+      ErrorCode: result.ErrorCode,
+      NewID: newId !== undefined && newId !== 0 ? newId : undefined,
+    };
+  }
+
+  getObjectKey(obj) {
+    if (!obj) return null;
+    return obj.CustomerKey || obj.customerKey || obj.ObjectID || obj.ID || obj.SubscriberKey || obj.Name || obj.name || null;
+  }
+
+  async handleDeRows(args) {
+    try {
+      return this.jsonResult(await this.loadDataExtensionRows(args));
+    } catch (error) {
+      return this.toolError('Row Load', 'Data extension row load failed:', error);
+    }
+  }
+
+  // Validates every row against the data extension fields, then sends the
+  // valid ones. Errors carry the 1-based position of the row in the input.
+  async loadDataExtensionRows(args) {
+    const key = args.dataExtensionKey;
+    const objectType = `DataExtensionObject[${key}]`;
+    const context = { profile: args.profile, businessUnitId: args.businessUnitId, retry: args.retry, tool: 'mce_v1_de_rows' };
+    const mode = args.mode || 'upsert';
+
+    const { source, rows } = await DataExtensionRows.load(args);
+    const { schema } = await this.describeObject({ ...context, objectType });
+    const { valid, errors } = DataExtensionRows.validate(rows, schema);
+    const useAsync = args.async ?? valid.length > DE_ROWS_SOAP_LIMIT;
+
+    const output = {
+      dataExtensionKey: key,
+      source,
+      mode,
+      method: useAsync ? 'async' : 'SOAP',
+      rowsRead: rows.length,
+      rowsValid: valid.length,
+      rowsInvalid: new Set(errors.map(error => error.row)).size,
+    };
+
+    if (args.dryRun || valid.length === 0) {
+      return this.summarizeDeRows({ ...output, status: args.dryRun ? 'Dry run' : 'Not sent', sent: 0 }, errors, args);
+    }
+
+    const request = useAsync
+      ? { api: 'REST', method: mode === 'insert' ? 'POST' : 'PUT', path: `/data/v1/async/dataextensions/key:${encodeURIComponent(key)}/rows` }
+      : { api: 'SOAP', action: 'Create', objectType };
+    const confirmation = this.checkPolicy(request, args);
+    if (confirmation) {
+      return { confirmation };
+    }
+
+    const sent = useAsync
+      ? await this.sendDeRowsAsync(request, valid, context, args)
+      : await this.sendDeRowsSoap(objectType, valid, context, args, mode);
+
+    return this.summarizeDeRows({ ...output, ...sent.summary }, [...errors, ...sent.errors], args);
+  }
+
+  async sendDeRowsSoap(objectType, valid, context, args, mode) {
+    const batch = await this.executeSoapBatch({
+      ...context,
+      action: 'Create',
+      objectType,
+      objects: valid.map(({ values }) => values),
+      upsert: mode === 'upsert',
+      batchSize: args.chunkSize,
+    });
+
+    const errors = batch.results
+      .filter(result => result.StatusCode !== 'OK')
+      .map(result => ({ row: valid[result.index].row, code: result.ErrorCode ?? null, message: result.StatusMessage || result.StatusCode }));
+
+    const summary = {
+      status: batch.overallStatus,
+      sent: valid.length,
+      chunks: batch.batch.batches,
+      succeeded: batch.batch.succeeded,
+      failed: batch.batch.failed,
+      requestIds: batch.batch.requestIds,
+    };
+    if (batch.batch.retries) {
+      summary.retries = batch.batch.retries;
+    }
+    return { summary, errors };
+  }
+
+  // Submits every chunk first, then polls their status together
+  async sendDeRowsAsync(request, valid, context, args) {
+    const chunkSize = Math.max(1, args.chunkSize || DE_ROWS_ASYNC_CHUNK_SIZE);
+    const chunks = [];
+    const errors = [];
+
+    for (let offset = 0; offset < valid.length; offset += chunkSize) {
+      const rows = valid.slice(offset, offset + chunkSize);
+      const chunk = { rows, requestId: null, requestStatus: null, failed: 0 };
+      chunks.push(chunk);
+
+      const requestArgs = { ...context, method: request.method, path: request.path, body: { items: rows.map(({ values }) => values) } };
+      let message = null;
+      try {
+        const { response } = await this.executeRestRequest(requestArgs);
+        this.auditRequest('REST', requestArgs, { response });
+
+        if (response.status >= 200 && response.status < 300 && response.data?.requestId) {
+          chunk.requestId = response.data.requestId;
+        } else {
+          message = `HTTP ${response.status}: ${this.getRestErrorMessage(response.data)}`;
+        }
+      } catch (error) {
+        this.auditRequest('REST', requestArgs, { error });
+        message = error.message;
+      }
+
+      if (message) {
+        logger.error(`Async row chunk ${chunks.length} for ${args.dataExtensionKey} was rejected: ${message}`);
+        chunk.requestStatus = 'Rejected';
+        chunk.failed = rows.length;
+        errors.push(...rows.map(({ row }) => ({ row, code: null, message })));
+      }
+    }
+
+    const pollIntervalMs = args.pollIntervalMs ?? 2000;
+    const deadline = Date.now() + (args.pollTimeoutSeconds ?? 300) * 1000;
+    let waiting = chunks.filter(chunk => chunk.requestId);
+
+    while (waiting.length > 0 && Date.now() < deadline) {
+      await this.requestExecutor.sleep(pollIntervalMs);
+
+      for (const chunk of waiting) {
+        // The rows were accepted, so a failed status check must not hide the
+        // other chunks' outcome; the chunk is reported as unknown with its requestId
+        try {
+          const { response } = await this.executeRestRequest({ ...context, method: 'GET', path: `/data/v1/async/${chunk.requestId}/status` });
+          const status = response.data?.status || {};
+          if (!/^(Complete|Error)$/i.test(status.requestStatus || '')) {
+            continue;
+          }
+
+          if (status.hasErrors || /^Error$/i.test(status.requestStatus)) {
+            const chunkErrors = await this.getAsyncRowErrors(chunk, context);
+            chunk.failed = chunkErrors.length || chunk.rows.length;
+            errors.push(...(chunkErrors.length > 0 ? chunkErrors : chunk.rows.map(({ row }) => ({ row, code: null, message: status.resultStatus || 'Request failed' }))));
+          }
+          chunk.requestStatus = status.requestStatus;
+        } catch (error) {
+          logger.error(`Could not get the status of async row request ${chunk.requestId} for ${args.dataExtensionKey}: ${error.message}`);
+          chunk.requestStatus = 'Unknown';
+          chunk.error = error.message;
+        }
+      }
+      waiting = waiting.filter(chunk => !chunk.requestStatus);
+    }
+
+    const unknownChunks = chunks.filter(chunk => chunk.requestStatus === 'Unknown');
+    const pending = waiting.reduce((count, chunk) => count + chunk.rows.length, 0);
+    const unknown = unknownChunks.reduce((count, chunk) => count + chunk.rows.length, 0);
+    const failed = chunks.reduce((count, chunk) => count + chunk.failed, 0);
+    const succeeded = valid.length - failed - pending - unknown;
+
+    const summary = {
+      status: pending > 0 ? 'Pending' : unknown > 0 ? 'Unknown' : failed === 0 ? 'OK' : succeeded > 0 ? 'Has Errors' : 'Error',
+      sent: valid.length,
+      chunks: chunks.length,
+      succeeded,
+      failed,
+      requestIds: chunks.map(chunk => chunk.requestId).filter(Boolean),
+    };
+    if (pending > 0) {
+      summary.pending = pending;
+      summary.pendingRequestIds = waiting.map(chunk => chunk.requestId);
+    }
+    if (unknown > 0) {
+      summary.unknown = unknown;
+      summary.unknownRequests = unknownChunks.map(chunk => ({ requestId: chunk.requestId, error: chunk.error }));
+    }
+    return { summary, errors };
+  }
+
+  // Results are listed in submission order; when the API returns a different
+  // number of items the row position is unknown and the item is reported as is
+  async getAsyncRowErrors(chunk, context) {
+    const { response } = await this.executeRestRequest({ ...context, method: 'GET', path: `/data/v1/async/${chunk.requestId}/results` });
+    const items = [].concat(response.data?.items ?? []);
+    const positional = items.length === chunk.rows.length;
+
+    return items.flatMap((item, i) => {
+      if (!item || (/^OK$/i.test(item.status || 'OK') && !item.errorCode && !item.errors)) {
+        return [];
+      }
+      const message = item.message || item.errorMessage || [].concat(item.errors ?? [])[0]?.message || item.status || 'Row failed';
+      return [{
+        row: positional ? chunk.rows[i].row : null,
+        code: item.errorCode ?? null,
+        message: String(message),
+        ...(positional ? {} : { item }),
+      }];
+    });
+  }
+
+  getRestErrorMessage(data) {
+    if (!data || typeof data !== 'object') {
+      return String(data ?? '').slice(0, 500);
+    }
+    return data.message || data.resultMessages?.[0]?.message || data.errors?.[0]?.message || JSON.stringify(data).slice(0, 500);
+  }
+
+  summarizeDeRows(output, errors, args) {
+    const maxErrors = args.maxErrors ?? DE_ROWS_MAX_ERRORS;
+    const sorted = errors.sort((a, b) => (a.row ?? Infinity) - (b.row ?? Infinity));
+    return {
+      ...output,
+      status: output.status === 'OK' && output.rowsInvalid > 0 ? 'Has Errors' : output.status,
+      errorCount: sorted.length,
+      errors: sorted.slice(0, maxErrors),
+      errorsTruncated: sorted.length > maxErrors,
+    };
+  }
+
+  async handleDeExport(args) {
+    try {
+      return this.jsonResult(await this.exportDataExtension(args));
+    } catch (error) {
+      return this.toolError('Export', 'Data extension export failed:', error);
+    }
+  }
+
+  // Pages through the rowset API and appends every page to the file as it
+  // arrives; only a few rows are kept for the result
+  async exportDataExtension(args) {
+    const key = args.dataExtensionKey;
+    const extension = args.file ? extname(args.file).slice(1).toLowerCase() : '';
+    const format = (args.format || (extension === 'jsonl' ? 'ndjson' : ROW_FILE_FORMATS.includes(extension) ? extension : 'csv')).toLowerCase();
+    const file = args.file || join(this.exportDir, `${key}-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`);
+    const maxRows = args.maxRows || Infinity;
+    const pageSize = Math.max(1, Math.min(args.pageSize || DE_EXPORT_PAGE_SIZE, DE_EXPORT_PAGE_SIZE));
+    const context = { profile: args.profile, businessUnitId: args.businessUnitId, retry: args.retry };
+    const request = { method: 'GET', path: `/data/v1/customobjectdata/key/${encodeURIComponent(key)}/rowset` };
+
+    const confirmation = this.checkPolicy({ api: 'REST', ...request }, args);
+    if (confirmation) {
+      return { confirmation };
+    }
+
+    const columns = await this.getExportColumns(args, context);
+    // Rowset keys come back lowercased, so columns are matched ignoring case
+    const pick = (row, names) => {
+      const byName = new Map(Object.entries(row).map(([name, value]) => [name.toLowerCase(), value]));
+      return Object.fromEntries(names.map(name => [name, byName.get(name.toLowerCase()) ?? null]));
+    };
+
+    let writer = null;
+    const sample = [];
+    let page = 1;
+    let count = null;
+    let pagesFetched = 0;
+    let truncated = false;
+    let stoppedReason = 'last page reached';
+
+    try {
+      while (true) {
+        const query = Object.fromEntries(Object.entries({
+          $page: page,
+          $pageSize: pageSize,
+          $filter: args.filter,
+          $orderBy: args.orderBy,
+        }).filter(([, value]) => value !== undefined && value !== ''));
+
+        const { response } = await this.executeRestRequest({ ...context, ...request, query });
+        pagesFetched++;
+
+        if (response.status < 200 || response.status >= 300) {
+          const message = `HTTP ${response.status} on page ${page}: ${this.getRestErrorMessage(response.data)}`;
+          if (!writer) throw new Error(message);
+          truncated = true;
+          stoppedReason = message;
+          break;
+        }
+
+        const data = response.data || {};
+        if (typeof data.count === 'number') {
+          count = data.count;
+        }
+        const rows = (data.items || []).map(item => ({ ...item.keys, ...item.values }));
+
+        writer = writer || await RowWriter.open(file, format, columns || Object.keys(rows[0] || {}), { overwrite: args.overwrite === true });
+        const room = maxRows - writer.rowsWritten;
+        const pageRows = rows.slice(0, room).map(row => pick(row, writer.columns));
+        await writer.write(pageRows);
+        sample.push(...pageRows.slice(0, DE_EXPORT_SAMPLE_SIZE - sample.length));
+
+        const lastPage = rows.length < pageSize || (count !== null && page * pageSize >= count);
+        if (rows.length > room || (!lastPage && writer.rowsWritten >= maxRows)) {
+          truncated = true;
+          stoppedReason = `maxRows (${maxRows}) reached`;
+          break;
+        }
+        if (lastPage) break;
+        page++;
+      }
+    } finally {
+      if (writer) await writer.close();
+    }
+
+    logger.info(`Exported ${writer.rowsWritten} row(s) of ${key} to ${writer.path}`);
+    return {
+      dataExtensionKey: key,
+      file: writer.path,
+      format,
+      columns: writer.columns,
+      rowsWritten: writer.rowsWritten,
+      count: count ?? writer.rowsWritten,
+      pagesFetched,
+      truncated,
+      stoppedReason,
+      sample,
+    };
+  }
+
+  // Column order comes from the data extension definition. Without it the
+  // columns of the first page are used.
+  async getExportColumns(args, context) {
+    let schema;
+    try {
+      ({ schema } = await this.describeObject({ ...context, objectType: `DataExtensionObject[${args.dataExtensionKey}]` }));
+    } catch (error) {
+      logger.debug(`Could not describe ${args.dataExtensionKey}, using the columns of the first page: ${error.message}`);
+      return args.fields || null;
+    }
+
+    if (!args.fields) {
+      return schema.properties.map(property => property.name);
+    }
+    const issues = schema.validate({ action: 'Retrieve', properties: args.fields });
+    if (issues.length > 0) {
+      throw new Error(`Unknown fields:\n- ${issues.join('\n- ')}`);
+    }
+    return args.fields.map(field => schema.get(field).name);
+  }
+
+  async handleValidateDe(args) {
+    try {
+      const definition = args.file ? await DataExtensionSchema.read(args.file) : args.definition;
+      if (!definition) {
+        throw new Error('Provide a definition or file');
+      }
+
+      const issues = DataExtensionValidator.validate(definition);
+      return this.jsonResult({ valid: issues.length === 0, issues });
+    } catch (error) {
+      return this.toolError('Validation', 'Data extension validation failed:', error);
+    }
+  }
+
+  async handleDeSchema(args) {
+    try {
+      return this.jsonResult(await this.syncDataExtensionSchema(args));
+    } catch (error) {
+      return this.toolError('Schema', 'Data extension schema sync failed:', error);
+    }
+  }
+
+  async syncDataExtensionSchema(args) {
+    const action = args.action || 'diff';
+    const context = { profile: args.profile, businessUnitId: args.businessUnitId, retry: args.retry };
+    if (!['diff', 'apply', 'pull'].includes(action)) {
+      throw new Error(`Unknown action "${action}". Use diff, apply or pull`);
+    }
+
+    if (action === 'pull') {
+      if (!args.dataExtensionKey) {
+        throw new Error('pull needs a dataExtensionKey');
+      }
+      const live = await this.retrieveLiveDataExtension(args.dataExtensionKey, context);
+      if (!live) {
+        throw new Error(`Data extension "${args.dataExtensionKey}" not found`);
+      }
+      const file = args.file ? await DataExtensionSchema.save(args.file, live.definition) : null;
+      return { action, dataExtensionKey: args.dataExtensionKey, file, definition: live.definition };
+    }
+
+    let desired;
+    if (args.file) {
+      desired = await DataExtensionSchema.load(args.file);
+    } else if (args.definition) {
+      desired = DataExtensionSchema.normalize(args.definition);
+    } else {
+      throw new Error('Provide a schema file or definition');
+    }
+    const issues = DataExtensionValidator.validate(desired);
+    if (issues.length > 0) {
+      throw new Error(`The schema is invalid:\n${DataExtensionValidator.format(issues)}`);
+    }
+    const key = args.dataExtensionKey || desired.customerKey;
+    desired = { ...desired, customerKey: key };
+
+    const live = await this.retrieveLiveDataExtension(key, context);
+    const changes = DataExtensionSchema.diff(desired, live && live.definition);
+    const output = {
+      action,
+      dataExtensionKey: key,
+      exists: Boolean(live),
+      inSync: changes.length === 0,
+      summary: Object.fromEntries(['safe', 'destructive', 'unsupported'].map(risk => [risk, changes.filter(change => change.risk === risk).length])),
+      changes,
+    };
+    if (action === 'diff' || changes.length === 0) {
+      return output;
+    }
+
+    // A migration is applied completely or not at all
+    const blocked = changes.filter(change => change.risk !== SAFE && !(change.risk === DESTRUCTIVE && args.allowDestructive));
+    if (blocked.length > 0) {
+      const hints = [];
+      if (blocked.some(change => change.risk === DESTRUCTIVE)) hints.push('Pass allowDestructive: true to apply destructive changes.');
+      if (blocked.some(change => change.risk !== DESTRUCTIVE)) hints.push('Unsupported changes have to be made in Contact Builder or by recreating the data extension.');
+      return { ...output, applied: false, blocked: blocked.map(change => change.message), hint: `Nothing was changed. ${hints.join(' ')}` };
+    }
+
+    const requests = this.buildSchemaRequests(desired, live, changes);
+
+    // One confirmation covers the whole migration
+    const profile = this.profiles.resolve(args.profile);
+    const gated = requests.find(request =>
+      this.policy.evaluate({ api: 'SOAP', action: request.action, objectType: request.objectType, profile: profile.name }).requiresConfirmation);
+    if (gated) {
+      const confirmation = this.checkPolicy({ api: 'SOAP', action: gated.action, objectType: gated.objectType }, args);
+      if (confirmation) {
+        return { confirmation };
+      }
+    }
+
+    const results = [];
+    for (const request of requests) {
+      const requestArgs = { ...context, tool: 'mce_v1_de_schema', ...request };
+      try {
+        const { response } = await this.executeSoapRequest(requestArgs);
+        this.auditRequest('SOAP', requestArgs, { response });
+        const normalized = await this.normalizeSoapResponse(response);
+        results.push({ action: request.action, objectType: request.objectType, overallStatus: normalized.overallStatus, errors: normalized.errors });
+      } catch (error) {
+        this.auditRequest('SOAP', requestArgs, { error });
+        results.push({ action: request.action, objectType: request.objectType, overallStatus: 'Error', errors: [{ code: null, message: error.message, objectIndex: null }] });
+      }
+      if (results[results.length - 1].errors.length > 0) break;
+    }
+
+    this.forgetDataExtensionSchema(key);
+    return { ...output, applied: results.length === requests.length && results.every(result => result.errors.length === 0), requests: results };
+  }
+
+  // Creates the data extension when it is missing, otherwise one Update for
+  // properties and fields plus a Delete for removed fields
+  buildSchemaRequests(desired, live, changes) {
+    if (!live) {
+      return [{ action: 'Create', objectType: 'DataExtension', objects: [desired] }];
+    }
+
+    const update = { CustomerKey: desired.customerKey };
+    const properties = { name: 'Name', description: 'Description', categoryId: 'CategoryID' };
+    const fieldProperties = { maxLength: 'MaxLength', scale: 'Scale', isRequired: 'IsRequired', defaultValue: 'DefaultValue' };
+    const addedFields = [];
+    const updatedFields = new Map();
+    const removedFields = [];
+
+    for (const change of changes) {
+      if (change.kind === 'updateProperty') {
+        update[properties[change.property]] = change.to;
+      } else if (change.kind === 'updateRetention') {
+        Object.assign(update, this.buildDataRetention(desired.retention));
+      } else if (change.kind === 'addField') {
+        addedFields.push(this.buildDataExtensionField(change.to));
+      } else if (change.kind === 'updateField') {
+        const current = live.definition.fields.find(field => field.name === change.field);
+        const field = updatedFields.get(change.field) || { ObjectID: live.objectIds.get(change.field.toLowerCase()), Name: current.name, FieldType: current.fieldType };
+        field[fieldProperties[change.property]] = change.to;
+        updatedFields.set(change.field, field);
+      } else if (change.kind === 'removeField') {
+        removedFields.push({ ObjectID: live.objectIds.get(change.field.toLowerCase()) });
+      }
+    }
+
+    const fields = [...addedFields, ...updatedFields.values()];
+    if (fields.length > 0) {
+      update.Fields = fields;
+    }
+
+    const requests = [];
+    if (Object.keys(update).length > 1) {
+      requests.push({ action: 'Update', objectType: 'DataExtension', objects: [update] });
+    }
+    if (removedFields.length > 0) {
+      requests.push({ action: 'Delete', objectType: 'DataExtensionField', objects: removedFields });
+    }
+    return requests;
+  }
+
+  // Returns { definition, objectIds } or null when the data extension does not exist
+  async retrieveLiveDataExtension(customerKey, context) {
+    const { response } = await this.executeSoapRequest({
+      ...context,
+      action: 'Retrieve',
+      objectType: 'DataExtension',
+      properties: DATA_EXTENSION_PROPERTIES,
+      filter: { property: 'CustomerKey', operator: 'equals', value: customerKey },
+    });
+    const normalized = await this.normalizeSoapResponse(response);
+    if (normalized.errors.length > 0) {
+      throw new Error(normalized.errors[0].message);
+    }
+    if (normalized.results.length === 0) {
+      return null;
+    }
+
+    const fields = await this.retrieveDataExtensionFields(customerKey, context);
+    return {
+      definition: DataExtensionSchema.fromLive(normalized.results[0], fields),
+      objectIds: new Map(fields.map(field => [String(field.Name).toLowerCase(), field.ObjectID])),
+    };
+  }
+
+  // Cached column lists are stale once the definition changes
+  forgetDataExtensionSchema(customerKey) {
+    for (const cacheKey of this.objectSchemas.keys()) {
+      if (cacheKey.endsWith(`:DataExtensionObject[${customerKey}]`)) {
+        this.objectSchemas.delete(cacheKey);
+      }
+    }
+  }
+
+  async handleQueryActivity(args) {
+    try {
+      return this.jsonResult(await this.manageQueryActivity(args));
+    } catch (error) {
+      return this.toolError('Query Activity', 'Query activity failed:', error);
+    }
+  }
+
+  async manageQueryActivity(args) {
+    const action = args.action || 'lint';
+    const context = { profile: args.profile, businessUnitId: args.businessUnitId, retry: args.retry };
+    if (!['lint', 'create', 'update', 'run'].includes(action)) {
+      throw new Error(`Unknown action "${action}". Use lint, create, update or run`);
+    }
+    if (args.targetUpdateType && !QUERY_UPDATE_TYPES.includes(args.targetUpdateType)) {
+      throw new Error(`targetUpdateType must be one of ${QUERY_UPDATE_TYPES.join(', ')}`);
+    }
+
+    if (action === 'run') {
+      return await this.runQueryActivity(args, context);
+    }
+
+    const queryText = args.file ? await readFile(args.file, 'utf8') : args.queryText;
+    if (action === 'update' && !queryText) {
+      return await this.deployQueryActivity(args, context, { queryText: undefined, lint: null });
+    }
+    if (!queryText) {
+      throw new Error('Provide queryText or file');
+    }
+
+    const issues = SqlLinter.lint(queryText);
+    const lint = {
+      valid: !issues.some(issue => issue.severity === 'error'),
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      issues,
+    };
+    if (action === 'lint') {
+      return lint;
+    }
+    if (!lint.valid && !args.force) {
+      return { action, deployed: false, lint, hint: 'Fix the errors, or pass force: true to deploy anyway.' };
+    }
+    return await this.deployQueryActivity(args, context, { queryText, lint });
+  }
+
+  async deployQueryActivity(args, context, { queryText, lint }) {
+    const action = args.action;
+    const customerKey = args.customerKey || (action === 'create' ? args.name : null);
+    if (!customerKey) {
+      throw new Error('update needs the customerKey of the query activity');
+    }
+    if (action === 'create' && (!args.name || !args.targetDataExtensionKey)) {
+      throw new Error('create needs a name and targetDataExtensionKey');
+    }
+
+    const query = { CustomerKey: customerKey, Name: args.name, Description: args.description, QueryText: queryText, CategoryID: args.categoryId };
+    if (args.targetDataExtensionKey) {
+      // The target is referenced by key and name
+      const target = await this.retrieveSoapObjects('DataExtension', ['CustomerKey', 'Name'], { property: 'CustomerKey', operator: 'equals', value: args.targetDataExtensionKey }, context);
+      if (target.length === 0) {
+        throw new Error(`Target data extension "${args.targetDataExtensionKey}" not found`);
+      }
+      query.TargetType = 'DE';
+      query.DataExtensionTarget = { CustomerKey: target[0].CustomerKey, Name: target[0].Name };
+    }
+    query.TargetUpdateType = args.targetUpdateType || (action === 'create' ? 'Overwrite' : undefined);
+
+    const soapAction = action === 'create' ? 'Create' : 'Update';
+    const confirmation = this.checkPolicy({ api: 'SOAP', action: soapAction, objectType: 'QueryDefinition' }, args);
+    if (confirmation) {
+      return { confirmation };
+    }
+
+    const requestArgs = { ...context, tool: 'mce_v1_query_activity', action: soapAction, objectType: 'QueryDefinition', objects: [query] };
+    let normalized;
+    try {
+      const { response } = await this.executeSoapRequest(requestArgs);
+      this.auditRequest('SOAP', requestArgs, { response });
+      normalized = await this.normalizeSoapResponse(response);
+    } catch (error) {
+      this.auditRequest('SOAP', requestArgs, { error });
+      throw error;
+    }
+
+    const result = normalized.results[0] || {};
+    const output = {
+      action,
+      customerKey,
+      deployed: normalized.errors.length === 0,
+      overallStatus: normalized.overallStatus,
+      errors: normalized.errors,
+    };
+    if (result.NewObjectID) {
+      output.objectId = result.NewObjectID;
+    }
+    if (lint) {
+      output.lint = lint;
+    }
+    return output;
+  }
+
+  // Starts the query and follows its task through AsyncActivityStatus
+  async runQueryActivity(args, context) {
+    if (!args.customerKey) {
+      throw new Error('run needs the customerKey of the query activity');
+    }
+
+    const [query] = await this.retrieveSoapObjects('QueryDefinition',
+      ['ObjectID', 'CustomerKey', 'Name', 'TargetUpdateType', 'DataExtensionTarget.CustomerKey'],
+      { property: 'CustomerKey', operator: 'equals', value: args.customerKey }, context);
+    if (!query) {
+      throw new Error(`Query activity "${args.customerKey}" not found`);
+    }
+
+    const confirmation = this.checkPolicy({ api: 'SOAP', action: 'Perform', objectType: 'QueryDefinition' }, args);
+    if (confirmation) {
+      return { confirmation };
+    }
+
+    const requestArgs = { ...context, tool: 'mce_v1_query_activity', action: 'Perform', objectType: 'QueryDefinition', requestAction: 'start', objects: [{ ObjectID: query.ObjectID }] };
+    let normalized;
+    try {
+      const { response } = await this.executeSoapRequest(requestArgs);
+      this.auditRequest('SOAP', requestArgs, { response });
+      normalized = await this.normalizeSoapResponse(response);
+    } catch (error) {
+      this.auditRequest('SOAP', requestArgs, { error });
+      throw error;
+    }
+    if (normalized.errors.length > 0) {
+      throw new Error(`Could not start ${args.customerKey}: ${normalized.errors[0].message}`);
+    }
+
+    const taskId = normalized.results[0]?.Task?.ID ?? null;
+    const output = {
+      action: 'run',
+      customerKey: query.CustomerKey,
+      name: query.Name,
+      targetDataExtensionKey: query.DataExtensionTarget?.CustomerKey ?? null,
+      targetUpdateType: query.TargetUpdateType ?? null,
+      taskId,
+      status: 'Queued',
+    };
+    if (args.wait === false || !taskId) {
+      return output;
+    }
+
+    const startedAt = Date.now();
+    const pollIntervalMs = args.pollIntervalMs ?? 5000;
+    const deadline = startedAt + (args.pollTimeoutSeconds ?? 1800) * 1000;
+
+    // The query is already running, so a failed status check ends polling
+    // but still returns the taskId and the last known status
+    let pollError = null;
+    while (Date.now() < deadline) {
+      await this.requestExecutor.sleep(pollIntervalMs);
+      let task;
+      try {
+        [task] = await this.retrieveSoapObjects('AsyncActivityStatus', ['Status', 'ErrorMsg', 'CompletedDate'],
+          { property: 'TaskID', operator: 'equals', value: taskId }, context);
+      } catch (error) {
+        logger.warn(`Could not get the status of query task ${taskId}: ${error.message}`);
+        pollError = error.message;
+        break;
+      }
+      if (!task) continue;
+
+      const properties = Object.fromEntries((task.Properties?.Property || []).map(property => [property.Name, property.Value]));
+      output.status = properties.Status || output.status;
+      if (QUERY_FINAL_STATUSES.includes(output.status)) {
+        if (properties.ErrorMsg) output.error = properties.ErrorMsg;
+        if (properties.CompletedDate) output.completedDate = properties.CompletedDate;
+        break;
+      }
+    }
+    output.durationMs = Date.now() - startedAt;
+
+    if (pollError) {
+      output.note = `Could not get the status after ${Math.round(output.durationMs / 1000)}s (${pollError}); the query keeps running, check task ${taskId} in Automation Studio`;
+    } else if (!QUERY_FINAL_STATUSES.includes(output.status)) {
+      output.note = `Still ${output.status} after ${Math.round(output.durationMs / 1000)}s; the query keeps running, check task ${taskId} in Automation Studio`;
+    } else if (output.status === 'Complete' && output.targetDataExtensionKey) {
+      try {
+        output.targetRowCount = await this.countDataExtensionRows(output.targetDataExtensionKey, context);
+      } catch (error) {
+        logger.warn(`Could not count the rows of ${output.targetDataExtensionKey}: ${error.message}`);
+        output.targetRowCount = null;
+      }
+    }
+    return output;
+  }
+
+  async countDataExtensionRows(customerKey, context) {
+    const { response } = await this.executeRestRequest({
+      ...context,
+      method: 'GET',
+      path: `/data/v1/customobjectdata/key/${encodeURIComponent(customerKey)}/rowset`,
+      query: { $page: 1, $pageSize: 1 },
+    });
+    return response.status === 200 && typeof response.data?.count === 'number' ? response.data.count : null;
+  }
+
+  async retrieveSoapObjects(objectType, properties, filter, context) {
+    const { response } = await this.executeSoapRequest({ ...context, action: 'Retrieve', objectType, properties, filter });
+    const normalized = await this.normalizeSoapResponse(response);
+    if (normalized.errors.length > 0) {
+      throw new Error(normalized.errors[0].message);
+    }
+    return normalized.results;
+  }
+
+  async handleBuildJourney(args) {
+    try {
+      return this.jsonResult(await this.buildJourney(args));
+    } catch (error) {
+      return this.toolError('Journey Build', 'Journey build failed:', error);
+    }
+  }
+
+  async buildJourney(args) {
+    const context = { profile: args.profile, businessUnitId: args.businessUnitId, retry: args.retry };
+    const entry = args.entry || {};
+    const resolved = { assets: new Map() };
+
+    // The entry event definition references the data extension by ID
+    if (entry.type === 'dataExtension' && entry.dataExtensionKey) {
+      const [de] = await this.retrieveSoapObjects('DataExtension', ['ObjectID', 'CustomerKey', 'Name'],
+        { property: 'CustomerKey', operator: 'equals', value: entry.dataExtensionKey }, context);
+      if (!de) {
+        throw new Error(`Entry data extension "${entry.dataExtensionKey}" not found`);
+      }
+      resolved.dataExtension = { objectId: de.ObjectID, name: de.Name };
+    }
+
+    // Email activities need the legacy email ID; subject and preheader default to the asset's
+    const assetIds = new Set(JourneyComposer.emailSteps(args.steps)
+      .filter(step => step.emailId === undefined && step.assetId !== undefined)
+      .map(step => String(step.assetId)));
+    for (const assetId of assetIds) {
+      resolved.assets.set(assetId, await this.getJourneyEmailAsset(assetId, context));
+    }
+
+    const { journey, eventDefinition } = new JourneyComposer(args, resolved).compose();
+    const validation = JourneyValidator.summarize(JourneyValidator.validate(journey, eventDefinition));
+    const output = { created: false, journey, eventDefinition, validation };
+    if (args.dryRun) {
+      return output;
+    }
+    if (!validation.valid) {
+      return { ...output, hint: 'Nothing was created. Fix the validation errors and try again.' };
+    }
+
+    const requests = [
+      ...(eventDefinition ? [{ method: 'POST', path: '/interaction/v1/eventDefinitions', body: eventDefinition }] : []),
+      { method: 'POST', path: '/interaction/v1/interactions', body: journey },
+    ];
+
+    // One confirmation covers the event definition and the journey
+    const profile = this.profiles.resolve(args.profile);
+    const gated = requests.find(request =>
+      this.policy.evaluate({ api: 'REST', method: request.method, path: request.path, profile: profile.name }).requiresConfirmation);
+    if (gated) {
+      const confirmation = this.checkPolicy({ api: 'REST', method: gated.method, path: gated.path }, args);
+      if (confirmation) {
+        return { confirmation };
+      }
+    }
+
+    for (const request of requests) {
+      const requestArgs = { ...context, tool: 'mce_v1_build_journey', ...request };
+      // An event definition created before a failure is left behind, so its id is always reported
+      const what = request.body === journey ? 'journey' : 'entry event definition';
+      const created = output.eventDefinitionId ? ` (event definition ${output.eventDefinitionId} was created)` : '';
+      let response;
+      try {
+        ({ response } = await this.executeRestRequest(requestArgs));
+        this.auditRequest('REST', requestArgs, { response });
+      } catch (error) {
+        this.auditRequest('REST', requestArgs, { error });
+        throw new Error(`Could not create the ${what}: ${error.message}${created}`);
+      }
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Could not create the ${what}: HTTP ${response.status}: ${this.getRestErrorMessage(response.data)}${created}`);
+      }
+      if (request.body === journey) {
+        output.journeyId = response.data?.id ?? null;
+        output.version = response.data?.version ?? null;
+      } else {
+        output.eventDefinitionId = response.data?.id ?? null;
+      }
+    }
+
+    output.created = true;
+    return output;
+  }
+
+  async handleValidateJourney(args) {
+    try {
+      let { journey, eventDefinition } = args;
+      if (args.file) {
+        let content;
+        try {
+          content = JSON.parse(await readFile(args.file, 'utf8'));
+        } catch (error) {
+          throw new Error(`Could not read journey file ${args.file}: ${error.message}`);
+        }
+        // Accepts the output of mce_v1_build_journey as well as a bare journey
+        journey = content.journey || content;
+        eventDefinition = eventDefinition || content.eventDefinition;
+      }
+      if (!journey) {
+        throw new Error('Provide a journey or file');
+      }
+
+      return this.jsonResult(JourneyValidator.summarize(JourneyValidator.validate(journey, eventDefinition || null)));
+    } catch (error) {
+      return this.toolError('Validation', 'Journey validation failed:', error);
+    }
+  }
+
+  async handleJourney(args) {
+    try {
+      return this.jsonResult(await this.manageJourney(args));
+    } catch (error) {
+      return this.toolError('Journey', 'Journey action failed:', error);
+    }
+  }
+
+  async manageJourney(args) {
+    const action = args.action || 'status';
+    const context = { profile: args.profile, businessUnitId: args.businessUnitId, retry: args.retry };
+    if (!JOURNEY_ACTIONS.includes(action)) {
+      throw new Error(`Unknown action "${action}". Use ${JOURNEY_ACTIONS.join(', ')}`);
+    }
+    if (!args.id && !args.key) {
+      throw new Error('Provide the journey id or key');
+    }
+
+    switch (action) {
+      case 'status':
+        return await this.getJourneyStatus(args, context);
+      case 'versions':
+        return await this.listJourneyVersions(args, context);
+      case 'compare':
+        return await this.compareJourneyVersions(args, context);
+      case 'publish':
+        return await this.publishJourney(args, context);
+      case 'clone':
+        return await this.cloneJourney(args, context);
+      default:
+        return await this.changeJourneyState(action, args, context);
+    }
+  }
+
+  async getJourney(args, versionNumber, context, extras) {
+    const path = args.id
+      ? `/interaction/v1/interactions/${encodeURIComponent(args.id)}`
+      : `/interaction/v1/interactions/key:${encodeURIComponent(args.key)}`;
+    const query = {};
+    if (versionNumber !== undefined && versionNumber !== null) query.versionNumber = versionNumber;
+    if (extras) query.extras = extras;
+
+    const { response } = await this.executeRestRequest({ ...context, method: 'GET', path, query });
+    const version = query.versionNumber !== undefined ? ` version ${query.versionNumber}` : '';
+    if (response.status === 404) {
+      throw new Error(`Journey ${args.id || args.key}${version} not found`);
+    }
+    if (response.status !== 200) {
+      throw new Error(`Could not read journey ${args.id || args.key}${version}: HTTP ${response.status}: ${this.getRestErrorMessage(response.data)}`);
+    }
+    return response.data;
+  }
+
+  // Sends one mutating journey call through the audit log; throws on HTTP errors
+  async sendJourneyRequest(request, context) {
+    const requestArgs = { ...context, tool: 'mce_v1_journey', ...request };
+    let response;
+    try {
+      ({ response } = await this.executeRestRequest(requestArgs));
+      this.auditRequest('REST', requestArgs, { response });
+    } catch (error) {
+      this.auditRequest('REST', requestArgs, { error });
+      throw error;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`HTTP ${response.status}: ${this.getRestErrorMessage(response.data)}`);
+    }
+    return response.data || {};
+  }
+
+  summarizeJourney(journey) {
+    return {
+      id: journey.id,
+      key: journey.key,
+      name: journey.name,
+      version: journey.version,
+      status: journey.status,
+    };
+  }
+
+  async getJourneyStatus(args, context) {
+    const journey = await this.getJourney(args, args.versionNumber, context, 'stats');
+    const output = {
+      ...this.summarizeJourney(journey),
+      entryMode: journey.entryMode,
+      modifiedDate: journey.modifiedDate ?? null,
+      lastPublishedDate: journey.lastPublishedDate ?? null,
+      stats: journey.stats ?? null,
+    };
+
+    const auditLimit = args.auditLimit ?? 10;
+    if (auditLimit > 0) {
+      const { response } = await this.executeRestRequest({
+        ...context,
+        method: 'GET',
+        path: `/interaction/v1/interactions/${encodeURIComponent(journey.id)}/audit/all`,
+        query: { versionNumber: journey.version, $page: 1, $pageSize: auditLimit },
+      });
+      if (response.status === 200) {
+        output.audit = (response.data?.items || []).slice(0, auditLimit);
+      } else {
+        output.auditError = `HTTP ${response.status}: ${this.getRestErrorMessage(response.data)}`;
+      }
+    }
+    return output;
+  }
+
+  // The interactions list has no key filter, so versions are found by name and matched on key
+  async listJourneyVersions(args, context) {
+    const journey = await this.getJourney(args, undefined, context);
+    const paginator = new RestPaginator(pageArgs => this.executeRestRequest(pageArgs));
+    const result = await paginator.collect({
+      ...context,
+      method: 'GET',
+      path: '/interaction/v1/interactions',
+      query: { mostRecentVersionOnly: false, nameOrDescription: journey.name, $pageSize: 50 },
+    });
+    if (result.error !== undefined) {
+      throw new Error(`Could not list versions: ${result.stoppedReason}: ${this.getRestErrorMessage(result.error)}`);
+    }
+
+    const versions = result.items
+      .filter(item => item.key === journey.key)
+      .sort((a, b) => b.version - a.version)
+      .map(item => ({
+        version: item.version,
+        id: item.id,
+        status: item.status,
+        modifiedDate: item.modifiedDate ?? null,
+        lastPublishedDate: item.lastPublishedDate ?? null,
+      }));
+    return { id: journey.id, key: journey.key, name: journey.name, latestVersion: journey.version, versions };
+  }
+
+  async compareJourneyVersions(args, context) {
+    const to = await this.getJourney(args, args.toVersion, context);
+    const fromVersion = args.fromVersion ?? to.version - 1;
+    if (!(fromVersion >= 1) || fromVersion === to.version) {
+      throw new Error(`Version ${to.version} has no earlier version to compare with; pass fromVersion`);
+    }
+    const from = await this.getJourney(args, fromVersion, context);
+
+    const changes = JourneyDiff.compare(from, to);
+    return {
+      id: to.id,
+      key: to.key,
+      fromVersion: from.version,
+      toVersion: to.version,
+      identical: changes.length === 0,
+      changes,
+    };
+  }
+
+  // Validates the version, publishes it and follows the publish status
+  async publishJourney(args, context) {
+    const journey = await this.getJourney(args, args.versionNumber, context);
+
+    const trigger = (journey.triggers || [])[0];
+    const eventDefinitionKey = trigger?.metaData?.eventDefinitionKey || trigger?.eventDefinitionKey;
+    let eventDefinition = null;
+    if (eventDefinitionKey) {
+      const { response } = await this.executeRestRequest({
+        ...context,
+        method: 'GET',
+        path: `/interaction/v1/eventDefinitions/key:${encodeURIComponent(eventDefinitionKey)}`,
+      });
+      eventDefinition = response.status === 200 ? response.data : null;
+    }
+
+    const validation = JourneyValidator.summarize(JourneyValidator.validate(journey, eventDefinition));
+    const output = { action: 'publish', ...this.summarizeJourney(journey), published: false, validation };
+    if (!validation.valid && !args.force) {
+      return { ...output, hint: 'Nothing was published. Fix the validation errors, or pass force: true to publish anyway.' };
+    }
+
+    const request = {
+      method: 'POST',
+      path: `/interaction/v1/interactions/publishAsync/${encodeURIComponent(journey.id)}`,
+      query: { versionNumber: journey.version },
+    };
+    const confirmation = this.checkPolicy({ api: 'REST', method: request.method, path: request.path }, args);
+    if (confirmation) {
+      return { confirmation };
+    }
+
+    const data = await this.sendJourneyRequest(request, context);
+    output.statusId = data.statusId ?? null;
+    output.status = 'PublishInProcess';
+    if (args.wait === false || !output.statusId) {
+      return output;
+    }
+
+    const startedAt = Date.now();
+    const pollIntervalMs = args.pollIntervalMs ?? 5000;
+    const deadline = startedAt + (args.pollTimeoutSeconds ?? 300) * 1000;
+
+    // Publishing has started, so a failed status check ends polling but
+    // still returns the statusId to check later
+    let pollError = null;
+    while (Date.now() < deadline) {
+      await this.requestExecutor.sleep(pollIntervalMs);
+      let response;
+      try {
+        ({ response } = await this.executeRestRequest({
+          ...context,
+          method: 'GET',
+          path: `/interaction/v1/interactions/publishStatus/${encodeURIComponent(output.statusId)}`,
+        }));
+      } catch (error) {
+        logger.warn(`Could not get the publish status ${output.statusId}: ${error.message}`);
+        pollError = error.message;
+        break;
+      }
+      if (response.status !== 200) continue;
+
+      output.status = response.data?.status || output.status;
+      if (!JOURNEY_PUBLISH_PENDING.test(output.status)) {
+        output.errors = response.data?.errors || [];
+        output.warnings = response.data?.warnings || [];
+        break;
+      }
+    }
+    output.durationMs = Date.now() - startedAt;
+    output.published = output.status === 'PublishCompleted';
+
+    if (pollError) {
+      output.note = `Could not get the publish status after ${Math.round(output.durationMs / 1000)}s (${pollError}); check again with action status`;
+    } else if (JOURNEY_PUBLISH_PENDING.test(output.status)) {
+      output.note = `Still ${output.status} after ${Math.round(output.durationMs / 1000)}s; check again with action status`;
+    }
+    return output;
+  }
+
+  // stop, pause and resume; the journey is read again afterwards to report its status
+  async changeJourneyState(action, args, context) {
+    if (args.allVersions && action === 'stop') {
+      throw new Error('allVersions only applies to pause and resume; stop one version at a time');
+    }
+    const journey = await this.getJourney(args, args.versionNumber, context);
+
+    const request = {
+      method: 'POST',
+      path: `/interaction/v1/interactions/${action}/${encodeURIComponent(journey.id)}`,
+      query: args.allVersions ? { allVersions: true } : { versionNumber: journey.version },
+      body: {},
+    };
+    const confirmation = this.checkPolicy({ api: 'REST', method: request.method, path: request.path }, args);
+    if (confirmation) {
+      return { confirmation };
+    }
+
+    await this.sendJourneyRequest(request, context);
+    const current = await this.getJourney({ id: journey.id }, journey.version, context);
+    return {
+      action,
+      ...this.summarizeJourney(current),
+      ...(args.allVersions ? { allVersions: true } : {}),
+      previousStatus: journey.status,
+    };
+  }
+
+  // Copies a version into a new draft version of the same journey, or into a new journey with newKey
+  async cloneJourney(args, context) {
+    const source = await this.getJourney(args, args.versionNumber, context);
+    const body = Object.fromEntries(JOURNEY_CLONE_PROPERTIES
+      .filter(property => source[property] !== undefined)
+      .map(property => [property, source[property]]));
+    body.triggers = (source.triggers || []).map(({ id, ...trigger }) => trigger);
+    body.activities = (source.activities || []).map(({ id, ...activity }) => activity);
+    if (args.newKey) {
+      body.key = args.newKey;
+      body.name = args.name || `${source.name} (copy)`;
+    } else if (args.name) {
+      body.name = args.name;
+    }
+
+    const request = { method: 'POST', path: '/interaction/v1/interactions', body };
+    const confirmation = this.checkPolicy({ api: 'REST', method: request.method, path: request.path }, args);
+    if (confirmation) {
+      return { confirmation };
+    }
+
+    const data = await this.sendJourneyRequest(request, context);
+    const output = {
+      action: 'clone',
+      source: { id: source.id, key: source.key, version: source.version },
+      id: data.id ?? null,
+      key: data.key ?? body.key,
+      name: data.name ?? body.name,
+      version: data.version ?? null,
+      status: data.status ?? 'Draft',
+    };
+    if (args.newKey) {
+      output.note = 'The copy uses the same entry event definition as the source; give it its own before publishing both';
+    }
+    return output;
+  }
+
+  async getJourneyEmailAsset(assetId, context) {
+    const { response } = await this.executeRestRequest({ ...context, method: 'GET', path: `/asset/v1/content/assets/${encodeURIComponent(assetId)}` });
+    if (response.status !== 200) {
+      throw new Error(`Email asset ${assetId} could not be read: HTTP ${response.status}: ${this.getRestErrorMessage(response.data)}`);
+    }
+
+    const asset = response.data || {};
+    const emailId = asset.legacyData?.legacyId;
+    if (!emailId) {
+      throw new Error(`Asset ${assetId} has no legacy email ID; only email assets can be sent from a journey`);
+    }
+    return {
+      emailId,
+      name: asset.name,
+      subject: asset.views?.subjectline?.content || undefined,
+      preheader: asset.views?.preheader?.content || undefined,
+    };
+  }
+
+  async parseSoapBody(xml) {
+    const parsed = await parseXml(xml, {
+      explicitArray: false,
+      ignoreAttrs: true,
+      tagNameProcessors: [(name) => name.replace(':', '_')],
+    });
+
+    // Extract the response body
+    if (parsed['soap_Envelope'] && parsed['soap_Envelope']['soap_Body']) {
+      return parsed['soap_Envelope']['soap_Body'];
+    } else if (parsed['s_Envelope'] && parsed['s_Envelope']['s_Body']) {
+      return parsed['s_Envelope']['s_Body'];
+    }
+    return parsed;
+  }
+
+  // Faults, non-XML error pages and regular responses all become
+  // { overallStatus, requestId, results, errors }
+  async normalizeSoapResponse(response) {
+    let normalized;
+    try {
+      normalized = SoapResponse.normalize(await this.parseSoapBody(response.data));
+    } catch (parseError) {
+      logger.warn('XML Parse Error:', parseError.message);
+      normalized = SoapResponse.fromText(response.status, response.data);
+    }
+
+    if (response.status !== 200) {
+      normalized.httpStatus = response.status;
+      if (normalized.errors.length === 0) {
+        normalized.errors.push({ code: `HTTP ${response.status}`, message: response.statusText || 'Request failed', objectIndex: null });
+      }
+    }
+    return normalized;
+  }
+
+  async formatSoapResponse(response, args = {}) {
+    logger.debug(`SOAP response status: ${response.status} ${response.statusText || ''}`);
+    logger.debug('SOAP response data (first 2000 chars):', String(response.data).substring(0, 2000));
+
+    const normalized = await this.normalizeSoapResponse(response);
+    const shaped = ResponseShaper.shape(normalized, args);
+    const result = this.withTruncationSummary({
+      content: [
+        {
+          type: 'text',
+          text: shaped.text,
+        },
+      ],
+    }, shaped.summary);
 
-  async getAccessToken(businessUnitId) {
-    // Check cache
-    const cached = this.tokens.get(businessUnitId || 'default');
-    if (cached && cached.expiresAt > Date.now()) {
-      return cached;
+    if (normalized.overallStatus === 'MoreDataAvailable') {
+      result.content.push({
+        type: 'text',
+        text: `More data available: repeat the call with continueRequest: "${normalized.requestId}" for the next batch, or use fetchAll: true to retrieve everything.`,
+      });
     }
+    return result;
+  }
 
-    const subdomain = process.env.MCE_SUBDOMAIN;
-    const clientId = process.env.MCE_CLIENT_ID;
-    const clientSecret = process.env.MCE_CLIENT_SECRET;
+  // Appends an audit entry for mutating calls; reads are not recorded
+  auditRequest(api, args, { response, error } = {}) {
+    const operation = api === 'REST' ? String(args.method).toUpperCase() : args.action;
+    const reads = api === 'REST' ? ['GET', 'HEAD', 'OPTIONS'] : ['Retrieve', 'Describe'];
+    if (reads.includes(operation)) {
+      return;
+    }
 
-    if (!subdomain || !clientId || !clientSecret) {
-      throw new Error('Missing required environment variables: MCE_SUBDOMAIN, MCE_CLIENT_ID, MCE_CLIENT_SECRET');
+    let profile = { name: args.profile || null, defaultMid: null };
+    try {
+      profile = this.profiles.resolve(args.profile);
+    } catch (e) {
+      // Unknown profile: still record the attempt
     }
 
-    const tokenUrl = `https://${subdomain}.auth.marketingcloudapis.com/v2/token`;
-    const tokenData = {
-      grant_type: 'client_credentials',
-      client_id: clientId,
-      client_secret: clientSecret,
+    const entry = {
+      tool: args.tool || (api === 'REST' ? 'mce_v1_rest_request' : 'mce_v1_soap_request'),
+      profile: profile.name,
+      businessUnitId: args.businessUnitId || profile.defaultMid || null,
+      api,
+      operation,
     };
 
-    if (businessUnitId) {
-      tokenData.account_id = businessUnitId;
+    if (api === 'REST') {
+      const body = args.body && typeof args.body === 'object' ? args.body : {};
+      entry.objectType = String(args.path || '').split('/').filter(Boolean)[0] || null;
+      entry.target = args.path;
+      entry.targetKeys = [body.customerKey, body.key, body.name].filter(Boolean);
+      entry.bodyHash = AuditLog.hashBody(args.body);
+    } else {
+      entry.objectType = args.objectType;
+      entry.target = args.objectType;
+      entry.targetKeys = (args.objects || [])
+        .map(obj => this.getObjectKey(obj))
+        .filter(Boolean);
+      entry.bodyHash = AuditLog.hashBody(args.objects);
     }
 
-    try {
-      const response = await axios.post(tokenUrl, tokenData, {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
+    if (response) {
+      entry.status = response.status;
+      entry.createdIds = this.extractCreatedIds(api, response);
+      if (api === 'SOAP') {
+        entry.overallStatus = (String(response.data).match(/<OverallStatus>([^<]*)<\/OverallStatus>/) || [])[1] || null;
+      }
+    } else if (error) {
+      entry.status = error.response?.status || null;
+      entry.error = error.message;
+    }
 
-      const tokenInfo = {
-        access_token: response.data.access_token,
-        rest_instance_url: response.data.rest_instance_url,
-        soap_instance_url: response.data.soap_instance_url,
-        expires_in: response.data.expires_in,
-        expiresAt: Date.now() + (response.data.expires_in - 60) * 1000,
-      };
+    this.auditLog.record(entry);
+  }
 
-      this.tokens.set(businessUnitId || 'default', tokenInfo);
-      return tokenInfo;
-    } catch (error) {
-      console.error('Token acquisition failed:', error.response?.data || error.message);
-      throw new Error(`Failed to get access token: ${error.message}`);
+  extractCreatedIds(api, response) {
+    if (response.status < 200 || response.status >= 300) {
+      return [];
+    }
+
+    if (api === 'SOAP') {
+      const text = String(response.data || '');
+      return [...text.matchAll(/<(NewID|NewObjectID)>([^<]+)<\/\1>/g)]
+        .map(match => match[2])
+        .filter(id => id !== '0');
     }
+
+    const data = response.data;
+    if (!data || typeof data !== 'object') {
+      return [];
+    }
+    const records = Array.isArray(data) ? data : Array.isArray(data.items) ? data.items : [data];
+    return records
+      .map(record => record && (record.id ?? record.key ?? record.customerKey))
+      .filter(id => id !== undefined && id !== null)
+      .map(String);
   }
 
-  async handleRestRequest(args) {
-    try {
-      const tokenInfo = await this.getAccessToken(args.businessUnitId || process.env.MCE_DEFAULT_MID);
-      
-      // Build URL
-      const baseUrl = tokenInfo.rest_instance_url;
-      let url = `${baseUrl}${args.path}`;
-      
-      // Add query parameters
-      if (args.query) {
-        const params = new URLSearchParams();
-        Object.entries(args.query).forEach(([key, value]) => {
-          if (typeof value === 'object') {
-            params.append(key, JSON.stringify(value));
-          } else {
-            params.append(key, value);
-          }
-        });
-        const queryString = params.toString();
-        if (queryString) {
-          url += `?${queryString}`;
-        }
-      }
+  // Tool result for a worker's output; a pending confirmation is passed through as is
+  jsonResult(result) {
+    if (result.confirmation) {
+      return result.confirmation;
+    }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  }
 
-      // Build headers
-      const headers = {
-        'Authorization': `Bearer ${tokenInfo.access_token}`,
-        'Content-Type': 'application/json',
-        ...args.headers,
-      };
+  toolError(label, logMessage, error) {
+    logger.error(logMessage, error);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${label} Error: ${error.message}`,
+        },
+      ],
+    };
+  }
 
-      console.error(`Making ${args.method} request to: ${url}`);
+  withTruncationSummary(result, summary) {
+    if (summary) {
+      result.content.push({
+        type: 'text',
+        text: `Truncation summary: ${JSON.stringify(summary, null, 2)}`,
+      });
+    }
+    return result;
+  }
 
-      // Make request
-      const response = await axios({
-        method: args.method,
-        url: url,
-        headers: headers,
-        data: args.body,
-        validateStatus: () => true, // Don't throw on any status
+  withRetrySummary(result, summary) {
+    if (RequestExecutor.hasRetryInfo(summary)) {
+      result.content.push({
+        type: 'text',
+        text: `Retry summary: ${JSON.stringify(summary, null, 2)}`,
       });
+    }
+    return result;
+  }
 
-      console.error(`Response status: ${response.status}`);
-      
-      // Return the actual response data
-      let responseContent = '';
-      
-      if (response.data) {
-        if (typeof response.data === 'object') {
-          responseContent = JSON.stringify(response.data, null, 2);
-        } else {
-          responseContent = String(response.data);
-        }
-      } else {
-        responseContent = `HTTP ${response.status} (empty response)`;
-      }
+  async sendSoapRequest(args, tokenInfo) {
+    const request = this.buildSoapRequest(args, tokenInfo);
+    logger.debug(`Sending SOAP ${args.action} to: ${request.url}`);
+    logger.debug('SOAP envelope:', request.envelope);
+    
+    // Make SOAP request
+    return await axios.post(request.url, request.envelope, {
+      headers: request.headers,
+      maxBodyLength: Infinity,
+      validateStatus: () => true,
+    });
+  }
 
-      console.error(`Response preview: ${responseContent.substring(0, 500)}`);
+  buildSoapRequest(args, tokenInfo) {
+    return {
+      // Use the soap_instance_url from token response
+      url: tokenInfo.soap_instance_url + 'Service.asmx',
+      headers: {
+        'Content-Type': 'text/xml; charset=UTF-8',
+        'SOAPAction': args.action,
+      },
+      // Build SOAP envelope based on action
+      envelope: this.buildSoapEnvelope(args, tokenInfo.access_token),
+    };
+  }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: responseContent,
-          },
-        ],
-      };
+  // Instance URLs for previews without a network call: the cached token's
+  // endpoints when available, otherwise the tenant-specific defaults
+  getPreviewTokenInfo(args) {
+    const profile = this.profiles.resolve(args.profile);
+    const businessUnitId = args.businessUnitId || profile.defaultMid;
+    const cached = this.tokens.get(this.getTokenCacheKey(profile.name, businessUnitId));
+
+    return {
+      access_token: '[REDACTED]',
+      rest_instance_url: cached?.rest_instance_url || `https://${profile.subdomain}.rest.marketingcloudapis.com`,
+      soap_instance_url: cached?.soap_instance_url || `https://${profile.subdomain}.soap.marketingcloudapis.com/`,
+      profile: profile.name,
+      businessUnitId: businessUnitId || null,
+    };
+  }
+
+  // Policy outcome for previews; never issues or consumes confirmation tokens
+  describePolicy(request, args) {
+    try {
+      const decision = this.policy.evaluate({ ...request, profile: this.profiles.resolve(args.profile).name });
+      return { allowed: true, requiresConfirmation: decision.requiresConfirmation, reason: decision.reason || null };
     } catch (error) {
-      console.error('REST request failed:', error);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Error: ${error.message}`,
-          },
-        ],
-      };
+      return { allowed: false, reason: error.message };
     }
   }
 
-  async handleSoapRequest(args) {
-    try {
-      console.error('\n=== SOAP REQUEST DEBUG START ===');
-      console.error('Input args:', JSON.stringify(args, null, 2));
-      
-      const tokenInfo = await this.getAccessToken(args.businessUnitId || process.env.MCE_DEFAULT_MID);
-      console.error('Token acquired successfully');
-      console.error('SOAP Instance URL:', tokenInfo.soap_instance_url);
-      
-      // Use the soap_instance_url from token response
-      const soapUrl = tokenInfo.soap_instance_url + 'Service.asmx';
-      console.error('Full SOAP URL:', soapUrl);
-      
-      // Build SOAP envelope based on action
-      const soapEnvelope = this.buildSoapEnvelope(args, tokenInfo.access_token);
-      console.error('\n=== SOAP ENVELOPE ===');
-      console.error(soapEnvelope);
-      console.error('=== END SOAP ENVELOPE ===\n');
-      
-      // Make SOAP request
-      console.error('Sending SOAP request...');
-      const response = await axios.post(soapUrl, soapEnvelope, {
-        headers: {
-          'Content-Type': 'text/xml; charset=UTF-8',
-          'SOAPAction': args.action,
-        },
-        maxBodyLength: Infinity,
-        validateStatus: () => true,
-      });
+  buildRestPreview(args) {
+    const tokenInfo = this.getPreviewTokenInfo(args);
+    const request = this.buildRestRequest(args, tokenInfo);
 
-      console.error('\n=== SOAP RESPONSE ===');
-      console.error('Status:', response.status);
-      console.error('Status Text:', response.statusText);
-      console.error('Headers:', JSON.stringify(response.headers, null, 2));
-      console.error('Response Data (first 2000 chars):');
-      console.error(String(response.data).substring(0, 2000));
-      console.error('=== END SOAP RESPONSE ===\n');
-
-      // If it's an error response, try to parse it
-      if (response.status !== 200) {
-        console.error('Non-200 status, attempting to parse error...');
-        
-        try {
-          const parsed = await parseXml(response.data, {
-            explicitArray: false,
-            ignoreAttrs: true,
-          });
-          console.error('Parsed error response:', JSON.stringify(parsed, null, 2));
-          
-          // Try to extract fault details
-          if (parsed['soap:Envelope'] && parsed['soap:Envelope']['soap:Body']) {
-            const body = parsed['soap:Envelope']['soap:Body'];
-            if (body['soap:Fault']) {
-              return {
-                content: [
-                  {
-                    type: 'text',
-                    text: `SOAP Fault: ${JSON.stringify(body['soap:Fault'], null, 2)}`,
-                  },
-                ],
-              };
-            }
-          }
-        } catch (e) {
-          console.error('Could not parse error as XML:', e.message);
-        }
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `SOAP Error (${response.status}): ${response.data}`,
-            },
-          ],
-        };
-      }
+    return {
+      dryRun: true,
+      profile: tokenInfo.profile,
+      businessUnitId: tokenInfo.businessUnitId,
+      method: request.method,
+      url: request.url,
+      headers: { ...request.headers, Authorization: 'Bearer [REDACTED]' },
+      body: request.data ?? null,
+      policy: this.describePolicy({ api: 'REST', method: args.method, path: args.path }, args),
+    };
+  }
 
-      // Parse successful XML response
-      console.error('Attempting to parse successful response...');
-      try {
-        const parsed = await parseXml(response.data, {
-          explicitArray: false,
-          ignoreAttrs: true,
-          tagNameProcessors: [(name) => name.replace(':', '_')],
-        });
-        
-        console.error('Successfully parsed response');
-        console.error('=== SOAP REQUEST DEBUG END ===\n');
-        
-        // Extract the response body
-        let responseBody = parsed;
-        if (parsed['soap_Envelope'] && parsed['soap_Envelope']['soap_Body']) {
-          responseBody = parsed['soap_Envelope']['soap_Body'];
-        } else if (parsed['s_Envelope'] && parsed['s_Envelope']['s_Body']) {
-          responseBody = parsed['s_Envelope']['s_Body'];
-        }
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(responseBody, null, 2),
-            },
-          ],
-        };
-      } catch (parseError) {
-        console.error('XML Parse Error:', parseError);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: response.data,
-            },
-          ],
-        };
-      }
-    } catch (error) {
-      console.error('=== SOAP REQUEST EXCEPTION ===');
-      console.error('Error Message:', error.message);
-      console.error('Error Stack:', error.stack);
-      if (error.response) {
-        console.error('Error Response Status:', error.response.status);
-        console.error('Error Response Data:', error.response.data);
-      }
-      console.error('=== END SOAP REQUEST EXCEPTION ===\n');
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `SOAP Error: ${error.message}`,
-          },
-        ],
-      };
+  buildSoapPreview(args) {
+    const tokenInfo = this.getPreviewTokenInfo(args);
+    const batches = BATCH_SOAP_ACTIONS.includes(args.action) && args.objects && args.objects.length > 1
+      ? this.getSoapBatches(args)
+      : null;
+    const request = this.buildSoapRequest(batches ? batches[0].args : args, tokenInfo);
+
+    const preview = {
+      dryRun: true,
+      profile: tokenInfo.profile,
+      businessUnitId: tokenInfo.businessUnitId,
+      url: request.url,
+      headers: request.headers,
+      envelope: request.envelope,
+      policy: this.describePolicy({ api: 'SOAP', action: args.action, objectType: args.objectType }, args),
+    };
+    if (batches && batches.length > 1) {
+      preview.batches = { count: batches.length, objects: args.objects.length, note: 'envelope shows the first batch' };
     }
+    return preview;
   }
 
   async handleEmailBuild(args) {
     try {
-      console.error('Building email with args:', JSON.stringify(args, null, 2));
+      logger.debug('Building email with args:', args);
       
       const builder = new EmailBuilder(this);
+      const requestContext = { profile: args.profile, confirmationToken: args.confirmationToken, tool: 'mce_v1_build_email' };
+      builder.requestContext = requestContext;
       
       // Option 1: Use a predefined template
       if (args.template && args.template !== 'custom') {
-        console.error(`Using ${args.template} template`);
+        logger.debug(`Using ${args.template} template`);
         
         let templateBuilder;
         switch(args.template) {
@@ -635,6 +3213,9 @@ class MarketingCloudServer {
             throw new Error(`Unknown template: ${args.template}`);
         }
         
+        templateBuilder.server = this;
+        templateBuilder.requestContext = requestContext;
+
         // Override template name/subject if provided
         templateBuilder.metadata.name = args.name;
         templateBuilder.metadata.subject = args.subject;
@@ -642,20 +3223,12 @@ class MarketingCloudServer {
           templateBuilder.metadata.categoryId = args.folderId;
         }
         
-        const result = await templateBuilder.build();
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2)
-            }
-          ]
-        };
+        return await this.finishEmailBuild(templateBuilder, args);
       }
       
       // Option 2: Build from natural language command
       if (args.nlpCommand) {
-        console.error('Processing NLP command:', args.nlpCommand);
+        logger.debug('Processing NLP command:', args.nlpCommand);
         
         const nlpBuilder = new EmailNLPBuilder(builder);
         
@@ -669,26 +3242,18 @@ class MarketingCloudServer {
         const commands = args.nlpCommand.split('. ').filter(cmd => cmd.trim());
         for (const command of commands) {
           const result = await nlpBuilder.processCommand(command.trim());
-          console.error('NLP command processed:', command, '→', result);
+          logger.debug('NLP command processed:', command, '→', result);
           if (result.error) {
-            console.error('NLP error:', result.error);
+            logger.warn('NLP error:', result.error);
           }
         }
         
-        const result = await builder.build();
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2)
-            }
-          ]
-        };
+        return await this.finishEmailBuild(builder, args);
       }
       
       // Option 3: Build from structured sections
       if (args.sections && args.sections.length > 0) {
-        console.error('Building from sections array');
+        logger.debug('Building from sections array');
         
         builder.create(args.name, args.subject, {
           folderId: args.folderId,
@@ -700,19 +3265,11 @@ class MarketingCloudServer {
           builder.addSection(section);
         }
         
-        const result = await builder.build();
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2)
-            }
-          ]
-        };
+        return await this.finishEmailBuild(builder, args);
       }
       
       // Default: Create basic email with common structure
-      console.error('Creating basic email structure');
+      logger.debug('Creating basic email structure');
       
       builder.create(args.name, args.subject, {
         folderId: args.folderId,
@@ -739,27 +3296,49 @@ class MarketingCloudServer {
         new Section().addContent(commonBlocks.footer.imprint)
       );
       
-      const result = await builder.build();
+      return await this.finishEmailBuild(builder, args);
+      
+    } catch (error) {
+      logger.error('Email build error:', error);
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify(result, null, 2)
+            text: `Error building email: ${error.message}\n\nStack: ${error.stack}`
           }
         ]
       };
-      
-    } catch (error) {
-      console.error('Email build error:', error);
+    }
+  }
+
+  // Creates the asset, or returns the request and HTML when dryRun is set
+  async finishEmailBuild(builder, args) {
+    const { method, path } = builder.buildRequest();
+    if (args.customerKey) {
+      builder.metadata.customerKey = args.customerKey;
+    } else if (this.describePolicy({ api: 'REST', method, path }, args).requiresConfirmation) {
+      // A time-based key would differ on the confirming call, so derive it
+      // from the build arguments to keep the confirmed request identical
+      const { confirmationToken, dryRun, ...buildArgs } = args;
+      builder.metadata.customerKey = builder.generateKey(args.name, RequestPolicy.fingerprint(buildArgs).slice(0, 12));
+    }
+
+    if (args.dryRun) {
+      const request = builder.buildRequest();
+      const preview = this.buildRestPreview({ ...builder.requestContext, ...request });
+
       return {
         content: [
           {
             type: 'text',
-            text: `Error building email: ${error.message}\n\nStack: ${error.stack}`
+            text: JSON.stringify({ ...preview, html: builder.generateHTML() }, null, 2)
           }
         ]
       };
     }
+
+    // build() returns the REST tool result, including any confirmation prompt
+    return await builder.build();
   }
 
   // Helper method to create sections from data
@@ -833,7 +3412,7 @@ class MarketingCloudServer {
   }
 
   buildSoapEnvelope(args, accessToken) {
-    const subdomain = process.env.MCE_SUBDOMAIN;
+    const { subdomain } = this.profiles.resolve(args.profile);
     
     let body = '';
     
@@ -845,6 +3424,16 @@ class MarketingCloudServer {
       body = this.buildUpdateBody(args);
     } else if (args.action === 'Delete') {
       body = this.buildDeleteBody(args);
+    } else if (args.action === 'Describe') {
+      body = this.buildDescribeBody(args);
+    } else if (args.action === 'Perform') {
+      body = this.buildPerformBody(args);
+    } else if (args.action === 'Configure') {
+      body = this.buildConfigureBody(args);
+    } else if (args.action === 'Schedule') {
+      body = this.buildScheduleBody(args);
+    } else if (args.action === 'Extract') {
+      body = this.buildExtractBody(args);
     } else {
       throw new Error(`Unsupported SOAP action: ${args.action}`);
     }
@@ -863,114 +3452,234 @@ class MarketingCloudServer {
   }
 
   buildCreateBody(args) {
-    if (args.objectType === 'DataExtension') {
-      // Special handling for DataExtension creation
-      const de = args.objects && args.objects[0] || {};
-      let fieldsXml = '';
-      
-      if (de.fields && de.fields.length > 0) {
-        fieldsXml = de.fields.map(field => `
-      <Fields>
-        <Field>
-          <Name>${field.name}</Name>
-          <FieldType>${field.fieldType || 'Text'}</FieldType>
-          ${field.maxLength ? `<MaxLength>${field.maxLength}</MaxLength>` : ''}
-          ${field.isPrimaryKey ? `<IsPrimaryKey>true</IsPrimaryKey>` : ''}
-          ${field.isRequired ? `<IsRequired>true</IsRequired>` : ''}
-        </Field>
-      </Fields>`).join('');
-      }
-
-      return `
-    <CreateRequest xmlns="http://exacttarget.com/wsdl/partnerAPI">
-      <Objects xsi:type="DataExtension">
-        <CustomerKey>${de.customerKey || de.name}</CustomerKey>
-        <Name>${de.name}</Name>
-        ${de.description ? `<Description>${de.description}</Description>` : ''}
-        ${de.isSendable ? `<IsSendable>true</IsSendable>` : ''}
-        ${de.isSendable && de.sendableDataExtensionField ? `
-        <SendableDataExtensionField>
-          <Name>${de.sendableDataExtensionField}</Name>
-          <FieldType>EmailAddress</FieldType>
-        </SendableDataExtensionField>
-        <SendableSubscriberField>
-          <Name>${de.sendableSubscriberField || '_SubscriberKey'}</Name>
-        </SendableSubscriberField>` : ''}
-        ${fieldsXml}
-      </Objects>
-    </CreateRequest>`;
-    }
-    
-    // Generic create for other object types
-    const obj = args.objects && args.objects[0] || {};
+    // DataExtension creation accepts the friendly { name, fields: [...] } shape
+    const objects = (args.objects || []).map(obj =>
+      args.objectType === 'DataExtension' ? this.buildDataExtensionDefinition(obj) : obj
+    );
+
     return `
     <CreateRequest xmlns="http://exacttarget.com/wsdl/partnerAPI">
-      <Objects xsi:type="${args.objectType}">
-        ${this.buildObjectProperties(obj)}
-      </Objects>
+      ${this.buildSoapOptions(args)}
+      ${objects.map(obj => this.buildSoapObject('Create', args.objectType, obj)).join('')}
     </CreateRequest>`;
   }
 
+  // <Options> for Create/Update/Delete; upsert saves every property with UpdateAdd
+  buildSoapOptions(args) {
+    const options = { ...args.options };
+    if (args.upsert) {
+      options.SaveOptions = [{ PropertyName: '*', SaveAction: 'UpdateAdd' }];
+    }
+    return Object.keys(options).length > 0 ? XmlSerializer.element('Options', options) : '';
+  }
+
+  buildDataExtensionDefinition(de) {
+    const definition = {
+      CustomerKey: de.customerKey || de.name,
+      Name: de.name,
+      Description: de.description,
+      CategoryID: de.categoryId,
+    };
+
+    if (de.isSendable) {
+      definition.IsSendable = true;
+      if (de.sendableDataExtensionField) {
+        const field = (de.fields || []).find(f => String(f.name).toLowerCase() === String(de.sendableDataExtensionField).toLowerCase());
+        definition.SendableDataExtensionField = { Name: de.sendableDataExtensionField, FieldType: (field && field.fieldType) || 'EmailAddress' };
+        definition.SendableSubscriberField = { Name: de.sendableSubscriberField || '_SubscriberKey' };
+      }
+    }
+
+    if (de.retention && de.retention.period) {
+      Object.assign(definition, this.buildDataRetention(de.retention));
+    }
+
+    if (de.fields && de.fields.length > 0) {
+      definition.Fields = de.fields.map(field => this.buildDataExtensionField(field));
+    }
+
+    return definition;
+  }
+
+  buildDataExtensionField(field) {
+    return {
+      Name: field.name,
+      FieldType: field.fieldType || 'Text',
+      MaxLength: field.maxLength || undefined,
+      Scale: field.scale ?? undefined,
+      IsPrimaryKey: field.isPrimaryKey ? true : undefined,
+      IsRequired: field.isRequired ? true : undefined,
+      IsNullable: field.isNullable ?? undefined,
+      DefaultValue: field.defaultValue ?? undefined,
+    };
+  }
+
+  // retention: { period, unit, rowBased, resetOnImport, deleteAtEnd }; none clears it
+  buildDataRetention(retention) {
+    if (!retention || !retention.period) {
+      return { DataRetentionPeriodLength: 0, RowBasedRetention: false, DeleteAtEndOfRetentionPeriod: false };
+    }
+    return {
+      DataRetentionPeriodLength: retention.period,
+      DataRetentionPeriod: retention.unit || 'Days',
+      RowBasedRetention: Boolean(retention.rowBased),
+      ResetRetentionPeriodOnImport: Boolean(retention.resetOnImport),
+      DeleteAtEndOfRetentionPeriod: Boolean(retention.deleteAtEnd),
+    };
+  }
+
+  // Renders one <Objects> element. "DataExtensionObject[Key]" targets the rows of
+  // that data extension; flat rows become Properties (or Keys for Delete).
+  buildSoapObject(action, objectType, obj) {
+    const match = /^DataExtensionObject\[(.+)\]$/.exec(objectType || '');
+    if (!match) {
+      return XmlSerializer.element('Objects', { '@xsi:type': objectType, ...obj });
+    }
+
+    const isStructured = 'Keys' in obj || 'Properties' in obj;
+    const row = isStructured ? obj : {
+      [action === 'Delete' ? 'Keys' : 'Properties']: Object.entries(obj).map(([Name, Value]) => ({ Name, Value })),
+    };
+
+    return XmlSerializer.element('Objects', { '@xsi:type': 'DataExtensionObject', CustomerKey: match[1], ...row });
+  }
+
   buildRetrieveBody(args) {
-    const filter = args.filter ? this.buildFilter(args.filter) : '';
-    const properties = args.properties ? args.properties.map(p => `<Properties>${p}</Properties>`).join('') : '';
+    // A continuation only needs the RequestID; the original filter is not resent
+    const filter = args.filter && !args.continueRequest ? this.buildFilter(args.filter) : '';
+    const properties = args.properties ? args.properties.map(p => `<Properties>${escapeXml(p)}</Properties>`).join('') : '';
+    const clientIds = args.clientIds && args.clientIds.length > 0
+      ? `<ClientIDs>${args.clientIds.map(id => `<ID>${escapeXml(id)}</ID>`).join('')}</ClientIDs>`
+      : '';
     
     return `
     <RetrieveRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
       <RetrieveRequest>
-        <ObjectType>${args.objectType}</ObjectType>
+        ${clientIds}
+        <ObjectType>${escapeXml(args.objectType)}</ObjectType>
         ${properties}
         ${filter}
+        ${args.continueRequest ? `<ContinueRequest>${escapeXml(args.continueRequest)}</ContinueRequest>` : ''}
+        ${args.queryAllAccounts ? '<QueryAllAccounts>true</QueryAllAccounts>' : ''}
       </RetrieveRequest>
     </RetrieveRequestMsg>`;
   }
 
   buildUpdateBody(args) {
-    const obj = args.objects && args.objects[0] || {};
     return `
     <UpdateRequest xmlns="http://exacttarget.com/wsdl/partnerAPI">
-      <Objects xsi:type="${args.objectType}">
-        ${this.buildObjectProperties(obj)}
-      </Objects>
+      ${this.buildSoapOptions(args)}
+      ${(args.objects || []).map(obj => this.buildSoapObject('Update', args.objectType, obj)).join('')}
     </UpdateRequest>`;
   }
 
   buildDeleteBody(args) {
-    const obj = args.objects && args.objects[0] || {};
     return `
     <DeleteRequest xmlns="http://exacttarget.com/wsdl/partnerAPI">
-      <Objects xsi:type="${args.objectType}">
-        ${this.buildObjectProperties(obj)}
-      </Objects>
+      ${this.buildSoapOptions(args)}
+      ${(args.objects || []).map(obj => this.buildSoapObject('Delete', args.objectType, obj)).join('')}
     </DeleteRequest>`;
   }
 
-  buildFilter(filter) {
-    if (!filter) return '';
-    
+  buildDescribeBody(args) {
     return `
-      <Filter xsi:type="SimpleFilterPart">
-        <Property>${filter.property}</Property>
-        <SimpleOperator>${filter.operator}</SimpleOperator>
-        <Value>${filter.value}</Value>
-      </Filter>`;
+    <DefinitionRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
+      <DescribeRequests>
+        <ObjectDefinitionRequest>
+          <ObjectType>${escapeXml(args.objectType)}</ObjectType>
+        </ObjectDefinitionRequest>
+      </DescribeRequests>
+    </DefinitionRequestMsg>`;
   }
 
-  buildObjectProperties(obj) {
-    if (!obj) return '';
-    
-    return Object.entries(obj)
-      .map(([key, value]) => {
-        // Skip complex objects for now
-        if (typeof value === 'object' && !Array.isArray(value)) {
-          return '';
-        }
-        if (Array.isArray(value)) {
-          return '';
-        }
-        return `<${key}>${value}</${key}>`;
-      })
-      .join('');
+  // Starts Automations, ImportDefinitions, QueryDefinitions, EmailSendDefinitions, ...
+  buildPerformBody(args) {
+    const definitions = this.buildTypedObjects(args, 'Perform');
+    return `
+    <PerformRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
+      ${XmlSerializer.element('Action', args.requestAction || 'start')}
+      ${XmlSerializer.element('Definitions', { Definition: definitions })}
+      ${args.options ? XmlSerializer.element('Options', args.options) : ''}
+    </PerformRequestMsg>`;
+  }
+
+  buildConfigureBody(args) {
+    if (!args.requestAction) {
+      throw new Error('Configure requires requestAction (create, update or delete)');
+    }
+
+    const configurations = this.buildTypedObjects(args, 'Configure');
+    return `
+    <ConfigureRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
+      ${XmlSerializer.element('Options', args.options || {})}
+      ${XmlSerializer.element('Action', args.requestAction)}
+      ${XmlSerializer.element('Configurations', { Configuration: configurations })}
+    </ConfigureRequestMsg>`;
+  }
+
+  buildScheduleBody(args) {
+    if (!args.schedule) {
+      throw new Error('Schedule requires a schedule definition');
+    }
+
+    const interactions = this.buildTypedObjects(args, 'Schedule');
+    return `
+    <ScheduleRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
+      ${XmlSerializer.element('Action', args.requestAction || 'start')}
+      ${XmlSerializer.element('Schedule', args.schedule)}
+      ${XmlSerializer.element('Interactions', { Interaction: interactions })}
+      ${args.options ? XmlSerializer.element('Options', args.options) : ''}
+    </ScheduleRequestMsg>`;
+  }
+
+  // Data extension extracts need _AsyncID and a date range even though the
+  // range is ignored, so those get defaults
+  buildExtractBody(args) {
+    const extract = args.extract || {};
+    const definition = extract.definition || extract.id;
+    if (!definition) {
+      throw new Error('Extract requires extract.definition ("dataExtension", "tracking" or an ExtractDefinition ID)');
+    }
+
+    let parameters = { ...extract.parameters };
+    if (definition === 'dataExtension') {
+      if (!parameters.DECustomerKey || !parameters.OutputFileName) {
+        throw new Error('Data extension extracts require parameters.DECustomerKey and parameters.OutputFileName');
+      }
+      parameters = {
+        HasColumnHeaders: true,
+        _AsyncID: 0,
+        StartDate: '1/1/1900 12:00:00 AM',
+        EndDate: '1/1/1900 12:00:00 AM',
+        ...parameters,
+      };
+    }
+
+    const request = {
+      ID: EXTRACT_DEFINITIONS[definition] || definition,
+      Options: args.options,
+      Parameters: {
+        Parameter: Object.entries(parameters).map(([Name, Value]) => ({ Name, Value })),
+      },
+    };
+
+    return `
+    <ExtractRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI">
+      ${XmlSerializer.element('Requests', request)}
+    </ExtractRequestMsg>`;
+  }
+
+  // Perform/Configure/Schedule carry their objects as typed child elements
+  buildTypedObjects(args, action) {
+    const objects = args.objects || [];
+    if (objects.length === 0) {
+      throw new Error(`${action} requires at least one object`);
+    }
+    return objects.map(obj => ({ '@xsi:type': args.objectType, ...obj }));
+  }
+
+  buildFilter(filter) {
+    return SoapFilterBuilder.build(filter);
   }
 
   getDocumentation() {
@@ -980,11 +3689,16 @@ class MarketingCloudServer {
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
-    console.error('Marketing Cloud Engagement MCP server running v1.1.0');
-    console.error('Documentation files loaded:', Object.keys(documentation).join(', '));
-    console.error('Email builder integration active');
+    logger.info('Marketing Cloud Engagement MCP server running v1.1.0');
+    logger.info('Documentation files loaded:', Object.keys(documentation).join(', '));
+    logger.info('Email builder integration active');
   }
 }
 
-const server = new MarketingCloudServer();
-server.run().catch(console.error);
\ No newline at end of file
+export { MarketingCloudServer };
+
+// Only start the stdio server when run directly, not when imported by the tests
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  const server = new MarketingCloudServer();
+  server.run().catch(error => logger.error('Server failed to start:', error));
+}
\ No newline at end of file
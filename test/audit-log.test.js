@@ -0,0 +1,38 @@
+// test/audit-log.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AuditLog } from '../utils/audit-log.js';
+
+const tempLog = () => new AuditLog(join(mkdtempSync(join(tmpdir(), 'mce-audit-')), 'nested', 'audit.jsonl'));
+
+test('records entries in order and returns the newest first', async () => {
+  const log = tempLog();
+  log.record({ tool: 'mce_v1_rest_request', operation: 'POST', target: '/asset/v1/content/assets', profile: 'prod' });
+  log.record({ tool: 'mce_v1_soap_request', operation: 'Create', objectType: 'DataExtension', targetKeys: ['Orders'], profile: 'dev' });
+
+  const all = await log.query();
+  assert.equal(all.total, 2);
+  assert.deepEqual(all.entries.map(entry => entry.operation), ['Create', 'POST']);
+  assert.ok(all.entries[0].timestamp && all.entries[0].actor);
+});
+
+test('filters by profile, operation, target and time', async () => {
+  const log = tempLog();
+  log.record({ operation: 'POST', target: '/asset/v1/content/assets', profile: 'prod' });
+  log.record({ operation: 'Create', objectType: 'DataExtension', targetKeys: ['Orders'], profile: 'dev' });
+
+  assert.equal((await log.query({ profile: 'PROD' })).total, 1);
+  assert.equal((await log.query({ operation: 'create' })).total, 1);
+  assert.equal((await log.query({ target: 'orders' })).entries[0].objectType, 'DataExtension');
+  assert.equal((await log.query({ to: '2000-01-01T00:00:00Z' })).total, 0);
+  await assert.rejects(log.query({ from: 'yesterday' }), /ISO 8601/);
+});
+
+test('a missing file is an empty log and bodies hash stably', async () => {
+  assert.equal((await tempLog().query()).total, 0);
+  assert.equal(AuditLog.hashBody({ a: 1 }), AuditLog.hashBody('{"a":1}'));
+  assert.equal(AuditLog.hashBody(''), null);
+});
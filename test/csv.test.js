@@ -0,0 +1,28 @@
+// test/csv.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsvRow } from '../utils/csv.js';
+
+test('parses quoted fields, doubled quotes and newlines inside quotes', () => {
+  const rows = parseCsv('\uFEFFEmail, Name\r\na@x.com,"Smith, ""Al"""\r\nb@x.com,"two\nlines"\n');
+  assert.deepEqual(rows, [
+    { Email: 'a@x.com', Name: 'Smith, "Al"' },
+    { Email: 'b@x.com', Name: 'two\nlines' },
+  ]);
+});
+
+test('skips blank lines and supports other delimiters', () => {
+  assert.deepEqual(parseCsv('A;B\n\n1;2\n\n', ';'), [{ A: '1', B: '2' }]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('reports the line of a malformed record', () => {
+  assert.throws(() => parseCsv('A,B\n1,2\n"x\ny",2,3\n'), /Line 3 has 3 fields, expected 2/);
+  assert.throws(() => parseCsv('A\n"open'), /Unterminated quoted field starting on line 2/);
+});
+
+test('toCsvRow quotes only when needed and round-trips through parseCsv', () => {
+  const row = toCsvRow(['plain', 'a,b', 'say "hi"', null, { x: 1 }]);
+  assert.equal(row, 'plain,"a,b","say ""hi""",,"{""x"":1}"');
+  assert.deepEqual(parseCsv(`A,B,C,D,E\n${row}`), [{ A: 'plain', B: 'a,b', C: 'say "hi"', D: '', E: '{"x":1}' }]);
+});
@@ -0,0 +1,66 @@
+// test/de-rows.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DataExtensionRows } from '../utils/de-rows.js';
+import { SoapSchema } from '../utils/soap-schema.js';
+
+const schema = SoapSchema.fromDataExtensionFields('DataExtensionObject[Contacts]', [
+  { Name: 'Email', FieldType: 'EmailAddress', MaxLength: 254, IsPrimaryKey: true, IsRequired: true, Ordinal: 0 },
+  { Name: 'Name', FieldType: 'Text', MaxLength: 5, Ordinal: 1 },
+  { Name: 'Score', FieldType: 'Decimal', MaxLength: 5, Scale: 2, Ordinal: 2 },
+]);
+
+test('loads rows from csv and ndjson files', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'de-rows-'));
+  try {
+    writeFileSync(join(dir, 'rows.csv'), 'Email,Name\na@x.com,A\n');
+    writeFileSync(join(dir, 'rows.ndjson'), '{"Email":"a@x.com"}\n\n{"Email":"b@x.com"}\n');
+    writeFileSync(join(dir, 'bad.ndjson'), '{"Email":"a@x.com"}\n{nope}\n');
+
+    assert.deepEqual((await DataExtensionRows.load({ file: join(dir, 'rows.csv') })).rows, [{ Email: 'a@x.com', Name: 'A' }]);
+    assert.equal((await DataExtensionRows.load({ file: join(dir, 'rows.ndjson') })).rows.length, 2);
+    await assert.rejects(DataExtensionRows.load({ file: join(dir, 'bad.ndjson') }), /Invalid JSON on line 2/);
+    await assert.rejects(DataExtensionRows.load({ file: join(dir, 'rows.csv'), format: 'xml' }), /Unsupported file format "xml"/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('rewrites column names to the data extension spelling', () => {
+  const { valid, errors } = DataExtensionRows.validate([{ email: 'a@x.com', NAME: 'Al' }], schema);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(valid, [{ row: 1, values: { Email: 'a@x.com', Name: 'Al' } }]);
+});
+
+test('reports unknown columns, bad values and duplicate keys by row', () => {
+  const { valid, errors } = DataExtensionRows.validate([
+    { Email: 'a@x.com', Nmae: 'A' },
+    { Email: 'not-an-email' },
+    { Email: 'b@x.com', Name: 'Too long' },
+    { Email: 'c@x.com' },
+    { Email: 'C@x.com' },
+  ], schema);
+
+  assert.deepEqual(valid.map(({ row }) => row), [4]);
+  assert.deepEqual(errors.map(({ row, field }) => [row, field]), [[1, 'Nmae'], [2, 'Email'], [3, 'Name'], [5, 'Email']]);
+  assert.match(errors[0].message, /did you mean "Name"/);
+  assert.match(errors[3].message, /same as row 4/);
+});
+
+test('checkValue enforces data types', () => {
+  const check = (dataType, value, extra = {}) => DataExtensionRows.checkValue({ name: 'F', dataType, ...extra }, value);
+  assert.equal(check('Number', '42'), null);
+  assert.match(check('Number', '4.2'), /not a whole number/);
+  assert.match(check('Number', '3000000000'), /not a whole number/);
+  assert.equal(check('Decimal', '123.45', { maxLength: 5, scale: 2 }), null);
+  assert.match(check('Decimal', '1.234', { maxLength: 5, scale: 2 }), /more than 2 decimal places/);
+  assert.match(check('Decimal', '1234', { maxLength: 5, scale: 2 }), /exceeds Decimal\(5,2\)/);
+  assert.equal(check('Boolean', 'Yes'), null);
+  assert.match(check('Boolean', 'maybe'), /not a boolean/);
+  assert.match(check('Date', 'someday'), /not a date/);
+  assert.equal(check('Text', '', { isRequired: true, defaultValue: 'x' }), null);
+  assert.match(check('Text', '', { isRequired: true }), /Value is required/);
+});
@@ -0,0 +1,103 @@
+// test/de-schema.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataExtensionSchema, SAFE, DESTRUCTIVE, UNSUPPORTED } from '../utils/de-schema.js';
+
+const live = {
+  customerKey: 'Signups',
+  name: 'Signups',
+  isSendable: false,
+  fields: [
+    { name: 'Email', fieldType: 'EmailAddress', maxLength: 254, isPrimaryKey: true, isRequired: true },
+    { name: 'Name', fieldType: 'Text', maxLength: 100 },
+    { name: 'Legacy', fieldType: 'Text', maxLength: 50 },
+  ],
+};
+
+const summarize = changes => changes.map(({ kind, risk, field, property }) => [kind, risk, field ?? property ?? null]);
+
+test('a missing data extension is a single create', () => {
+  assert.deepEqual(summarize(DataExtensionSchema.diff(DataExtensionSchema.normalize({ customerKey: 'New', fields: [{ name: 'A' }] }), null)),
+    [['createDataExtension', SAFE, null]]);
+});
+
+test('an identical schema has no changes, ignoring field order and case', () => {
+  const desired = DataExtensionSchema.normalize({
+    customerKey: 'Signups',
+    fields: [
+      { name: 'name', fieldType: 'text' },
+      { name: 'Email', fieldType: 'EmailAddress', isPrimaryKey: true, isRequired: true },
+      { name: 'Legacy', maxLength: 50 },
+    ],
+  });
+  assert.deepEqual(DataExtensionSchema.diff(desired, live), []);
+});
+
+test('classifies field changes by risk', () => {
+  const desired = DataExtensionSchema.normalize({
+    customerKey: 'Signups',
+    description: 'Newsletter',
+    fields: [
+      { name: 'Email', fieldType: 'Text', isPrimaryKey: true, isRequired: true },
+      { name: 'Name', maxLength: 50, isRequired: true },
+      { name: 'Phone', fieldType: 'Phone' },
+      { name: 'Tier', isRequired: true },
+    ],
+  });
+
+  assert.deepEqual(summarize(DataExtensionSchema.diff(desired, live)), [
+    ['updateProperty', SAFE, 'description'],
+    ['updateField', UNSUPPORTED, 'Email'],
+    ['updateField', DESTRUCTIVE, 'Name'],
+    ['updateField', DESTRUCTIVE, 'Name'],
+    ['addField', SAFE, 'Phone'],
+    ['addField', DESTRUCTIVE, 'Tier'],
+    ['removeField', DESTRUCTIVE, 'Legacy'],
+  ]);
+});
+
+test('sendable and primary key changes are unsupported', () => {
+  const desired = DataExtensionSchema.normalize({
+    customerKey: 'Signups',
+    isSendable: true,
+    fields: [...live.fields, { name: 'Id', fieldType: 'Number', isPrimaryKey: true }],
+  });
+  assert.deepEqual(summarize(DataExtensionSchema.diff(desired, live)), [
+    ['updateProperty', UNSUPPORTED, 'isSendable'],
+    ['addField', UNSUPPORTED, 'Id'],
+  ]);
+});
+
+test('retention changes are destructive and compared with defaults', () => {
+  const withRetention = { ...live, retention: { period: 6, unit: 'Months', rowBased: true } };
+  assert.deepEqual(DataExtensionSchema.diff({ ...withRetention, retention: { period: 6, unit: 'months', rowBased: true, deleteAtEnd: false } }, withRetention), []);
+  assert.deepEqual(summarize(DataExtensionSchema.diff({ ...withRetention, retention: { period: 3, unit: 'Months', rowBased: true } }, withRetention)),
+    [['updateRetention', DESTRUCTIVE, null]]);
+});
+
+test('fromLive builds a schema from retrieve results in ordinal order', () => {
+  const definition = DataExtensionSchema.fromLive(
+    { CustomerKey: 'Signups', Name: 'Signups', IsSendable: true, SendableDataExtensionField: { Name: 'Email' }, SendableSubscriberField: { Name: 'Subscriber Key' }, DataRetentionPeriodLength: 0 },
+    [
+      { Name: 'Name', FieldType: 'Text', MaxLength: 100, Ordinal: 1 },
+      { Name: 'Email', FieldType: 'EmailAddress', MaxLength: 254, IsPrimaryKey: true, IsRequired: true, Ordinal: 0 },
+    ]
+  );
+  assert.deepEqual(definition, {
+    customerKey: 'Signups',
+    name: 'Signups',
+    isSendable: true,
+    sendableDataExtensionField: 'Email',
+    sendableSubscriberField: 'Subscriber Key',
+    fields: [
+      { name: 'Email', fieldType: 'EmailAddress', maxLength: 254, isPrimaryKey: true, isRequired: true },
+      { name: 'Name', fieldType: 'Text', maxLength: 100 },
+    ],
+  });
+});
+
+test('normalize rejects schemas without a key or fields', () => {
+  assert.throws(() => DataExtensionSchema.normalize({ fields: [{ name: 'A' }] }), /needs a customerKey or name/);
+  assert.throws(() => DataExtensionSchema.normalize({ customerKey: 'A', fields: [] }), /has no fields/);
+  assert.throws(() => DataExtensionSchema.normalize({ customerKey: 'A', fields: [{}] }), /Every field needs a name/);
+});
@@ -0,0 +1,84 @@
+// test/de-validator.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataExtensionValidator } from '../utils/de-validator.js';
+
+const valid = {
+  name: 'Signups',
+  customerKey: 'Signups',
+  categoryId: 123,
+  isSendable: true,
+  sendableDataExtensionField: 'Email',
+  sendableSubscriberField: 'Subscriber Key',
+  retention: { period: 6, unit: 'Months' },
+  fields: [
+    { name: 'Email', fieldType: 'EmailAddress', maxLength: 254, isPrimaryKey: true, isRequired: true },
+    { name: 'Score', fieldType: 'Decimal', maxLength: 5, scale: 2, defaultValue: '1.50' },
+    { name: 'Created', fieldType: 'Date', defaultValue: 'GETDATE()' },
+  ],
+};
+
+const messages = definition => DataExtensionValidator.validate(definition).map(({ field, message }) => `${field ?? '-'}: ${message}`);
+
+test('accepts a valid definition', () => {
+  assert.deepEqual(DataExtensionValidator.validate(valid), []);
+});
+
+test('reports every field problem at once', () => {
+  const problems = messages({
+    name: 'Bad',
+    fields: [
+      { name: 'Id', fieldType: 'Number', isPrimaryKey: true, maxLength: 10 },
+      { name: 'id', fieldType: 'Text', maxLength: 5000 },
+      { name: '_Internal' },
+      { name: 'Amount', fieldType: 'Decimal', maxLength: 5, scale: 6 },
+      { name: 'Flag', fieldType: 'Bool' },
+      { name: 'Count', fieldType: 'Number', defaultValue: 'many' },
+      {},
+    ],
+  });
+
+  assert.deepEqual(problems, [
+    'Id: maxLength does not apply to Number fields',
+    'Id: Primary key fields must also be required (isRequired: true)',
+    'id: Duplicate field name (also field #1); names are not case sensitive',
+    'id: Text fields hold at most 4000 characters',
+    '_Internal: Names starting with "_" are reserved for system fields',
+    'Amount: Decimal scale must be between 0 and the precision (5)',
+    'Flag: Unknown fieldType "Bool" (use Text, Number, Date, Boolean, EmailAddress, Phone, Decimal, Locale)',
+    'Count: Invalid defaultValue: "many" is not a whole number',
+    '#7: Field name is required',
+  ]);
+});
+
+test('reports reserved system field names in any case', () => {
+  const withFields = (...names) => messages({ ...valid, fields: [...valid.fields, ...names.map(name => ({ name }))] });
+
+  assert.deepEqual(withFields('_CustomObjectKey', '_customobjectkey', '_ContactKey', '_SubscriberKey'), [
+    '_CustomObjectKey: "_CustomObjectKey" is a reserved system field name',
+    '_customobjectkey: Duplicate field name (also field #4); names are not case sensitive',
+    '_customobjectkey: "_CustomObjectKey" is a reserved system field name',
+    '_ContactKey: "_ContactKey" is a reserved system field name',
+    '_SubscriberKey: "_SubscriberKey" is a reserved system field name',
+  ]);
+  assert.deepEqual(withFields('_Custom'), ['_Custom: Names starting with "_" are reserved for system fields']);
+  assert.deepEqual(withFields('CustomObjectKey', 'Subscriber_Key'), []);
+});
+
+test('checks the sendable relationship and retention', () => {
+  assert.deepEqual(messages({ ...valid, sendableDataExtensionField: 'Mail' }), ['-: sendableDataExtensionField "Mail" is not one of the fields']);
+  assert.deepEqual(messages({ ...valid, sendableDataExtensionField: 'Created' }), ['Created: A Date field cannot relate to subscribers (use Text, EmailAddress, Number)']);
+  assert.deepEqual(messages({ ...valid, retention: { period: 0, unit: 'Hours' } }), [
+    '-: retention.period must be a positive whole number',
+    '-: retention.unit must be one of Days, Weeks, Months, Years',
+  ]);
+});
+
+test('rejects definitions without a name or fields', () => {
+  assert.deepEqual(messages({ categoryId: 'Shared' }), [
+    '-: A name or customerKey is required',
+    '-: categoryId "Shared" is not a folder ID',
+    '-: At least one field is required',
+  ]);
+  assert.equal(DataExtensionValidator.format([{ field: null, message: 'a' }, { field: 'F', message: 'b' }]), '- a\n- F: b');
+});
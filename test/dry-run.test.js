@@ -0,0 +1,86 @@
+// test/dry-run.test.js
+import { createServer, resultText } from './support/mock-server.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// A server that fails the test if anything other than a token request is sent
+function offlineServer() {
+  return createServer(config => assert.fail(`unexpected ${config.method} ${config.url}`));
+}
+
+test('previews a REST request without sending it', async () => {
+  const server = offlineServer();
+  server.policy.config = { requireConfirmation: { rest: [{ methods: ['DELETE'] }] } };
+
+  const preview = JSON.parse(resultText(await server.handleRestRequest({
+    method: 'DELETE',
+    path: '/asset/v1/content/assets/5',
+    query: { force: true },
+    businessUnitId: '500',
+    dryRun: true,
+  })));
+
+  assert.equal(preview.dryRun, true);
+  assert.equal(preview.businessUnitId, '500');
+  assert.equal(preview.url, 'https://test.rest.marketingcloudapis.com/asset/v1/content/assets/5?force=true');
+  assert.equal(preview.headers.Authorization, 'Bearer [REDACTED]');
+  assert.deepEqual(preview.policy, { allowed: true, requiresConfirmation: true, reason: 'DELETE /asset/v1/content/assets/5 requires confirmation' });
+  assert.equal(server.tokenRequests.length, 0);
+});
+
+test('reports a blocked REST request in the preview instead of throwing', async () => {
+  const server = offlineServer();
+  server.policy.config = { readOnly: true };
+
+  const preview = JSON.parse(resultText(await server.handleRestRequest({ method: 'POST', path: '/hub/v1/dataevents', body: { a: 1 }, dryRun: true })));
+  assert.equal(preview.policy.allowed, false);
+  assert.match(preview.policy.reason, /read-only/);
+  assert.deepEqual(preview.body, { a: 1 });
+});
+
+test('previews a SOAP request with the token redacted from the envelope', async () => {
+  const server = offlineServer();
+
+  const preview = JSON.parse(resultText(await server.handleSoapRequest({
+    action: 'Create',
+    objectType: 'DataExtensionObject[Orders]',
+    objects: [{ Keys: { Id: '1' }, Properties: { Status: 'new' } }],
+    dryRun: true,
+  })));
+
+  assert.equal(preview.url, 'https://test.soap.marketingcloudapis.com/Service.asmx');
+  assert.equal(preview.headers.SOAPAction, 'Create');
+  assert.match(preview.envelope, /<fueloauth xmlns="http:\/\/exacttarget.com">\[REDACTED\]<\/fueloauth>/);
+  assert.match(preview.envelope, /<CreateRequest/);
+  assert.deepEqual(preview.policy, { allowed: true, requiresConfirmation: false, reason: null });
+  assert.equal(server.tokenRequests.length, 0);
+});
+
+test('shows the batch count when a SOAP preview would be split', async () => {
+  const server = offlineServer();
+  const objects = Array.from({ length: 5 }, (_, i) => ({ Keys: { Id: String(i) } }));
+
+  const preview = JSON.parse(resultText(await server.handleSoapRequest({
+    action: 'Delete',
+    objectType: 'DataExtensionObject[Orders]',
+    objects,
+    batchSize: 2,
+    dryRun: true,
+  })));
+
+  assert.deepEqual(preview.batches, { count: 3, objects: 5, note: 'envelope shows the first batch' });
+});
+
+test('previews an email build with its asset request and HTML', async () => {
+  const server = offlineServer();
+
+  const preview = JSON.parse(resultText(await server.handleEmailBuild({ name: 'Spring Sale', subject: 'Hello', folderId: 12, dryRun: true })));
+
+  assert.equal(preview.method, 'POST');
+  assert.equal(preview.url, 'https://test.rest.marketingcloudapis.com/asset/v1/content/assets');
+  assert.equal(preview.body.name, 'Spring Sale');
+  assert.deepEqual(preview.body.category, { id: 12 });
+  assert.match(preview.html, /^<!DOCTYPE html>/);
+  assert.equal(preview.body.htmlContent, preview.html);
+  assert.equal(server.tokenRequests.length, 0);
+});
@@ -0,0 +1,56 @@
+// test/email-build.test.js
+import { createServer, resultText } from './support/mock-server.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const CONFIRM_ASSETS = { requireConfirmation: { rest: [{ methods: ['POST'], paths: ['/asset/**'] }] } };
+
+function confirmingServer(posts) {
+  const server = createServer(config => {
+    posts.push(JSON.parse(config.data));
+    return { data: { id: 42 } };
+  });
+  server.policy.config = CONFIRM_ASSETS;
+  return server;
+}
+
+test('an email build completes with the confirmation token it was issued', async () => {
+  const posts = [];
+  const server = confirmingServer(posts);
+  const args = { name: 'Spring Sale', subject: 'Hello' };
+
+  const preview = resultText(await server.handleEmailBuild(args));
+  assert.match(preview, /Confirmation required/);
+  assert.equal(posts.length, 0);
+
+  const token = preview.match(/"confirmationToken": "([^"]+)"/)[1];
+  const result = resultText(await server.handleEmailBuild({ ...args, confirmationToken: token }));
+  assert.deepEqual(JSON.parse(result), { id: 42 });
+  assert.equal(posts.length, 1);
+  assert.match(posts[0].customerKey, /^spring_sale_[0-9a-f]{12}$/);
+});
+
+test('a caller-supplied customerKey is sent as is', async () => {
+  const posts = [];
+  const server = confirmingServer(posts);
+  const args = { name: 'Spring Sale', subject: 'Hello', template: 'welcome', customerKey: 'spring-2026' };
+
+  const preview = resultText(await server.handleEmailBuild(args));
+  assert.match(preview, /"customerKey": "spring-2026"/);
+
+  const token = preview.match(/"confirmationToken": "([^"]+)"/)[1];
+  await server.handleEmailBuild({ ...args, confirmationToken: token });
+  assert.equal(posts.length, 1);
+  assert.equal(posts[0].customerKey, 'spring-2026');
+});
+
+test('keeps time-based keys when no confirmation is needed', async () => {
+  const posts = [];
+  const server = createServer(config => {
+    posts.push(JSON.parse(config.data));
+    return { data: { id: 1 } };
+  });
+
+  await server.handleEmailBuild({ name: 'Spring Sale', subject: 'Hello' });
+  assert.match(posts[0].customerKey, /^spring_sale_\d{13}$/);
+});
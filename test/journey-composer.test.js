@@ -0,0 +1,121 @@
+// test/journey-composer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JourneyComposer } from '../utils/journey-composer.js';
+
+const compose = (spec, resolved) => new JourneyComposer(spec, resolved).compose();
+const byKey = journey => Object.fromEntries(journey.activities.map(activity => [activity.key, activity]));
+
+test('wires a linear journey and names keys in reading order', () => {
+  const { journey, eventDefinition } = compose({
+    name: 'Welcome',
+    key: 'welcome',
+    entry: { type: 'event', eventDefinitionKey: 'APIEvent-1' },
+    steps: [
+      { type: 'email', emailId: 1, subject: 'Hi' },
+      { type: 'wait', duration: 1, unit: 'days' },
+      { type: 'email', emailId: 2, subject: 'Again' },
+    ],
+  });
+
+  assert.equal(eventDefinition, null);
+  assert.equal(journey.entryMode, 'SingleEntryAcrossAllVersions');
+  assert.equal(journey.triggers[0].metaData.eventDefinitionKey, 'APIEvent-1');
+  assert.deepEqual(journey.activities.map(({ key, type, name }) => [key, type, name]), [
+    ['EMAIL-1', 'EMAILV2', 'EMAIL-1'],
+    ['WAIT-1', 'WAIT', 'Wait 1 day'],
+    ['EMAIL-2', 'EMAILV2', 'EMAIL-2'],
+  ]);
+  const activities = byKey(journey);
+  assert.equal(activities['EMAIL-1'].outcomes[0].next, 'WAIT-1');
+  assert.equal(activities['WAIT-1'].outcomes[0].next, 'EMAIL-2');
+  assert.equal(activities['EMAIL-2'].outcomes[0].next, undefined);
+});
+
+test('continues every non-exiting split path with the following steps', () => {
+  const { journey } = compose({
+    name: 'Split',
+    entry: { type: 'event', eventDefinitionKey: 'APIEvent-1' },
+    steps: [
+      { type: 'email', id: 'welcome', emailId: 1, subject: 'Hi' },
+      { type: 'engagement', metric: 'click', urls: ['https://x'], yes: [{ type: 'exit' }], no: [{ type: 'email', emailId: 2, subject: 'Reminder' }] },
+      { type: 'email', emailId: 3, subject: 'Final' },
+    ],
+  });
+
+  const activities = byKey(journey);
+  const engagement = activities['ENGAGEMENT-1'];
+  assert.deepEqual(engagement.configurationArguments, { refActivityCustomerKey: 'EMAIL-1', statsTypeId: 3, engagementUrls: { urls: ['https://x'] } });
+  assert.equal(engagement.outcomes[0].next, undefined);
+  assert.equal(engagement.outcomes[1].next, 'EMAIL-2');
+  assert.equal(activities['EMAIL-2'].outcomes[0].next, 'EMAIL-3');
+});
+
+test('builds decision criteria against the entry event and a remainder path', () => {
+  const { journey } = compose({
+    name: 'Decide',
+    entry: { type: 'event', eventDefinitionKey: 'APIEvent-1' },
+    steps: [{ type: 'decision', paths: [{ label: 'VIP', conditions: [{ field: 'Tier', value: 'Gold & up' }], steps: [{ type: 'email', emailId: 1, subject: 'VIP' }] }] }],
+  });
+
+  const [decision] = journey.activities.filter(activity => activity.type === 'MULTICRITERIADECISION');
+  assert.deepEqual(decision.outcomes.map(outcome => outcome.metaData.label), ['VIP', 'Remainder']);
+  assert.equal(decision.configurationArguments.criteria[decision.outcomes[0].key],
+    '<FilterDefinition><ConditionSet Operator="AND"><Condition Key="Event.APIEvent-1.Tier" Operator="Equal"><Value><![CDATA[Gold & up]]></Value></Condition></ConditionSet></FilterDefinition>');
+});
+
+test('creates a scheduled data extension entry event and resolves email assets', () => {
+  const { journey, eventDefinition } = compose({
+    name: 'Daily',
+    entry: { type: 'dataExtension', dataExtensionKey: 'Aud', eventDefinitionKey: 'DEAudience-1', schedule: { start: '2026-11-01T08:00:00', frequency: 'Daily', occurrences: 30 } },
+    steps: [{ type: 'email', assetId: 123 }],
+  }, {
+    dataExtension: { name: 'Audience', objectId: 'de-obj' },
+    assets: new Map([['123', { emailId: 5511, subject: 'Hello', name: 'Welcome email' }]]),
+  });
+
+  assert.equal(journey.entryMode, 'OnceAndDone');
+  assert.equal(eventDefinition.dataExtensionId, 'de-obj');
+  assert.equal(eventDefinition.metaData.scheduleFlowMode, 'recurring');
+  assert.deepEqual(eventDefinition.arguments, { useHighWatermark: true, resetHighWatermark: true });
+  assert.deepEqual(eventDefinition.schedule, {
+    startDateTime: '2026-11-01T08:00:00', timeZone: 'Central Standard Time', frequency: 'Daily',
+    recurrencePattern: 'Interval', interval: 1, occurrences: 30, endType: 'Occurrences',
+  });
+  assert.equal(journey.activities[0].name, 'Welcome email');
+  assert.equal(journey.activities[0].configurationArguments.triggeredSend.emailId, 5511);
+});
+
+test('reports every problem in the description at once', () => {
+  assert.throws(() => compose({
+    entry: { type: 'event' },
+    steps: [
+      { type: 'engagement' },
+      { type: 'wait', duration: 400 },
+      { type: 'randomSplit', paths: [{ percentage: 30 }] },
+      { type: 'exit' },
+      { type: 'email' },
+    ],
+  }), error => {
+    for (const problem of [
+      'name is required',
+      'entry.eventDefinitionKey is required for event entry',
+      'ENGAGEMENT-1: no email is sent before this engagement split',
+      'WAIT-1: waits are limited to 365 days',
+      'RANDOM-1: a random split needs at least two paths',
+      'RANDOM-1: path percentages add up to 30, not 100',
+      'Steps after an exit can never be reached',
+    ]) {
+      assert.ok(error.message.includes(`- ${problem}`), problem);
+    }
+    return true;
+  });
+});
+
+test('emailSteps finds emails nested in splits', () => {
+  const steps = [
+    { type: 'email', assetId: 1 },
+    { type: 'decision', paths: [{ steps: [{ type: 'email', assetId: 2 }] }], remainder: { steps: [{ type: 'randomSplit', paths: [{ steps: [{ type: 'email', assetId: 3 }] }] }] } },
+  ];
+  assert.deepEqual(JourneyComposer.emailSteps(steps).map(step => step.assetId), [1, 2, 3]);
+});
@@ -0,0 +1,56 @@
+// test/journey-diff.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JourneyDiff } from '../utils/journey-diff.js';
+
+const version = (activities, extra = {}) => ({
+  id: 'j',
+  name: 'Welcome',
+  entryMode: 'SingleEntryAcrossAllVersions',
+  triggers: [{ type: 'APIEvent', metaData: { eventDefinitionKey: 'APIEvent-1' } }],
+  activities,
+  ...extra,
+});
+// Outcome keys differ on every version, like the ones Journey Builder generates
+let outcomes = 0;
+const email = (key, next, send = {}) => ({
+  key,
+  type: 'EMAILV2',
+  name: key,
+  outcomes: [{ key: `${key}-${++outcomes}`, ...(next ? { next } : {}) }],
+  configurationArguments: { triggeredSend: { emailId: 1, emailSubject: 'Hi', ...send } },
+});
+
+test('ignores generated outcome keys, publish ids and property order', () => {
+  const from = version([email('EMAIL-1', 'EMAIL-2', { id: 'ts-1', triggeredSendKey: 'k1' }), email('EMAIL-2')], { id: 'a', version: 1, status: 'Published' });
+  const to = version([email('EMAIL-1', 'EMAIL-2', { emailSubject: 'Hi', emailId: 1 }), email('EMAIL-2')], { id: 'b', version: 2, status: 'Draft' });
+  assert.deepEqual(JourneyDiff.compare(from, to), []);
+});
+
+test('lists journey, entry and activity changes', () => {
+  const from = version([email('EMAIL-1', 'WAIT-1'), { key: 'WAIT-1', type: 'WAIT', outcomes: [{ key: 'w' }] }, email('EMAIL-9')]);
+  const to = version([
+    email('EMAIL-1', 'EMAIL-2', { emailSubject: 'Hello' }),
+    { key: 'WAIT-1', type: 'STOWAIT', outcomes: [{ key: 'w' }] },
+    email('EMAIL-2'),
+  ], { entryMode: 'MultipleEntries', triggers: [{ type: 'APIEvent', metaData: { eventDefinitionKey: 'APIEvent-2' } }] });
+
+  assert.deepEqual(JourneyDiff.compare(from, to).map(({ kind, activity, message }) => [kind, activity, message]), [
+    ['updateJourney', null, 'Change entryMode'],
+    ['updateEntry', null, 'Change the entry event'],
+    ['updateActivity', 'EMAIL-1', 'Change where the outcomes lead'],
+    ['updateActivity', 'EMAIL-1', 'Change configuration'],
+    ['updateActivity', 'WAIT-1', 'Change type from WAIT to STOWAIT'],
+    ['addActivity', 'EMAIL-2', 'Add EMAILV2 EMAIL-2'],
+    ['removeActivity', 'EMAIL-9', 'Remove EMAILV2 EMAIL-9'],
+  ]);
+});
+
+test('reports the before and after values', () => {
+  const [rename] = JourneyDiff.compare(version([email('EMAIL-1')]), version([{ ...email('EMAIL-1'), name: 'Welcome email' }]));
+  assert.deepEqual(rename, { kind: 'updateActivity', activity: 'EMAIL-1', message: 'Rename', property: 'name', from: 'EMAIL-1', to: 'Welcome email' });
+
+  const [entry] = JourneyDiff.compare(version([]), version([], { triggers: [] }));
+  assert.deepEqual(entry.from, { type: 'APIEvent', eventDefinitionKey: 'APIEvent-1' });
+  assert.equal(entry.to, null);
+});
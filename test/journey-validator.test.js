@@ -0,0 +1,103 @@
+// test/journey-validator.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JourneyValidator } from '../utils/journey-validator.js';
+import { JourneyComposer } from '../utils/journey-composer.js';
+
+const trigger = { key: 'TRIGGER', type: 'APIEvent', metaData: { eventDefinitionKey: 'APIEvent-1' } };
+const email = (key, next) => ({
+  key,
+  type: 'EMAILV2',
+  outcomes: [{ key: `${key}-out`, ...(next ? { next } : {}) }],
+  configurationArguments: { triggeredSend: { emailId: 1, emailSubject: 'Hi' } },
+});
+const journey = (activities, extra = {}) => ({ name: 'J', entryMode: 'SingleEntryAcrossAllVersions', triggers: [trigger], activities, ...extra });
+const messages = (...args) => JourneyValidator.validate(...args).map(({ severity, activity, message }) => `${severity} ${activity ?? '-'}: ${message}`);
+
+test('a composed journey validates cleanly', () => {
+  const composed = new JourneyComposer({
+    name: 'Welcome',
+    entry: { type: 'event', eventDefinitionKey: 'APIEvent-1' },
+    steps: [
+      { type: 'email', emailId: 1, subject: 'Hi' },
+      { type: 'wait', duration: 2, time: '09:00' },
+      { type: 'engagement', yes: [{ type: 'exit' }], no: [{ type: 'email', emailId: 2, subject: 'Reminder' }] },
+      { type: 'decision', paths: [{ conditions: [{ field: 'Tier', value: 'Gold' }] }] },
+      { type: 'randomSplit', paths: [{ percentage: 50 }, { percentage: 50, steps: [{ type: 'email', emailId: 3, subject: 'B' }] }] },
+    ],
+  }).compose();
+  assert.deepEqual(JourneyValidator.validate(composed.journey, composed.eventDefinition), []);
+});
+
+test('finds dangling, orphan and looping activities', () => {
+  assert.deepEqual(messages(journey([
+    email('A', 'B'),
+    email('B', 'A'),
+    email('C', 'MISSING'),
+  ])), [
+    'error C: Outcome C-out points to MISSING, which is not an activity',
+    'error A: The first activity is the journey start, but other activities lead back to it',
+    'error B: Outcome B-out loops back to A',
+    'error C: Orphan activity: no outcome leads to it',
+  ]);
+});
+
+test('checks keys, triggers and the entry mode', () => {
+  assert.deepEqual(messages({ triggers: [], entryMode: 'Always', activities: [email('A'), email('A'), { type: 'WAIT' }] }), [
+    'error -: name is required',
+    'error -: Unknown entryMode "Always" (use OnceAndDone, SingleEntryAcrossAllVersions, MultipleEntries)',
+    'error -: A journey needs exactly one entry event (found 0)',
+    'error A: Duplicate activity key',
+    'error -: Every activity needs a key (found WAIT without one)',
+  ]);
+  assert.deepEqual(messages(journey([])), ['error -: The journey has no activities']);
+});
+
+test('checks activity configuration', () => {
+  assert.deepEqual(messages(journey([
+    { key: 'W', type: 'WAIT', outcomes: [{ key: 'w1', next: 'S' }], configurationArguments: { waitDuration: '2', waitUnit: 'MONTHS', specifiedTime: '25:00', timeZone: 'Europe/Berlin' } },
+    { key: 'S', type: 'RANDOMSPLIT', outcomes: [{ key: 's1', next: 'E', arguments: { percentage: 60 } }, { key: 's2', arguments: { percentage: 30 } }] },
+    { key: 'E', type: 'ENGAGEMENTDECISION', outcomes: [{ key: 'e1', arguments: { when: true } }, { key: 'e2', arguments: { when: true } }], configurationArguments: { refActivityCustomerKey: 'W', statsTypeId: 9 } },
+  ])), [
+    'error W: specifiedTime "25:00" is not a time of day (HH:MM)',
+    'error W: timeZone "Europe/Berlin" is an IANA name; Journey Builder expects Windows time zone IDs such as "W. Europe Standard Time"',
+    'error S: Outcome percentages add up to 90, not 100',
+    'error E: refActivityCustomerKey W is not an email activity',
+    'error E: statsTypeId must be 1-8 (1 Opened, 3 Clicked, 5 Bounced, 7 Unsubscribed; even numbers negate)',
+    'error E: Needs one outcome with arguments.when true and one with false',
+  ]);
+});
+
+test('checks decision criteria against the entry event', () => {
+  const criteria = '<FilterDefinition><ConditionSet Operator="AND"><Condition Key="Event.Other.Tier" Operator="Equals"><Value>Gold</Value></Condition></ConditionSet></FilterDefinition>';
+  assert.deepEqual(messages(journey([
+    { key: 'D', type: 'MULTICRITERIADECISION', outcomes: [{ key: 'd1' }, { key: 'd2' }, { key: 'd3' }], configurationArguments: { criteria: { d1: criteria } } },
+  ])), [
+    'error D: Criteria d1: unknown operator "Equals" on Event.Other.Tier',
+    'error D: Criteria d1: Event.Other.Tier refers to event Other, not the entry event APIEvent-1',
+    'warning D: Criteria d1: wrap the value for Event.Other.Tier in CDATA',
+    'error D: Outcome d2 has no criteria',
+  ]);
+});
+
+test('warns about recurring entry settings that re-admit contacts', () => {
+  const eventDefinition = {
+    type: 'EmailAudience',
+    eventDefinitionKey: 'DEAudience-1',
+    dataExtensionId: 'de-obj',
+    schedule: { startDateTime: '2026-11-01T08:00:00', frequency: 'Daily', occurrences: 30, endType: 'Occurrences', timeZone: 'Central Standard Time' },
+    arguments: { useHighWatermark: false },
+    filterDefinitionTemplate: '<FilterDefinition><ConditionSet Operator="AND"><Condition Key="Aud.Country" Operator="Equal"><Value><![CDATA[US]]></Value></Condition></ConditionSet></FilterDefinition>',
+  };
+  const recurring = journey([email('A')], { entryMode: 'MultipleEntries', triggers: [{ key: 'TRIGGER', type: 'EmailAudience', metaData: { eventDefinitionKey: 'DEAudience-1' } }] });
+  assert.deepEqual(messages(recurring, eventDefinition), [
+    'warning -: Recurring entry without useHighWatermark: every run re-reads the whole data extension, not just new records',
+    'warning -: Recurring entry with entryMode MultipleEntries: a contact still in the data extension enters again on every run',
+    'warning -: The entry filter has no groupToSetRelationshipId; filters only work when the data extension is linked to the Contact Model',
+  ]);
+});
+
+test('summarize counts errors and warnings', () => {
+  assert.deepEqual(JourneyValidator.summarize([{ severity: 'warning' }]), { valid: true, errors: 0, warnings: 1, issues: [{ severity: 'warning' }] });
+  assert.equal(JourneyValidator.summarize([{ severity: 'error' }]).valid, false);
+});
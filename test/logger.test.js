@@ -0,0 +1,36 @@
+// test/logger.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger } from '../utils/logger.js';
+
+function capture(options = {}) {
+  const lines = [];
+  return { lines, logger: new Logger({ level: 'debug', write: line => lines.push(line), ...options }) };
+}
+
+test('redacts tokens, secrets and email addresses in strings and objects', () => {
+  const { logger } = capture();
+  assert.equal(logger.redact('Authorization: Bearer abc.def'), 'Authorization: Bearer [REDACTED]');
+  assert.equal(logger.redact('<fueloauth xmlns="x">tok</fueloauth>'), '<fueloauth xmlns="x">[REDACTED]</fueloauth>');
+  assert.equal(logger.redact('{"access_token":"abc","n":1}'), '{"access_token":"[REDACTED]","n":1}');
+  assert.equal(logger.redact('sent to jane.doe@example.com'), 'sent to [EMAIL]');
+  assert.deepEqual(logger.redact({ clientSecret: 'x', nested: { password: 'y', ok: 1 } }), { clientSecret: '[REDACTED]', nested: { password: '[REDACTED]', ok: 1 } });
+});
+
+test('redacts extra fields and survives circular objects', () => {
+  const { logger } = capture({ sensitiveFields: ['SubscriberKey'] });
+  const value = { subscriberkey: 'abc' };
+  value.self = value;
+  assert.deepEqual(logger.redact(value), { subscriberkey: '[REDACTED]', self: '[Circular]' });
+  assert.equal(logger.redact('<SubscriberKey>abc</SubscriberKey>'), '<SubscriberKey>[REDACTED]</SubscriberKey>');
+});
+
+test('honours the level and writes JSON lines when asked', () => {
+  const { lines, logger } = capture({ level: 'warn', format: 'json' });
+  logger.info('hidden');
+  logger.error('failed', { access_token: 'abc' });
+  assert.equal(lines.length, 1);
+  const entry = JSON.parse(lines[0]);
+  assert.equal(entry.level, 'error');
+  assert.deepEqual(entry.data, { access_token: '[REDACTED]' });
+});
@@ -0,0 +1,81 @@
+// test/operations.test.js
+import { createServer, resultText, soapEnvelope } from './support/mock-server.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const SUBSCRIBER_DEFINITION = soapEnvelope(
+  '<DefinitionResponseMsg xmlns="http://exacttarget.com/wsdl/partnerAPI"><ObjectDefinition><ObjectType>Subscriber</ObjectType>' +
+  ['SubscriberKey', 'EmailAddress', 'Status', 'CreatedDate', 'UnsubscribedDate']
+    .map(name => `<Properties><Name>${name}</Name><IsRetrievable>true</IsRetrievable></Properties>`).join('') +
+  '</ObjectDefinition><RequestID>d</RequestID></DefinitionResponseMsg>'
+);
+
+// Records every request and answers SOAP calls; REST calls fail the test
+function soapOnlyServer(requests, body) {
+  return createServer(config => {
+    requests.push(config);
+    if (!config.url.endsWith('Service.asmx')) {
+      assert.fail(`unexpected REST call ${config.method} ${config.url}`);
+    }
+    if (config.data.includes('<DescribeRequestMsg')) {
+      return { data: SUBSCRIBER_DEFINITION };
+    }
+    return { data: soapEnvelope(body) };
+  });
+}
+
+const SUBSCRIBERS = '<RetrieveResponseMsg xmlns="http://exacttarget.com/wsdl/partnerAPI"><OverallStatus>OK</OverallStatus><RequestID>r</RequestID>' +
+  '<Results xsi:type="Subscriber" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><SubscriberKey>k1</SubscriberKey><EmailAddress>a@x.io</EmailAddress></Results>' +
+  '</RetrieveResponseMsg>';
+
+test('falls back to SOAP when policy blocks the preferred REST route', async () => {
+  const requests = [];
+  const server = soapOnlyServer(requests, SUBSCRIBERS);
+  server.policy.config = { readOnly: true };
+
+  const result = JSON.parse(resultText(await server.handleOperation({ operation: 'get_contacts', api: 'REST', params: { emails: ['a@x.io'] } })));
+
+  assert.equal(result.ok, true);
+  assert.equal(result.route, 'SOAP');
+  assert.equal(result.fallbackFrom, 'REST');
+  assert.equal(result.attempts[0].blocked, true);
+  assert.match(result.attempts[0].error, /read-only mode \(POST \/contacts\/v1\/addresses\/email\/search\)/);
+  assert.deepEqual(result.result.items.map(item => item.SubscriberKey), ['k1']);
+  assert.ok(requests.some(config => config.data.includes('<RetrieveRequestMsg')));
+});
+
+test('still reports the policy error when fallback is turned off', async () => {
+  const requests = [];
+  const server = soapOnlyServer(requests, SUBSCRIBERS);
+  server.policy.config = { readOnly: true };
+
+  const text = resultText(await server.handleOperation({ operation: 'get_contacts', api: 'REST', fallback: false, params: { emails: ['a@x.io'] } }));
+
+  assert.match(text, /^Operation Error: Blocked by policy: server is in read-only mode/);
+  assert.equal(requests.length, 0);
+});
+
+test('falls back for a non-idempotent operation whose first route was never sent', async () => {
+  const requests = [];
+  const server = soapOnlyServer(requests, '<PerformResponseMsg xmlns="http://exacttarget.com/wsdl/partnerAPI"><OverallStatus>OK</OverallStatus><Results><Result><StatusCode>OK</StatusCode></Result></Results></PerformResponseMsg>');
+  server.policy.config = { rest: { denyPaths: ['/automation/**'] } };
+
+  const result = JSON.parse(resultText(await server.handleOperation({ operation: 'automation_trigger', api: 'REST', params: { automationId: 'a-1' } })));
+
+  assert.equal(result.route, 'SOAP');
+  assert.equal(result.ok, true);
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].data, /<PerformRequestMsg/);
+});
+
+test('does not fall back into a route that needs confirmation', async () => {
+  const requests = [];
+  const server = soapOnlyServer(requests, SUBSCRIBERS);
+  server.policy.config = { rest: { denyPaths: ['/automation/**'] }, requireConfirmation: { soap: [{ actions: ['Perform'] }] } };
+
+  const result = JSON.parse(resultText(await server.handleOperation({ operation: 'automation_trigger', api: 'REST', params: { automationId: 'a-1' } })));
+
+  assert.equal(result.ok, false);
+  assert.match(result.fallbackSkipped, /requires confirmation; call again with api: "SOAP"/);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,59 @@
+// test/paginator.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RestPaginator } from '../utils/paginator.js';
+
+// Serves `total` numbered items in pages of the requested $pageSize
+function pagedApi(total, calls = []) {
+  return async (args) => {
+    calls.push(args.query);
+    const page = Number(args.query.$page);
+    const pageSize = Number(args.query.$pageSize);
+    const items = Array.from({ length: total }, (_, i) => i + 1).slice((page - 1) * pageSize, page * pageSize);
+    return { response: { status: 200, data: { count: total, page, pageSize, items } }, summary: { retries: [] } };
+  };
+}
+
+test('collects every page until count is reached', async () => {
+  const calls = [];
+  const result = await new RestPaginator(pagedApi(5, calls)).collect({ method: 'GET', path: '/x', query: { $pageSize: 2 } });
+  assert.deepEqual(result.items, [1, 2, 3, 4, 5]);
+  assert.equal(result.pagesFetched, 3);
+  assert.equal(result.truncated, false);
+  assert.deepEqual(calls.map(query => query.$page), [1, 2, 3]);
+});
+
+test('stops at maxTotalItems and maxPages', async () => {
+  const byItems = await new RestPaginator(pagedApi(10)).collect({ method: 'GET', path: '/x', query: { $pageSize: 3 } }, { maxTotalItems: 4 });
+  assert.deepEqual(byItems.items, [1, 2, 3, 4]);
+  assert.match(byItems.stoppedReason, /maxTotalItems \(4\)/);
+
+  const byPages = await new RestPaginator(pagedApi(10)).collect({ method: 'GET', path: '/x', query: { $pageSize: 3 } }, { maxPages: 2 });
+  assert.equal(byPages.items.length, 6);
+  assert.equal(byPages.truncated, true);
+});
+
+test('follows links.next and keeps the /data prefix for rowset links', async () => {
+  const seen = [];
+  const fetchPage = async (args) => {
+    seen.push(args.path);
+    const first = seen.length === 1;
+    const items = [[1], [2], []][seen.length - 1];
+    return {
+      response: { status: 200, data: { items, links: first ? { next: '/v1/customobjectdata/key/K/rowset?$page=2' } : {} } },
+      summary: { retries: [] },
+    };
+  };
+  const result = await new RestPaginator(fetchPage).collect({ method: 'GET', path: '/data/v1/customobjectdata/key/K/rowset', query: {} });
+  assert.deepEqual(result.items, [1, 2]);
+  assert.equal(seen[1], '/data/v1/customobjectdata/key/K/rowset');
+});
+
+test('returns what it has on an HTTP error and rejects non-GET requests', async () => {
+  const failing = async () => ({ response: { status: 500, data: { message: 'boom' } }, summary: { retries: [] } });
+  const result = await new RestPaginator(failing).collect({ method: 'GET', path: '/x', query: {} });
+  assert.equal(result.stoppedReason, 'HTTP 500 on page 1');
+  assert.deepEqual(result.error, { message: 'boom' });
+
+  await assert.rejects(new RestPaginator(failing).collect({ method: 'POST', path: '/x' }), /only supported for GET/);
+});
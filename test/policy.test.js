@@ -0,0 +1,65 @@
+// test/policy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestPolicy } from '../utils/policy.js';
+
+function policy(config) {
+  const instance = new RequestPolicy(null);
+  instance.config = config;
+  return instance;
+}
+
+test('matchPath keeps * within a segment and lets ** span segments', () => {
+  assert.ok(RequestPolicy.matchPath('/asset/v1/*', '/asset/v1/content'));
+  assert.ok(!RequestPolicy.matchPath('/asset/v1/*', '/asset/v1/content/assets'));
+  assert.ok(RequestPolicy.matchPath('/asset/**', '/asset/v1/content/assets'));
+  assert.ok(RequestPolicy.matchPath('/asset/**', '/asset'));
+  assert.ok(RequestPolicy.matchPath('/asset/**', '/asset/v1?$page=2'));
+});
+
+test('normalizePath resolves dot-segments and collapses slashes', () => {
+  assert.equal(RequestPolicy.normalizePath('/asset/v1/../../platform/v1/tokenContext'), '/platform/v1/tokenContext');
+  assert.equal(RequestPolicy.normalizePath('/asset//v1/./content?x=1'), '/asset/v1/content');
+  assert.throws(() => RequestPolicy.normalizePath('/../platform'), /leaves the API root/);
+  assert.throws(() => RequestPolicy.normalizePath('/asset/v1/%2e%2e/%2E%2E/platform'), /encoded/);
+  assert.throws(() => RequestPolicy.normalizePath('/asset/v1%2F..%2F..%2Fplatform'), /encoded/);
+});
+
+test('dot-segments cannot escape an allowlist or slip past a denylist', () => {
+  const allow = policy({ rest: { allowPaths: ['/asset/v1/**'] } });
+  assert.throws(() => allow.evaluate({ api: 'REST', method: 'GET', path: '/asset/v1/../../platform/v1/tokenContext' }), /not in the allowlist/);
+  assert.equal(allow.evaluate({ api: 'REST', method: 'GET', path: '/asset/v1/content/assets' }).requiresConfirmation, false);
+
+  const deny = policy({ rest: { denyPaths: ['/platform/**'] } });
+  assert.throws(() => deny.evaluate({ api: 'REST', method: 'GET', path: '/asset//../platform/v1/x' }), /is denied/);
+});
+
+test('read-only mode blocks writes and confirmation rules match the normalized path', () => {
+  assert.throws(() => policy({ readOnly: true }).evaluate({ api: 'SOAP', action: 'Create', objectType: 'DataExtension' }), /read-only/);
+
+  const confirm = policy({ requireConfirmation: { rest: [{ methods: ['DELETE'], paths: ['/data/**'] }] } });
+  assert.equal(confirm.evaluate({ api: 'REST', method: 'DELETE', path: '/asset/../data/v1/x' }).requiresConfirmation, true);
+});
+
+test('confirmation tokens are single use and bound to the arguments', () => {
+  const instance = policy({});
+  const token = instance.issueConfirmation({ path: '/a', body: { b: 1, a: 2 } });
+  assert.equal(instance.consumeConfirmation(token, { body: { a: 2, b: 1 }, path: '/a' }), true);
+  assert.equal(instance.consumeConfirmation(token, { body: { a: 2, b: 1 }, path: '/a' }), false);
+
+  const other = instance.issueConfirmation({ path: '/a' });
+  assert.equal(instance.consumeConfirmation(other, { path: '/b' }), false);
+});
+
+test('object type rules also cover keyed types such as DataExtensionObject[Key]', () => {
+  const deny = policy({ soap: { denyObjectTypes: ['DataExtensionObject'] } });
+  assert.throws(() => deny.evaluate({ api: 'SOAP', action: 'Delete', objectType: 'DataExtensionObject[Orders]' }), /"DataExtensionObject\[Orders\]" is denied/);
+  assert.throws(() => deny.evaluate({ api: 'SOAP', action: 'Delete', objectType: 'dataextensionobject' }), /is denied/);
+
+  const allow = policy({ soap: { allowObjectTypes: ['DataExtensionObject[Orders]'] } });
+  assert.equal(allow.evaluate({ api: 'SOAP', action: 'Create', objectType: 'DataExtensionObject[Orders]' }).requiresConfirmation, false);
+  assert.throws(() => allow.evaluate({ api: 'SOAP', action: 'Create', objectType: 'DataExtensionObject[Other]' }), /not in the allowlist/);
+
+  const confirm = policy({ requireConfirmation: { soap: [{ actions: ['Delete'], objectTypes: ['DataExtensionObject'] }] } });
+  assert.equal(confirm.evaluate({ api: 'SOAP', action: 'Delete', objectType: 'DataExtensionObject[Orders]' }).requiresConfirmation, true);
+});
@@ -0,0 +1,42 @@
+// test/profiles.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ProfileManager } from '../utils/profiles.js';
+
+process.env.MCE_LOG_LEVEL = 'error';
+
+function profileFile(config) {
+  const file = join(mkdtempSync(join(tmpdir(), 'mce-profiles-')), 'profiles.json');
+  writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+test('resolves the default profile from the file and expands ${VAR} references', () => {
+  process.env.TEST_PROFILE_SECRET = 's3cret';
+  const manager = new ProfileManager(profileFile({
+    defaultProfile: 'prod',
+    profiles: { prod: { subdomain: 'sub', clientId: 'id', clientSecret: '${TEST_PROFILE_SECRET}', defaultMid: '123' } },
+  }));
+
+  assert.deepEqual(manager.resolve(), { name: 'prod', subdomain: 'sub', clientId: 'id', clientSecret: 's3cret', defaultMid: '123' });
+});
+
+test('rejects unknown profiles and profiles missing settings', () => {
+  const manager = new ProfileManager(profileFile({ profiles: { partial: { subdomain: 'sub', clientId: 'id' } } }));
+
+  assert.throws(() => manager.resolve('nope'), /Unknown profile: nope/);
+  assert.throws(() => manager.resolve('partial'), /missing required settings: clientSecret/);
+});
+
+test('falls back to the MCE_* environment variables for the default profile', () => {
+  process.env.MCE_SUBDOMAIN = 'env-sub';
+  process.env.MCE_CLIENT_ID = 'env-id';
+  process.env.MCE_CLIENT_SECRET = 'env-secret';
+  const manager = new ProfileManager(null);
+
+  assert.equal(manager.resolve().subdomain, 'env-sub');
+  assert.ok(manager.list().includes('default'));
+});
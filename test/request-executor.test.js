@@ -0,0 +1,44 @@
+// test/request-executor.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestExecutor } from '../utils/request-executor.js';
+
+process.env.MCE_LOG_LEVEL = 'error';
+
+const envelope = body => `<soap:Envelope><soap:Body>${body}</soap:Body></soap:Envelope>`;
+
+test('treats SOAP Server Busy faults and HTTP 429 as throttled', () => {
+  const fault = envelope('<soap:Fault><faultcode>soap:Server</faultcode><faultstring>Server Busy</faultstring></soap:Fault>');
+  assert.equal(RequestExecutor.classifySoapResponse({ status: 500, data: fault }).throttled, true);
+  assert.equal(RequestExecutor.classifySoapResponse({ status: 429, data: '' }).throttled, true);
+});
+
+test('does not retry a successful SOAP response whose data mentions Server Busy', () => {
+  const ok = envelope('<RetrieveResponseMsg><OverallStatus>OK</OverallStatus><Results><Subject>Server Busy? Too many requests?</Subject></Results></RetrieveResponseMsg>');
+  assert.equal(RequestExecutor.classifySoapResponse({ status: 200, data: ok }), null);
+});
+
+test('a plain SOAP fault with HTTP 500 is not transient', () => {
+  const fault = envelope('<soap:Fault><faultstring>Invalid object</faultstring></soap:Fault>');
+  assert.equal(RequestExecutor.classifySoapResponse({ status: 500, data: fault }), null);
+  assert.equal(RequestExecutor.classifySoapResponse({ status: 503, data: '' }).throttled, false);
+});
+
+test('retries idempotent calls and gives up on non-idempotent ones', async () => {
+  const executor = new RequestExecutor({ maxRetries: 2, sleep: async () => {} });
+  const statuses = [503, 503, 200];
+  const { response, summary } = await executor.execute(async () => ({ status: statuses.shift(), headers: {} }));
+  assert.equal(response.status, 200);
+  assert.equal(summary.retries.length, 2);
+
+  let calls = 0;
+  const result = await executor.execute(async () => { calls++; return { status: 503, headers: {} }; }, { idempotent: false });
+  assert.equal(calls, 1);
+  assert.match(result.summary.note, /not idempotent/);
+});
+
+test('honours Retry-After in seconds', () => {
+  const executor = new RequestExecutor({ maxDelayMs: 10000 });
+  assert.equal(executor.getDelay(0, { headers: { 'retry-after': '2' } }), 2000);
+  assert.equal(executor.getDelay(0, { headers: { 'retry-after': '60' } }), 10000);
+});
@@ -0,0 +1,38 @@
+// test/response-shaper.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResponseShaper } from '../utils/response-shaper.js';
+
+const data = {
+  count: 3,
+  items: [
+    { name: 'A', customerKey: 'a', meta: { id: 1 } },
+    { name: 'B', customerKey: 'b', meta: { id: 2 } },
+    { name: 'C', customerKey: 'c', meta: { id: 3 } },
+  ],
+};
+
+test('select keeps only the requested paths, with or without [*]', () => {
+  const { text, summary } = ResponseShaper.shape(data, { select: ['count', 'items[*].name', '$.items.meta.id'] });
+  assert.deepEqual(JSON.parse(text), {
+    count: 3,
+    items: [{ name: 'A', meta: { id: 1 } }, { name: 'B', meta: { id: 2 } }, { name: 'C', meta: { id: 3 } }],
+  });
+  assert.equal(summary, null);
+});
+
+test('maxItems limits every array and reports what was dropped', () => {
+  const { text, summary } = ResponseShaper.shape(data, { maxItems: 2 });
+  assert.equal(JSON.parse(text).items.length, 2);
+  assert.deepEqual(summary.omittedItems, [{ path: '$.items', total: 3, kept: 2 }]);
+});
+
+test('maxChars truncates the serialized text', () => {
+  const { text, summary } = ResponseShaper.shape(data, { maxChars: 20 });
+  assert.match(text, /TRUNCATED/);
+  assert.ok(summary.omittedChars > 0);
+});
+
+test('parsePath accepts dots, [*] and quoted brackets', () => {
+  assert.deepEqual(ResponseShaper.parsePath('$.items[*]["name"]'), ['items', '*', 'name']);
+});
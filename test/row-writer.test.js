@@ -0,0 +1,45 @@
+// test/row-writer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RowWriter } from '../utils/row-writer.js';
+
+function withDir(run) {
+  const dir = mkdtempSync(join(tmpdir(), 'row-writer-'));
+  return run(dir).finally(() => rmSync(dir, { recursive: true, force: true }));
+}
+
+test('writes a CSV header and rows in column order', () => withDir(async dir => {
+  const writer = await RowWriter.open(join(dir, 'nested', 'out.csv'), 'csv', ['Email', 'Name']);
+  await writer.write([{ Name: 'Smith, Al', Email: 'a@x.com' }, { Email: 'b@x.com' }]);
+  await writer.close();
+
+  assert.equal(writer.rowsWritten, 2);
+  assert.equal(readFileSync(writer.path, 'utf8'), 'Email,Name\r\na@x.com,"Smith, Al"\r\nb@x.com,\r\n');
+}));
+
+test('writes NDJSON with null for missing columns', () => withDir(async dir => {
+  const writer = await RowWriter.open(join(dir, 'out.ndjson'), 'ndjson', ['Email', 'Name']);
+  await writer.write([{ Email: 'a@x.com', Extra: 1 }]);
+  await writer.close();
+
+  assert.equal(readFileSync(writer.path, 'utf8'), '{"Email":"a@x.com","Name":null}\n');
+}));
+
+test('refuses to replace an existing file unless overwrite is set', () => withDir(async dir => {
+  const path = join(dir, 'out.csv');
+  writeFileSync(path, 'keep me');
+
+  await assert.rejects(RowWriter.open(path, 'csv', ['A']), /already exists; pass overwrite: true/);
+  assert.equal(readFileSync(path, 'utf8'), 'keep me');
+
+  const writer = await RowWriter.open(path, 'csv', ['A'], { overwrite: true });
+  await writer.close();
+  assert.equal(readFileSync(path, 'utf8'), 'A\r\n');
+}));
+
+test('rejects unsupported formats', async () => {
+  await assert.rejects(RowWriter.open('out.xml', 'xml', []), /Unsupported export format "xml"/);
+});
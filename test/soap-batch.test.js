@@ -0,0 +1,108 @@
+// test/soap-batch.test.js
+import { createServer, resultText, soapEnvelope } from './support/mock-server.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const ROWS = Array.from({ length: 5 }, (_, i) => ({ Id: String(i) }));
+
+// Answers each batch with one OK result per <Objects>, in reverse order, so
+// results are only right when they are matched by OrdinalID
+function batchResponse(envelope, action) {
+  const count = envelope.match(/<Objects /g).length;
+  const results = Array.from({ length: count }, (_, i) => count - 1 - i)
+    .map(ordinal => `<Results><StatusCode>OK</StatusCode><StatusMessage>row ${ordinal}</StatusMessage><OrdinalID>${ordinal}</OrdinalID></Results>`)
+    .join('');
+  return { data: soapEnvelope(`<${action}Response xmlns="http://exacttarget.com/wsdl/partnerAPI"><OverallStatus>OK</OverallStatus><RequestID>req</RequestID>${results}</${action}Response>`) };
+}
+
+test('splits objects into batches of at most batchSize', () => {
+  const server = createServer();
+
+  const batches = server.getSoapBatches({ action: 'Delete', objects: ROWS, batchSize: 2 });
+  assert.deepEqual(batches.map(batch => batch.offset), [0, 2, 4]);
+  assert.deepEqual(batches.map(batch => batch.args.objects.length), [2, 2, 1]);
+  assert.equal(batches[0].args.batchSize, 2);
+});
+
+test('caps batchSize at the partner API limit of 2500 objects', () => {
+  const server = createServer();
+  const objects = Array.from({ length: 2501 }, (_, i) => ({ Id: i }));
+
+  assert.deepEqual(server.getSoapBatches({ objects, batchSize: 10000 }).map(batch => batch.args.objects.length), [2500, 1]);
+  assert.deepEqual(server.getSoapBatches({ objects }).map(batch => batch.args.objects.length), [2500, 1]);
+});
+
+test('sends one request per batch and maps results back to the input order', async () => {
+  const envelopes = [];
+  const server = createServer(config => {
+    envelopes.push(config.data);
+    return batchResponse(config.data, 'Delete');
+  });
+
+  const result = JSON.parse(resultText(await server.handleSoapRequest({
+    action: 'Delete',
+    objectType: 'DataExtensionObject[Orders]',
+    objects: ROWS,
+    batchSize: 2,
+    validate: false,
+  })));
+
+  assert.equal(envelopes.length, 3);
+  assert.match(envelopes[2], /<Keys><Key><Name>Id<\/Name><Value>4<\/Value><\/Key><\/Keys>/);
+  assert.deepEqual(result.batch, { objects: 5, batches: 3, succeeded: 5, failed: 0, requestIds: ['req', 'req', 'req'] });
+  assert.deepEqual(result.results.map(row => [row.index, row.StatusMessage]), [
+    [0, 'row 0'], [1, 'row 1'], [2, 'row 0'], [3, 'row 1'], [4, 'row 0'],
+  ]);
+});
+
+test('reports every object of a failed batch and keeps the others', async () => {
+  let calls = 0;
+  const server = createServer(config => {
+    calls++;
+    return calls === 2 ? { status: 500, data: 'Server Error' } : batchResponse(config.data, 'Update');
+  });
+
+  const result = JSON.parse(resultText(await server.handleSoapRequest({
+    action: 'Update',
+    objectType: 'DataExtensionObject[Orders]',
+    objects: ROWS,
+    batchSize: 2,
+    validate: false,
+  })));
+
+  assert.equal(result.overallStatus, 'Has Errors');
+  assert.deepEqual(result.errors.map(error => error.objectIndex), [2, 3]);
+  assert.ok(result.errors.every(error => error.message.startsWith('HTTP 500')));
+});
+
+test('adds UpdateAdd save options to every batch of an upsert', async () => {
+  const envelopes = [];
+  const server = createServer(config => {
+    envelopes.push(config.data);
+    return batchResponse(config.data, 'Update');
+  });
+
+  await server.handleSoapRequest({
+    action: 'Update',
+    objectType: 'DataExtensionObject[Orders]',
+    objects: ROWS,
+    batchSize: 3,
+    upsert: true,
+    validate: false,
+  });
+
+  assert.equal(envelopes.length, 2);
+  for (const envelope of envelopes) {
+    assert.match(envelope, /<Options><SaveOptions><SaveOption><PropertyName>\*<\/PropertyName><SaveAction>UpdateAdd<\/SaveAction><\/SaveOption><\/SaveOptions><\/Options>/);
+  }
+});
+
+test('keeps caller options next to the upsert save options', () => {
+  const server = createServer();
+
+  assert.equal(
+    server.buildSoapOptions({ upsert: true, options: { RequestType: 'Asynchronous' } }),
+    '<Options><RequestType>Asynchronous</RequestType><SaveOptions><SaveOption><PropertyName>*</PropertyName><SaveAction>UpdateAdd</SaveAction></SaveOption></SaveOptions></Options>'
+  );
+  assert.equal(server.buildSoapOptions({}), '');
+});
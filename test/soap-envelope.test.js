@@ -0,0 +1,115 @@
+// test/soap-envelope.test.js
+import { createServer } from './support/mock-server.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Envelope body with the indentation collapsed
+function body(server, args) {
+  const envelope = server.buildSoapEnvelope(args, 'token').replace(/>\s+</g, '><');
+  return envelope.slice(envelope.indexOf('>', envelope.indexOf('<s:Body')) + 1, envelope.indexOf('</s:Body>')).trim();
+}
+
+test('renders nested objects, arrays and attributes in a Create envelope', () => {
+  const server = createServer();
+
+  assert.equal(
+    body(server, {
+      action: 'Create',
+      objectType: 'Subscriber',
+      objects: [{
+        EmailAddress: 'a@x.io',
+        Lists: [{ ID: 1, Status: 'Active' }, { ID: 2, Status: 'Active' }],
+        Attributes: [{ Name: 'First Name', Value: 'Ann & Bo' }],
+        Client: { '@xsi:type': 'ClientID', ID: 500 },
+      }],
+    }),
+    '<CreateRequest xmlns="http://exacttarget.com/wsdl/partnerAPI"><Objects xsi:type="Subscriber">' +
+      '<EmailAddress>a@x.io</EmailAddress>' +
+      '<Lists><ID>1</ID><Status>Active</Status></Lists><Lists><ID>2</ID><Status>Active</Status></Lists>' +
+      '<Attributes><Name>First Name</Name><Value>Ann &amp; Bo</Value></Attributes>' +
+      '<Client xsi:type="ClientID"><ID>500</ID></Client>' +
+      '</Objects></CreateRequest>'
+  );
+});
+
+test('turns flat data extension rows into Properties, or Keys for Delete', () => {
+  const server = createServer();
+  const row = { Id: '1', Status: 'new' };
+
+  assert.match(
+    body(server, { action: 'Update', objectType: 'DataExtensionObject[Orders]', objects: [row] }),
+    /<Objects xsi:type="DataExtensionObject"><CustomerKey>Orders<\/CustomerKey><Properties><Property><Name>Id<\/Name><Value>1<\/Value><\/Property><Property><Name>Status<\/Name><Value>new<\/Value><\/Property><\/Properties><\/Objects>/
+  );
+  assert.match(
+    body(server, { action: 'Delete', objectType: 'DataExtensionObject[Orders]', objects: [{ Id: '1' }] }),
+    /<Keys><Key><Name>Id<\/Name><Value>1<\/Value><\/Key><\/Keys>/
+  );
+});
+
+test('wraps Perform definitions with their object type and action', () => {
+  const server = createServer();
+
+  assert.equal(
+    body(server, { action: 'Perform', objectType: 'QueryDefinition', objects: [{ ObjectID: 'q-1' }] }),
+    '<PerformRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI"><Action>start</Action>' +
+      '<Definitions><Definition xsi:type="QueryDefinition"><ObjectID>q-1</ObjectID></Definition></Definitions>' +
+      '</PerformRequestMsg>'
+  );
+});
+
+test('builds Configure requests and requires an action', () => {
+  const server = createServer();
+  const args = { action: 'Configure', objectType: 'PropertyDefinition', objects: [{ Name: 'Region', PropertyType: 'string' }] };
+
+  assert.equal(
+    body(server, { ...args, requestAction: 'create' }),
+    '<ConfigureRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI"><Options></Options><Action>create</Action>' +
+      '<Configurations><Configuration xsi:type="PropertyDefinition"><Name>Region</Name><PropertyType>string</PropertyType></Configuration></Configurations>' +
+      '</ConfigureRequestMsg>'
+  );
+  assert.throws(() => server.buildSoapEnvelope(args, 'token'), /Configure requires requestAction/);
+});
+
+test('builds Schedule requests with the schedule definition', () => {
+  const server = createServer();
+  const args = { action: 'Schedule', objectType: 'Automation', objects: [{ ObjectID: 'a-1' }] };
+
+  assert.equal(
+    body(server, { ...args, schedule: { RecurrenceType: 'Daily', StartDateTime: '2026-01-01T08:00:00' } }),
+    '<ScheduleRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI"><Action>start</Action>' +
+      '<Schedule><RecurrenceType>Daily</RecurrenceType><StartDateTime>2026-01-01T08:00:00</StartDateTime></Schedule>' +
+      '<Interactions><Interaction xsi:type="Automation"><ObjectID>a-1</ObjectID></Interaction></Interactions>' +
+      '</ScheduleRequestMsg>'
+  );
+  assert.throws(() => server.buildSoapEnvelope(args, 'token'), /Schedule requires a schedule definition/);
+  assert.throws(() => server.buildSoapEnvelope({ action: 'Perform', objectType: 'Automation', objects: [] }, 'token'), /Perform requires at least one object/);
+});
+
+test('fills in the data extension extract defaults', () => {
+  const server = createServer();
+
+  assert.equal(
+    body(server, { action: 'Extract', extract: { definition: 'dataExtension', parameters: { DECustomerKey: 'Orders', OutputFileName: 'orders.csv' } } }),
+    '<ExtractRequestMsg xmlns="http://exacttarget.com/wsdl/partnerAPI"><Requests><ID>bb94a04d-9632-4623-be47-daabc3f588a6</ID><Parameters>' +
+      '<Parameter><Name>HasColumnHeaders</Name><Value>true</Value></Parameter>' +
+      '<Parameter><Name>_AsyncID</Name><Value>0</Value></Parameter>' +
+      '<Parameter><Name>StartDate</Name><Value>1/1/1900 12:00:00 AM</Value></Parameter>' +
+      '<Parameter><Name>EndDate</Name><Value>1/1/1900 12:00:00 AM</Value></Parameter>' +
+      '<Parameter><Name>DECustomerKey</Name><Value>Orders</Value></Parameter>' +
+      '<Parameter><Name>OutputFileName</Name><Value>orders.csv</Value></Parameter>' +
+      '</Parameters></Requests></ExtractRequestMsg>'
+  );
+  assert.throws(() => server.buildSoapEnvelope({ action: 'Extract', extract: { definition: 'dataExtension', parameters: {} } }, 'token'),
+    /require parameters.DECustomerKey and parameters.OutputFileName/);
+});
+
+test('passes other extract definitions and their parameters through', () => {
+  const server = createServer();
+
+  assert.match(
+    body(server, { action: 'Extract', extract: { definition: 'tracking', parameters: { AccountIDs: '500' } } }),
+    /<ID>c7219016-a7f0-4c72-8657-1ec12c28a0db<\/ID><Parameters><Parameter><Name>AccountIDs<\/Name><Value>500<\/Value><\/Parameter><\/Parameters>/
+  );
+  assert.match(body(server, { action: 'Extract', extract: { id: 'custom-id' } }), /<ID>custom-id<\/ID>/);
+  assert.throws(() => server.buildSoapEnvelope({ action: 'Extract', extract: {} }, 'token'), /Extract requires extract.definition/);
+});
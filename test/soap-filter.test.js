@@ -0,0 +1,53 @@
+// test/soap-filter.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SoapFilterBuilder } from '../utils/soap-filter.js';
+
+test('renders a simple part with a normalized operator', () => {
+  assert.equal(
+    SoapFilterBuilder.build({ property: 'CustomerKey', operator: '=', value: 'a&b' }),
+    '<Filter xsi:type="SimpleFilterPart"><Property>CustomerKey</Property><SimpleOperator>equals</SimpleOperator><Value>a&amp;b</Value></Filter>'
+  );
+  assert.equal(SoapFilterBuilder.build(null), '');
+});
+
+test('nests three operands as (a AND b) AND c', () => {
+  const xml = SoapFilterBuilder.build({
+    and: [
+      { property: 'A', value: 1 },
+      { property: 'B', value: 2 },
+      { property: 'C', value: 3 },
+    ],
+  });
+  assert.match(xml, /^<Filter xsi:type="ComplexFilterPart"><LeftOperand xsi:type="ComplexFilterPart"><LeftOperand xsi:type="SimpleFilterPart"><Property>A<\/Property>/);
+  assert.match(xml, /<RightOperand xsi:type="SimpleFilterPart"><Property>B<\/Property>.*<\/LeftOperand><LogicalOperator>AND<\/LogicalOperator><RightOperand xsi:type="SimpleFilterPart"><Property>C<\/Property>/);
+});
+
+test('a single operand is rendered without a complex wrapper', () => {
+  assert.match(SoapFilterBuilder.build({ or: [{ property: 'A', value: 1 }] }), /^<Filter xsi:type="SimpleFilterPart">/);
+  assert.throws(() => SoapFilterBuilder.build({ or: [] }), /non-empty array/);
+});
+
+test('IN repeats the value element', () => {
+  const xml = SoapFilterBuilder.build({ property: 'Status', operator: 'in', values: ['Active', 'Held'] });
+  assert.match(xml, /<SimpleOperator>IN<\/SimpleOperator><Value>Active<\/Value><Value>Held<\/Value>/);
+});
+
+test('isNull takes no value', () => {
+  assert.match(SoapFilterBuilder.build({ property: 'Email', operator: 'isNull' }), /<SimpleOperator>isNull<\/SimpleOperator><\/Filter>$/);
+});
+
+test('rejects missing properties, unknown operators and wrong value counts', () => {
+  assert.throws(() => SoapFilterBuilder.build({ value: 1 }), /missing "property"/);
+  assert.throws(() => SoapFilterBuilder.build({ property: 'A', operator: 'near', value: 1 }), /Unsupported filter operator "near"/);
+  assert.throws(() => SoapFilterBuilder.build({ property: 'A' }), /requires a value/);
+  assert.throws(() => SoapFilterBuilder.build({ property: 'A', operator: 'between', values: [1] }), /exactly 2 values/);
+  assert.throws(() => SoapFilterBuilder.build({ property: 'A', values: [1, 2] }), /use "IN"/);
+});
+
+test('uses DateValue for ISO dates on *Date properties unless type says otherwise', () => {
+  assert.match(SoapFilterBuilder.build({ property: 'ModifiedDate', operator: '>', value: '2024-01-01' }), /<DateValue>2024-01-01<\/DateValue>/);
+  assert.match(SoapFilterBuilder.build({ property: 'ModifiedDate', value: '2024-01-01', type: 'string' }), /<Value>2024-01-01<\/Value>/);
+  assert.match(SoapFilterBuilder.build({ property: 'ModifiedDate', value: 'yesterday' }), /<Value>yesterday<\/Value>/);
+  assert.match(SoapFilterBuilder.build({ property: 'Created', dateValue: new Date('2024-01-01T00:00:00Z') }), /<DateValue>2024-01-01T00:00:00.000Z<\/DateValue>/);
+});
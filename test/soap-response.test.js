@@ -0,0 +1,51 @@
+// test/soap-response.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SoapResponse } from '../utils/soap-response.js';
+
+test('returns IsPrimaryKey and IsRequired as booleans even though they end in Key', () => {
+  const normalized = SoapResponse.normalize({
+    RetrieveResponseMsg: {
+      OverallStatus: 'OK',
+      Results: { Name: 'true', CustomerKey: '00123', IsPrimaryKey: 'true', IsRequired: 'false', MaxLength: '50' },
+    },
+  });
+  const [field] = normalized.results;
+  assert.equal(field.IsPrimaryKey, true);
+  assert.equal(field.IsRequired, false);
+  assert.equal(field.MaxLength, 50);
+  assert.equal(field.Name, 'true');
+  assert.equal(field.CustomerKey, '00123');
+});
+
+test('converts SOAP dates from Central Standard Time to UTC', () => {
+  assert.equal(SoapResponse.coerce('2024-01-01T10:00:00', 'CreatedDate'), '2024-01-01T16:00:00.000Z');
+});
+
+test('collects per-object errors from a 200 response', () => {
+  const normalized = SoapResponse.normalize({
+    CreateResponse: {
+      OverallStatus: 'Has Errors',
+      RequestID: 'r1',
+      Results: [
+        { StatusCode: 'OK', OrdinalID: '0' },
+        { StatusCode: 'Error', StatusMessage: 'Duplicate', ErrorCode: '2', OrdinalID: '1' },
+      ],
+    },
+  });
+  assert.equal(normalized.requestId, 'r1');
+  assert.deepEqual(normalized.errors, [{ code: 2, message: 'Duplicate', objectIndex: 1 }]);
+});
+
+test('keeps repeated elements as arrays with a single entry', () => {
+  const [result] = SoapResponse.normalize({ DescribeResponseMsg: { ObjectDefinition: { Properties: { Property: { Name: 'A' } } } } }).results;
+  assert.deepEqual(result.Properties.Property, [{ Name: 'A' }]);
+});
+
+test('reports request-level errors from OverallStatus and faults', () => {
+  assert.deepEqual(SoapResponse.normalize({ RetrieveResponseMsg: { OverallStatus: 'Error: Object not found' } }).errors,
+    [{ code: null, message: 'Error: Object not found', objectIndex: null }]);
+  const fault = SoapResponse.normalize({ soap_Fault: { faultcode: 'soap:Client', faultstring: 'Bad request' } });
+  assert.equal(fault.overallStatus, 'Fault');
+  assert.equal(fault.errors[0].message, 'Bad request');
+});
@@ -0,0 +1,64 @@
+// test/soap-retrieve.test.js
+import { createServer, resultText, soapEnvelope } from './support/mock-server.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+function retrievePage(status, requestId, names) {
+  const results = names.map(name => `<Results xsi:type="DataExtension" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><Name>${name}</Name></Results>`).join('');
+  return { data: soapEnvelope(`<RetrieveResponseMsg xmlns="http://exacttarget.com/wsdl/partnerAPI"><OverallStatus>${status}</OverallStatus><RequestID>${requestId}</RequestID>${results}</RetrieveResponseMsg>`) };
+}
+
+const RETRIEVE = { action: 'Retrieve', objectType: 'DataExtension', properties: ['Name'], filter: { property: 'Name', operator: 'like', value: 'Orders%' }, validate: false, fetchAll: true };
+
+test('fetchAll follows MoreDataAvailable with ContinueRequest', async () => {
+  const envelopes = [];
+  const pages = [
+    retrievePage('MoreDataAvailable', 'req-1', ['A', 'B']),
+    retrievePage('MoreDataAvailable', 'req-2', ['C']),
+    retrievePage('OK', 'req-3', ['D']),
+  ];
+  const server = createServer(config => {
+    envelopes.push(config.data);
+    return pages.shift();
+  });
+
+  const result = JSON.parse(resultText(await server.handleSoapRequest(RETRIEVE)));
+
+  assert.deepEqual(result.results.map(row => row.Name), ['A', 'B', 'C', 'D']);
+  assert.equal(result.overallStatus, 'OK');
+  assert.equal(result.fetchAll.pagesFetched, 3);
+  assert.equal(result.fetchAll.truncated, false);
+  assert.equal(result.fetchAll.continueRequest, undefined);
+
+  assert.doesNotMatch(envelopes[0], /ContinueRequest/);
+  assert.match(envelopes[0], /<Filter/);
+  assert.match(envelopes[1], /<ContinueRequest>req-1<\/ContinueRequest>/);
+  assert.doesNotMatch(envelopes[1], /<Filter/);
+  assert.match(envelopes[2], /<ContinueRequest>req-2<\/ContinueRequest>/);
+});
+
+test('fetchAll stops at maxResults and returns the request id to continue from', async () => {
+  const pages = [
+    retrievePage('MoreDataAvailable', 'req-1', ['A', 'B']),
+    retrievePage('MoreDataAvailable', 'req-2', ['C', 'D']),
+  ];
+  const server = createServer(() => pages.shift());
+
+  const result = JSON.parse(resultText(await server.handleSoapRequest({ ...RETRIEVE, maxResults: 4 })));
+
+  assert.equal(result.results.length, 4);
+  assert.equal(result.fetchAll.pagesFetched, 2);
+  assert.equal(result.fetchAll.truncated, true);
+  assert.equal(result.fetchAll.stoppedReason, 'maxResults (4) reached');
+  assert.equal(result.fetchAll.continueRequest, 'req-2');
+});
+
+test('fetchAll withholds the continue id when a page was only partly kept', async () => {
+  const server = createServer(() => retrievePage('MoreDataAvailable', 'req-1', ['A', 'B', 'C']));
+
+  const result = JSON.parse(resultText(await server.handleSoapRequest({ ...RETRIEVE, maxResults: 2 })));
+
+  assert.equal(result.results.length, 2);
+  assert.equal(result.fetchAll.truncated, true);
+  assert.equal(result.fetchAll.continueRequest, undefined);
+});
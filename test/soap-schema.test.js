@@ -0,0 +1,57 @@
+// test/soap-schema.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SoapSchema } from '../utils/soap-schema.js';
+
+const subscriber = SoapSchema.fromObjectDefinition('Subscriber', {
+  IsCreatable: true,
+  Properties: [
+    { Name: 'EmailAddress', DataType: 'String', IsRetrievable: true, IsUpdatable: true },
+    { Name: 'SubscriberKey', DataType: 'String', IsRetrievable: true, IsUpdatable: true },
+    { Name: 'Client', DataType: 'ClientID', IsRetrievable: true, IsUpdatable: true },
+    { Name: 'CreatedDate', DataType: 'DateTime', IsRetrievable: true, IsUpdatable: false },
+    { Name: 'Attributes', DataType: 'Attribute', IsRetrievable: false, IsUpdatable: true },
+  ],
+});
+
+const orders = SoapSchema.fromDataExtensionFields('DataExtensionObject[Orders]', [
+  { Name: 'Status', FieldType: 'Text', Ordinal: 1 },
+  { Name: 'OrderId', FieldType: 'Text', Ordinal: 0, IsPrimaryKey: true },
+]);
+
+test('accepts a request that matches the metadata', () => {
+  assert.deepEqual(subscriber.validate({
+    action: 'Retrieve',
+    properties: ['EmailAddress', 'Client.ID'],
+    filter: { and: [{ property: 'SubscriberKey', operator: 'equals', value: 'a' }, { property: 'CreatedDate', operator: 'greaterThan', value: '2026-01-01' }] },
+  }), []);
+  assert.deepEqual(subscriber.validate({ action: 'Create', objectType: 'Subscriber', objects: [{ emailAddress: 'a@x.io', '@xsi:type': 'Subscriber' }] }), []);
+});
+
+test('reports unknown properties with suggestions', () => {
+  assert.deepEqual(subscriber.validate({ action: 'Retrieve', properties: ['EmailAdress'] }),
+    ['Unknown property "EmailAdress" on Subscriber (did you mean "EmailAddress"?)']);
+  assert.deepEqual(subscriber.validate({ action: 'Retrieve', properties: ['Nothing'], filter: { property: 'Missing', operator: 'equals', value: 1 } }),
+    ['Unknown property "Nothing" on Subscriber', 'Unknown property "Missing" on Subscriber']);
+});
+
+test('reports the wrong case on case-sensitive objects', () => {
+  assert.deepEqual(subscriber.validate({ action: 'Retrieve', properties: ['emailaddress'] }),
+    ['Property "emailaddress" on Subscriber should be spelled "EmailAddress"']);
+});
+
+test('checks retrievable and updatable flags for the action', () => {
+  assert.deepEqual(subscriber.validate({ action: 'Retrieve', properties: ['Attributes'] }),
+    ['Property "Attributes" on Subscriber is not retrievable']);
+  assert.deepEqual(subscriber.validate({ action: 'Update', objectType: 'Subscriber', objects: [{ SubscriberKey: 'a', CreatedDate: 'x' }, { CreatedDate: 'y' }] }),
+    ['Property "CreatedDate" on Subscriber is not updatable']);
+  assert.deepEqual(subscriber.validate({ action: 'Create', objectType: 'Subscriber', objects: [{ CreatedDate: 'x' }] }), []);
+});
+
+test('checks data extension rows by column name, ignoring case', () => {
+  assert.deepEqual(orders.properties.map(property => property.name), ['OrderId', 'Status']);
+  assert.deepEqual(orders.validate({ action: 'Update', objectType: 'DataExtensionObject[Orders]', objects: [{ orderid: '1', STATUS: 'new' }] }), []);
+  assert.deepEqual(orders.validate({ action: 'Delete', objectType: 'DataExtensionObject[Orders]', objects: [{ Keys: [{ Name: 'OrderNo', Value: '1' }] }] }),
+    ['Unknown property "OrderNo" on DataExtensionObject[Orders] (did you mean "OrderId"?)']);
+  assert.deepEqual(orders.validate({ action: 'Create', objectType: 'DataExtensionObject[Orders]', objects: [{ Properties: [{ name: 'Status', value: 'x' }] }] }), []);
+});
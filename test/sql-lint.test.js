@@ -0,0 +1,54 @@
+// test/sql-lint.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SqlLinter } from '../utils/sql-lint.js';
+
+const errors = sql => SqlLinter.lint(sql).filter(issue => issue.severity === 'error').map(issue => issue.message);
+
+test('accepts a de-duplicating ROW_NUMBER() query without TOP', () => {
+  const sql = `
+SELECT SubscriberKey, EmailAddress
+FROM (
+  SELECT s.SubscriberKey, s.EmailAddress,
+    ROW_NUMBER() OVER (PARTITION BY s.SubscriberKey ORDER BY s.DateJoined DESC) AS rn
+  FROM ENT._Subscribers s
+) d
+WHERE d.rn = 1`;
+  assert.deepEqual(SqlLinter.lint(sql), []);
+});
+
+test('accepts STRING_AGG ... WITHIN GROUP (ORDER BY ...)', () => {
+  assert.deepEqual(errors('SELECT Id, STRING_AGG(Tag, \',\') WITHIN GROUP (ORDER BY Tag) AS Tags FROM Tags GROUP BY Id'), []);
+});
+
+test('still requires TOP for a top-level ORDER BY next to a window function', () => {
+  const sql = 'SELECT Id, ROW_NUMBER() OVER (ORDER BY Id) AS rn FROM Source\nORDER BY Id';
+  assert.deepEqual(SqlLinter.lint(sql), [{ severity: 'error', line: 2, message: 'ORDER BY requires TOP; rows in a data extension have no order' }]);
+  assert.deepEqual(errors('SELECT TOP 10 Id FROM Source ORDER BY Id'), []);
+});
+
+test('does not treat bracketed or quoted identifiers as statements', () => {
+  assert.deepEqual(errors('SELECT o.[Update] AS [Delete], o."Merge", o.LastUpdate FROM [Orders] o JOIN [Drop Off] d ON d.Id = o.Id'), []);
+});
+
+test('rejects write statements, variables, temp tables and SELECT INTO', () => {
+  assert.match(errors('UPDATE Orders SET Status = 1')[1], /UPDATE is not supported/);
+  assert.deepEqual(errors('SELECT Id FROM Orders WHERE Id = @id'), ['Variables are not supported']);
+  assert.deepEqual(errors('SELECT Id FROM #staging'), ['Temporary tables are not supported; stage rows in a data extension instead']);
+  assert.deepEqual(errors('SELECT Id INTO Target FROM Source'), ['SELECT INTO is not supported; the target data extension is set on the query activity']);
+  assert.deepEqual(errors('SELECT 1; SELECT 2'), ['Only one statement is allowed per query']);
+});
+
+test('ignores keywords in comments and string literals', () => {
+  assert.deepEqual(errors("SELECT Id -- DELETE later\nFROM Orders WHERE Note = 'DROP TABLE; @x #y' /* ORDER BY */"), []);
+});
+
+test('checks data view names, bracketed or not', () => {
+  assert.deepEqual(errors('SELECT s.JobID FROM [_Sent] s JOIN ENT.[_Open] o ON o.JobID = s.JobID'), []);
+  assert.deepEqual(errors('SELECT JobID FROM _Sents'), ['Unknown data view _Sents (did you mean _Sent?)']);
+});
+
+test('warns about SELECT * and reports the line of each issue', () => {
+  assert.deepEqual(SqlLinter.lint('SELECT *\nFROM Orders'), [{ severity: 'warning', line: 1, message: 'SELECT * breaks when the source columns change; list the target columns explicitly' }]);
+  assert.deepEqual(SqlLinter.lint('  '), [{ severity: 'error', line: 1, message: 'The query is empty' }]);
+});
@@ -0,0 +1,53 @@
+// test/support/mock-server.js
+// Loads MarketingCloudServer with test credentials and answers every axios
+// call from a handler instead of the network. Import it before anything that
+// imports the logger, so the environment below is in place.
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import axios from 'axios';
+
+process.env.MCE_SUBDOMAIN = 'test';
+process.env.MCE_CLIENT_ID = 'client-id';
+process.env.MCE_CLIENT_SECRET = 'client-secret';
+process.env.MCE_LOG_LEVEL = 'error';
+process.env.MCE_AUDIT_LOG = join(mkdtempSync(join(tmpdir(), 'mce-test-')), 'audit.jsonl');
+delete process.env.MCE_PROFILES_FILE;
+delete process.env.MCE_POLICY_FILE;
+delete process.env.MCE_READ_ONLY;
+
+const { MarketingCloudServer } = await import('../../index.js');
+
+export const REST_URL = 'https://rest.test';
+export const SOAP_URL = 'https://soap.test/';
+
+// handler(config) returns { status, data } for every call except token
+// requests, which are answered here and counted in server.tokenRequests
+export function createServer(handler = () => ({ data: {} })) {
+  const server = new MarketingCloudServer();
+  server.tokenRequests = [];
+  server.requestExecutor.sleep = async () => {};
+
+  axios.defaults.adapter = async config => {
+    let result;
+    if (config.url.endsWith('/v2/token')) {
+      const body = JSON.parse(config.data);
+      server.tokenRequests.push(body);
+      result = { data: { access_token: `token-${server.tokenRequests.length}`, rest_instance_url: REST_URL, soap_instance_url: SOAP_URL, expires_in: 1080 } };
+    } else {
+      result = await handler(config);
+    }
+    return { status: 200, statusText: 'OK', headers: {}, config, request: {}, ...result };
+  };
+  return server;
+}
+
+// Wraps a partner API body in a SOAP envelope
+export function soapEnvelope(body) {
+  return `<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>${body}</soap:Body></soap:Envelope>`;
+}
+
+// The first text block of a tool result
+export function resultText(result) {
+  return result.content[0].text;
+}
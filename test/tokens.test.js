@@ -0,0 +1,63 @@
+// test/tokens.test.js
+import { createServer, soapEnvelope } from './support/mock-server.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+test('caches one token per profile and business unit', async () => {
+  const server = createServer();
+
+  const first = await server.getAccessToken(undefined, 'default');
+  assert.equal((await server.getAccessToken(undefined, 'default')).access_token, first.access_token);
+  const scoped = await server.getAccessToken('500', 'default');
+
+  assert.notEqual(scoped.access_token, first.access_token);
+  assert.deepEqual(server.tokenRequests.map(request => request.account_id), [undefined, '500']);
+  assert.deepEqual([...server.tokens.keys()], ['default:default', 'default:500']);
+});
+
+test('concurrent calls share a single token request', async () => {
+  const server = createServer();
+
+  const tokens = await Promise.all([1, 2, 3].map(() => server.getAccessToken('500', 'default')));
+  assert.equal(server.tokenRequests.length, 1);
+  assert.ok(tokens.every(token => token.access_token === 'token-1'));
+  assert.equal(server.pendingTokens.size, 0);
+});
+
+test('refreshes the token and replays a REST call after a 401', async () => {
+  const seen = [];
+  const server = createServer(config => {
+    seen.push(config.headers.Authorization);
+    return config.headers.Authorization === 'Bearer token-1' ? { status: 401, data: {} } : { data: { ok: true } };
+  });
+
+  const { response } = await server.executeRestRequest({ method: 'GET', path: '/platform/v1/endpoints' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(seen, ['Bearer token-1', 'Bearer token-2']);
+  assert.equal(server.tokenRequests.length, 2);
+});
+
+test('refreshes the token and replays a SOAP call after a security fault', async () => {
+  const envelopes = [];
+  const server = createServer(config => {
+    envelopes.push(config.data);
+    return config.data.includes('token-1')
+      ? { status: 500, data: soapEnvelope('<soap:Fault><faultcode>soap:Security</faultcode><faultstring>Login Failed</faultstring></soap:Fault>') }
+      : { data: soapEnvelope('<RetrieveResponseMsg><OverallStatus>OK</OverallStatus></RetrieveResponseMsg>') };
+  });
+
+  const { response } = await server.executeSoapRequest({ action: 'Retrieve', objectType: 'DataExtension', properties: ['Name'] });
+  assert.equal(response.status, 200);
+  assert.equal(envelopes.length, 2);
+  assert.ok(envelopes[1].includes('token-2'));
+});
+
+test('invalidateToken keeps a token that a parallel call already replaced', async () => {
+  const server = createServer();
+  await server.getAccessToken(undefined, 'default');
+
+  server.invalidateToken(undefined, 'stale-token', 'default');
+  assert.equal(server.tokens.size, 1);
+  server.invalidateToken(undefined, 'token-1', 'default');
+  assert.equal(server.tokens.size, 0);
+});
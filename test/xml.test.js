@@ -0,0 +1,74 @@
+// test/xml.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeXml, XmlSerializer } from '../utils/xml.js';
+
+test('escapeXml escapes markup and treats null as empty', () => {
+  assert.equal(escapeXml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+  assert.equal(escapeXml(null), '');
+  assert.equal(escapeXml(0), '0');
+});
+
+test('normalizes camelCase keys to PascalCase with ID', () => {
+  assert.equal(
+    XmlSerializer.element('dataExtension', { customerKey: 'k', parentFolder: { id: 5 } }),
+    '<DataExtension><CustomerKey>k</CustomerKey><ParentFolder><ID>5</ID></ParentFolder></DataExtension>'
+  );
+});
+
+test('wraps collection items in their singular element', () => {
+  assert.equal(
+    XmlSerializer.element('Fields', [{ Name: 'A' }, { Name: 'B' }]),
+    '<Fields><Field><Name>A</Name></Field><Field><Name>B</Name></Field></Fields>'
+  );
+  assert.equal(XmlSerializer.element('Tag', ['a', 'b']), '<Tag>a</Tag><Tag>b</Tag>');
+});
+
+test('renders attributes and text content', () => {
+  assert.equal(
+    XmlSerializer.element('Client', { '@xsi:type': 'ClientID', '#text': 'x<y', ID: 5 }),
+    '<Client xsi:type="ClientID">x&lt;y<ID>5</ID></Client>'
+  );
+});
+
+test('omits null and undefined values', () => {
+  assert.equal(XmlSerializer.element('Name', null), '');
+  assert.equal(XmlSerializer.element('Row', { A: undefined, B: null, C: 1 }), '<Row><C>1</C></Row>');
+});
+
+test('rejects names that would break the document', () => {
+  assert.throws(() => XmlSerializer.element('bad name', 1), /Invalid XML element name/);
+  assert.throws(() => XmlSerializer.element('Row', { '@on"x': 1 }), /Invalid XML attribute name/);
+});
+
+test('serializes nested objects with collections at any depth', () => {
+  assert.equal(
+    XmlSerializer.element('Objects', {
+      '@xsi:type': 'DataExtension',
+      name: 'Orders',
+      fields: [{ name: 'Id', isPrimaryKey: true }, { name: 'Total', fieldType: 'Decimal', scale: 2 }],
+      sendableSubscriberField: { name: '_SubscriberKey' },
+    }),
+    '<Objects xsi:type="DataExtension"><Name>Orders</Name><Fields>' +
+      '<Field><Name>Id</Name><IsPrimaryKey>true</IsPrimaryKey></Field>' +
+      '<Field><Name>Total</Name><FieldType>Decimal</FieldType><Scale>2</Scale></Field>' +
+      '</Fields><SendableSubscriberField><Name>_SubscriberKey</Name></SendableSubscriberField></Objects>'
+  );
+});
+
+test('repeats non-collection elements for arrays of objects', () => {
+  assert.equal(
+    XmlSerializer.element('Subscribers', [{ EmailAddress: 'a@x.io' }, { EmailAddress: 'b@x.io' }]),
+    '<Subscribers><EmailAddress>a@x.io</EmailAddress></Subscribers><Subscribers><EmailAddress>b@x.io</EmailAddress></Subscribers>'
+  );
+  assert.equal(XmlSerializer.element('Keys', []), '');
+});
+
+test('formats and escapes attribute and text values', () => {
+  const date = new Date('2026-01-02T03:04:05Z');
+  assert.equal(
+    XmlSerializer.element('Value', { '@at': date, '@flag': false, '@skip': null, '#text': 'a"b' }),
+    '<Value at="2026-01-02T03:04:05.000Z" flag="false">a&quot;b</Value>'
+  );
+  assert.equal(XmlSerializer.element('StartDate', date), '<StartDate>2026-01-02T03:04:05.000Z</StartDate>');
+});
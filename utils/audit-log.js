@@ -0,0 +1,114 @@
+// utils/audit-log.js
+import { appendFile, mkdir } from 'fs/promises';
+import { createReadStream, existsSync } from 'fs';
+import { createInterface } from 'readline';
+import { createHash } from 'crypto';
+import { dirname, resolve } from 'path';
+import { userInfo } from 'os';
+import { logger } from './logger.js';
+
+const DEFAULT_QUERY_LIMIT = 100;
+
+export class AuditLog {
+  constructor(filePath) {
+    this.filePath = resolve(filePath);
+    this.actor = process.env.MCE_AUDIT_ACTOR || AuditLog.currentUser();
+    this.writeQueue = Promise.resolve();
+  }
+
+  static currentUser() {
+    try {
+      return userInfo().username;
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  static hashBody(body) {
+    if (body === undefined || body === null || body === '') return null;
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return createHash('sha256').update(text).digest('hex');
+  }
+
+  // Appends one JSON line. Writes are serialized so entries keep their order,
+  // and failures are reported but never break the tool call.
+  record(entry) {
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      actor: this.actor,
+      ...entry,
+    }) + '\n';
+
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await appendFile(this.filePath, line, 'utf8');
+      })
+      .catch(error => {
+        logger.error(`✗ Could not write audit log ${this.filePath}:`, error.message);
+      });
+
+    return this.writeQueue;
+  }
+
+  // filters: { from, to, businessUnitId, profile, objectType, tool, operation, target, limit }
+  async query(filters = {}) {
+    await this.writeQueue;
+
+    if (!existsSync(this.filePath)) {
+      return { file: this.filePath, total: 0, returned: 0, entries: [] };
+    }
+
+    const from = filters.from ? Date.parse(filters.from) : null;
+    const to = filters.to ? Date.parse(filters.to) : null;
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      throw new Error('from/to must be ISO 8601 dates');
+    }
+
+    const limit = filters.limit || DEFAULT_QUERY_LIMIT;
+    const matches = [];
+
+    const lines = createInterface({ input: createReadStream(this.filePath, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+
+      if (this.matches(entry, filters, from, to)) {
+        matches.push(entry);
+      }
+    }
+
+    // Most recent first
+    const entries = matches.reverse().slice(0, limit);
+    return { file: this.filePath, total: matches.length, returned: entries.length, entries };
+  }
+
+  matches(entry, filters, from, to) {
+    const time = Date.parse(entry.timestamp);
+    if (from !== null && time < from) return false;
+    if (to !== null && time > to) return false;
+
+    const equals = (a, b) => String(a ?? '').toLowerCase() === String(b).toLowerCase();
+    if (filters.businessUnitId && !equals(entry.businessUnitId, filters.businessUnitId)) return false;
+    if (filters.profile && !equals(entry.profile, filters.profile)) return false;
+    if (filters.objectType && !equals(entry.objectType, filters.objectType)) return false;
+    if (filters.tool && !equals(entry.tool, filters.tool)) return false;
+    if (filters.operation && !equals(entry.operation, filters.operation)) return false;
+
+    if (filters.target) {
+      const needle = String(filters.target).toLowerCase();
+      const haystack = [entry.target, ...(entry.targetKeys || []), ...(entry.createdIds || [])]
+        .filter(Boolean)
+        .map(value => String(value).toLowerCase());
+      if (!haystack.some(value => value.includes(needle))) return false;
+    }
+
+    return true;
+  }
+}
@@ -0,0 +1,78 @@
+// utils/csv.js
+// Minimal RFC 4180 reader/writer: quoted fields, doubled quotes, CRLF and
+// newlines inside quotes. The first row is the header.
+
+export function parseCsv(text, delimiter = ',') {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ values: record, line: recordLine });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ values: record, line: recordLine });
+  }
+
+  // Blank lines carry no data
+  const nonEmpty = records.filter(({ values }) => !(values.length === 1 && values[0] === ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const [header, ...rows] = nonEmpty;
+  const columns = header.values.map(name => name.trim());
+  return rows.map(({ values, line: rowLine }) => {
+    if (values.length !== columns.length) {
+      throw new Error(`Line ${rowLine} has ${values.length} fields, expected ${columns.length}`);
+    }
+    return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+  });
+}
+
+export function toCsvRow(values, delimiter = ',') {
+  return values.map(value => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(delimiter);
+}
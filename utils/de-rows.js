@@ -0,0 +1,150 @@
+// utils/de-rows.js
+import { readFile } from 'fs/promises';
+import { extname, resolve } from 'path';
+import { parseCsv } from './csv.js';
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTEGER = /^-?\d+$/;
+const DECIMAL = /^-?\d*(\.\d+)?$/;
+const BOOLEAN = /^(true|false|1|0|y|n|yes|no)$/i;
+const PHONE = /^\+?[\d\s().-]{4,}$/;
+const MAX_EMAIL_LENGTH = 254;
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+// Loading and validating data extension rows before they are sent
+export class DataExtensionRows {
+  // Rows come inline or from a local .csv, .ndjson/.jsonl or .json file
+  static async load({ rows, file, format }) {
+    if (rows) {
+      if (!Array.isArray(rows)) throw new Error('rows must be an array of objects');
+      return { source: 'inline', rows };
+    }
+    if (!file) {
+      throw new Error('Provide rows or file');
+    }
+
+    const path = resolve(file);
+    const type = (format || extname(path).slice(1)).toLowerCase();
+    const text = await readFile(path, 'utf8');
+
+    if (type === 'csv') {
+      return { source: path, rows: parseCsv(text) };
+    }
+    if (type === 'ndjson' || type === 'jsonl') {
+      const parsed = [];
+      text.split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+          parsed.push(JSON.parse(line));
+        } catch (error) {
+          throw new Error(`Invalid JSON on line ${i + 1} of ${path}: ${error.message}`);
+        }
+      });
+      return { source: path, rows: parsed };
+    }
+    if (type === 'json') {
+      const parsed = JSON.parse(text);
+      if (!Array.isArray(parsed)) throw new Error(`${path} must contain a JSON array of rows`);
+      return { source: path, rows: parsed };
+    }
+    throw new Error(`Unsupported file format "${type}". Use csv, ndjson, jsonl or json`);
+  }
+
+  // schema: SoapSchema of DataExtensionObject[Key]. Column names are matched
+  // case-insensitively and rewritten to the data extension's spelling.
+  // Returns { valid: [{ row, values }], errors: [{ row, field, message }] }
+  // where row is the 1-based position in the input.
+  static validate(rows, schema) {
+    const primaryKeys = schema.properties.filter(property => property.isPrimaryKey);
+    const seenKeys = new Map();
+    const valid = [];
+    const errors = [];
+
+    rows.forEach((input, index) => {
+      const row = index + 1;
+      const rowErrors = [];
+
+      if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push({ row, field: null, message: 'Row must be an object' });
+        return;
+      }
+
+      const values = {};
+      for (const [column, value] of Object.entries(input)) {
+        const field = schema.get(column);
+        if (!field) {
+          const suggestions = schema.suggest(column);
+          rowErrors.push({ row, field: column, message: `Unknown column` + (suggestions.length ? ` (did you mean "${suggestions[0]}"?)` : '') });
+          continue;
+        }
+        values[field.name] = value;
+      }
+
+      for (const field of schema.properties) {
+        const message = DataExtensionRows.checkValue(field, values[field.name]);
+        if (message) rowErrors.push({ row, field: field.name, message });
+      }
+
+      if (primaryKeys.length > 0 && rowErrors.length === 0) {
+        const key = JSON.stringify(primaryKeys.map(field => String(values[field.name]).toLowerCase()));
+        if (seenKeys.has(key)) {
+          rowErrors.push({ row, field: primaryKeys.map(field => field.name).join(','), message: `Duplicate primary key (same as row ${seenKeys.get(key)})` });
+        } else {
+          seenKeys.set(key, row);
+        }
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors);
+      } else {
+        valid.push({ row, values });
+      }
+    });
+
+    return { valid, errors };
+  }
+
+  static checkValue(field, value) {
+    const empty = value === undefined || value === null || value === '';
+    if (empty) {
+      if (field.isPrimaryKey) return 'Primary key value is required';
+      if (field.isRequired && field.defaultValue === undefined) return 'Value is required';
+      return null;
+    }
+
+    const text = String(value).trim();
+    switch (field.dataType) {
+      case 'Number':
+        if (!INTEGER.test(text) || Number(text) < INT32_MIN || Number(text) > INT32_MAX) return `"${value}" is not a whole number`;
+        break;
+      case 'Decimal': {
+        if (!DECIMAL.test(text) || text === '' || text === '-') return `"${value}" is not a decimal`;
+        const [whole, fraction = ''] = text.replace('-', '').split('.');
+        const scale = field.scale || 0;
+        const precision = field.maxLength || 18;
+        if (fraction.length > scale) return `"${value}" has more than ${scale} decimal places`;
+        if (whole.replace(/^0+/, '').length > precision - scale) return `"${value}" exceeds Decimal(${precision},${scale})`;
+        break;
+      }
+      case 'Boolean':
+        if (!BOOLEAN.test(text)) return `"${value}" is not a boolean`;
+        break;
+      case 'Date':
+        if (Number.isNaN(Date.parse(text))) return `"${value}" is not a date`;
+        break;
+      case 'EmailAddress':
+        if (text.length > MAX_EMAIL_LENGTH) return `Email address is longer than ${MAX_EMAIL_LENGTH} characters`;
+        if (!EMAIL.test(text)) return `"${value}" is not an email address`;
+        break;
+      case 'Phone':
+        if (!PHONE.test(text)) return `"${value}" is not a phone number`;
+        break;
+      default:
+        if (field.maxLength && String(value).length > field.maxLength) {
+          return `Value is longer than ${field.maxLength} characters`;
+        }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,204 @@
+// utils/de-schema.js
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname, resolve } from 'path';
+
+// Change risk levels. Safe changes are always applied, destructive ones only
+// with allowDestructive, unsupported ones have to be made by hand.
+export const SAFE = 'safe';
+export const DESTRUCTIVE = 'destructive';
+export const UNSUPPORTED = 'unsupported';
+
+// DataExtension properties read from the live definition
+export const DATA_EXTENSION_PROPERTIES = [
+  'ObjectID', 'CustomerKey', 'Name', 'Description', 'CategoryID', 'IsSendable',
+  'SendableDataExtensionField.Name', 'SendableSubscriberField.Name',
+  'DataRetentionPeriodLength', 'DataRetentionPeriod', 'RowBasedRetention',
+  'ResetRetentionPeriodOnImport', 'DeleteAtEndOfRetentionPeriod',
+];
+
+const RETENTION_KEYS = ['period', 'unit', 'rowBased', 'resetOnImport', 'deleteAtEnd'];
+
+// Declarative data extension definitions, in the same shape that
+// mce_v1_soap_request accepts for DataExtension Create:
+// { customerKey, name, description, categoryId, isSendable, sendableDataExtensionField,
+//   sendableSubscriberField, retention: { period, unit, rowBased, resetOnImport, deleteAtEnd },
+//   fields: [{ name, fieldType, maxLength, scale, isPrimaryKey, isRequired, isNullable, defaultValue }] }
+export class DataExtensionSchema {
+  static async load(file) {
+    return DataExtensionSchema.normalize(await DataExtensionSchema.read(file));
+  }
+
+  static async read(file) {
+    const path = resolve(file);
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read schema file ${path}: ${error.message}`);
+    }
+  }
+
+  static async save(file, definition) {
+    const path = resolve(file);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(definition, null, 2) + '\n', 'utf8');
+    return path;
+  }
+
+  static normalize(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('A data extension schema must be an object');
+    }
+    if (!definition.customerKey && !definition.name) {
+      throw new Error('A data extension schema needs a customerKey or name');
+    }
+    if (!Array.isArray(definition.fields) || definition.fields.length === 0) {
+      throw new Error(`Schema ${definition.customerKey || definition.name} has no fields`);
+    }
+
+    return {
+      ...definition,
+      customerKey: definition.customerKey || definition.name,
+      fields: definition.fields.map(field => {
+        if (!field || !field.name) throw new Error('Every field needs a name');
+        return { ...field, fieldType: field.fieldType || 'Text' };
+      }),
+    };
+  }
+
+  // de: normalized DataExtension retrieve result, fields: DataExtensionField results
+  static fromLive(de, fields) {
+    const definition = {
+      customerKey: de.CustomerKey,
+      name: de.Name,
+      description: de.Description || undefined,
+      categoryId: de.CategoryID || undefined,
+      isSendable: de.IsSendable === true,
+    };
+    if (definition.isSendable) {
+      definition.sendableDataExtensionField = de.SendableDataExtensionField?.Name;
+      definition.sendableSubscriberField = de.SendableSubscriberField?.Name;
+    }
+    if (de.DataRetentionPeriodLength > 0) {
+      definition.retention = {
+        period: de.DataRetentionPeriodLength,
+        unit: de.DataRetentionPeriod,
+        rowBased: de.RowBasedRetention === true,
+        resetOnImport: de.ResetRetentionPeriodOnImport === true,
+        deleteAtEnd: de.DeleteAtEndOfRetentionPeriod === true,
+      };
+    }
+
+    definition.fields = [...fields]
+      .sort((a, b) => (a.Ordinal ?? 0) - (b.Ordinal ?? 0))
+      .map(field => DataExtensionSchema.compact({
+        name: String(field.Name),
+        fieldType: field.FieldType,
+        maxLength: field.MaxLength || undefined,
+        scale: field.Scale || undefined,
+        isPrimaryKey: field.IsPrimaryKey === true || undefined,
+        isRequired: field.IsRequired === true || undefined,
+        defaultValue: field.DefaultValue ?? undefined,
+      }));
+
+    return DataExtensionSchema.compact(definition);
+  }
+
+  static compact(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined && value !== ''));
+  }
+
+  // Lists what has to change for live to match desired. Optional field
+  // attributes (maxLength, scale, defaultValue) are only compared when the
+  // schema sets them; field order is ignored.
+  static diff(desired, live) {
+    if (!live) {
+      return [{ kind: 'createDataExtension', risk: SAFE, message: `Create ${desired.customerKey} with ${desired.fields.length} field(s)` }];
+    }
+
+    const changes = [];
+    const change = (kind, risk, message, extra = {}) => changes.push({ kind, risk, message, ...extra });
+
+    for (const property of ['name', 'description', 'categoryId']) {
+      if (desired[property] !== undefined && String(desired[property]) !== String(live[property] ?? '')) {
+        change('updateProperty', SAFE, `Change ${property}`, { property, from: live[property] ?? null, to: desired[property] });
+      }
+    }
+
+    if (desired.isSendable !== undefined && Boolean(desired.isSendable) !== Boolean(live.isSendable)) {
+      change('updateProperty', UNSUPPORTED, 'Sendable cannot be changed after creation', { property: 'isSendable', from: live.isSendable, to: desired.isSendable });
+    } else if (desired.isSendable) {
+      for (const property of ['sendableDataExtensionField', 'sendableSubscriberField']) {
+        if (desired[property] && String(desired[property]).toLowerCase() !== String(live[property] ?? '').toLowerCase()) {
+          change('updateProperty', UNSUPPORTED, `The sendable relationship cannot be changed (${property})`, { property, from: live[property] ?? null, to: desired[property] });
+        }
+      }
+    }
+
+    if (desired.retention !== undefined && !DataExtensionSchema.sameRetention(desired.retention, live.retention)) {
+      change('updateRetention', DESTRUCTIVE, 'Change data retention; rows outside the new period may be deleted', { from: live.retention ?? null, to: desired.retention });
+    }
+
+    const liveFields = new Map(live.fields.map(field => [field.name.toLowerCase(), field]));
+    const desiredNames = new Set(desired.fields.map(field => field.name.toLowerCase()));
+
+    for (const field of desired.fields) {
+      const current = liveFields.get(field.name.toLowerCase());
+      if (!current) {
+        if (field.isPrimaryKey) {
+          change('addField', UNSUPPORTED, `Primary key field ${field.name} cannot be added to an existing data extension`, { field: field.name, to: field });
+        } else if (field.isRequired && (field.defaultValue === undefined || field.defaultValue === '')) {
+          change('addField', DESTRUCTIVE, `Required field ${field.name} has no default value; existing rows would be invalid`, { field: field.name, to: field });
+        } else {
+          change('addField', SAFE, `Add field ${field.name}`, { field: field.name, to: field });
+        }
+        continue;
+      }
+      changes.push(...DataExtensionSchema.diffField(field, current));
+    }
+
+    for (const field of live.fields) {
+      if (!desiredNames.has(field.name.toLowerCase())) {
+        change('removeField', field.isPrimaryKey ? UNSUPPORTED : DESTRUCTIVE, `Remove field ${field.name} and its data`, { field: field.name, from: field });
+      }
+    }
+
+    return changes;
+  }
+
+  static diffField(field, current) {
+    const changes = [];
+    const change = (risk, message, property, from, to) =>
+      changes.push({ kind: 'updateField', risk, message, field: current.name, property, from, to });
+
+    if (String(field.fieldType).toLowerCase() !== String(current.fieldType).toLowerCase()) {
+      change(UNSUPPORTED, `The type of ${current.name} cannot be changed`, 'fieldType', current.fieldType, field.fieldType);
+    }
+    if (Boolean(field.isPrimaryKey) !== Boolean(current.isPrimaryKey)) {
+      change(UNSUPPORTED, `The primary key of ${current.name} cannot be changed`, 'isPrimaryKey', Boolean(current.isPrimaryKey), Boolean(field.isPrimaryKey));
+    }
+    if (field.maxLength !== undefined && Number(field.maxLength) !== Number(current.maxLength ?? 0)) {
+      const shorter = current.maxLength && Number(field.maxLength) < Number(current.maxLength);
+      change(shorter ? DESTRUCTIVE : SAFE, shorter ? `Shorten ${current.name}; longer values would be truncated or rejected` : `Lengthen ${current.name}`,
+        'maxLength', current.maxLength ?? null, field.maxLength);
+    }
+    if (field.scale !== undefined && Number(field.scale) !== Number(current.scale ?? 0)) {
+      change(DESTRUCTIVE, `Change the scale of ${current.name}; stored values may be rounded`, 'scale', current.scale ?? null, field.scale);
+    }
+    if (!field.isPrimaryKey && Boolean(field.isRequired) !== Boolean(current.isRequired)) {
+      change(field.isRequired ? DESTRUCTIVE : SAFE, field.isRequired ? `Make ${current.name} required; rows without a value would be invalid` : `Make ${current.name} optional`,
+        'isRequired', Boolean(current.isRequired), Boolean(field.isRequired));
+    }
+    if (field.defaultValue !== undefined && String(field.defaultValue) !== String(current.defaultValue ?? '')) {
+      change(SAFE, `Change the default value of ${current.name}`, 'defaultValue', current.defaultValue ?? null, field.defaultValue);
+    }
+    return changes;
+  }
+
+  static sameRetention(desired, live) {
+    if (!desired || !desired.period) return !live;
+    if (!live) return false;
+    return RETENTION_KEYS.every(key => key === 'unit'
+      ? String(desired.unit || 'Days').toLowerCase() === String(live.unit || 'Days').toLowerCase()
+      : key === 'period' ? Number(desired.period) === Number(live.period) : Boolean(desired[key]) === Boolean(live[key]));
+  }
+}
@@ -0,0 +1,165 @@
+// utils/de-validator.js
+import { DataExtensionRows } from './de-rows.js';
+
+export const FIELD_TYPES = ['Text', 'Number', 'Date', 'Boolean', 'EmailAddress', 'Phone', 'Decimal', 'Locale'];
+const RETENTION_UNITS = ['Days', 'Weeks', 'Months', 'Years'];
+// Types whose length is fixed by Marketing Cloud
+const FIXED_LENGTH_TYPES = ['Number', 'Date', 'Boolean', 'Phone', 'Locale'];
+const SENDABLE_FIELD_TYPES = ['Text', 'EmailAddress', 'Number'];
+
+const MAX_NAME_LENGTH = 128;
+const MAX_TEXT_LENGTH = 4000;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_DECIMAL_PRECISION = 38;
+const DATE_FUNCTION = /^(GETDATE|NOW|SYSDATETIME)\(\)$/i;
+// Columns Marketing Cloud adds or reserves itself; matched without case
+const RESERVED_FIELD_NAMES = ['_CustomObjectKey', '_SubscriberKey', '_ContactKey', '_CreatedDate', '_ModifiedDate'];
+
+// Checks a data extension definition in the friendly shape used for
+// DataExtension Create and schema files, without calling the API. Every
+// problem is reported as { field, message }; field is null for the
+// data extension itself.
+export class DataExtensionValidator {
+  static validate(definition) {
+    const issues = [];
+    const issue = (field, message) => issues.push({ field, message });
+
+    if (!definition || typeof definition !== 'object') {
+      return [{ field: null, message: 'The definition must be an object' }];
+    }
+
+    if (!definition.name && !definition.customerKey) {
+      issue(null, 'A name or customerKey is required');
+    }
+    if (definition.name && String(definition.name).length > MAX_NAME_LENGTH) {
+      issue(null, `name is longer than ${MAX_NAME_LENGTH} characters`);
+    }
+    if (definition.categoryId !== undefined && !/^\d+$/.test(String(definition.categoryId))) {
+      issue(null, `categoryId "${definition.categoryId}" is not a folder ID`);
+    }
+
+    const fields = Array.isArray(definition.fields) ? definition.fields : [];
+    if (fields.length === 0) {
+      issue(null, 'At least one field is required');
+    }
+
+    const seen = new Map();
+    fields.forEach((field, index) => {
+      const name = field && field.name ? String(field.name) : null;
+      if (!name) {
+        issue(`#${index + 1}`, 'Field name is required');
+        return;
+      }
+      if (seen.has(name.toLowerCase())) {
+        issue(name, `Duplicate field name (also field #${seen.get(name.toLowerCase()) + 1}); names are not case sensitive`);
+      } else {
+        seen.set(name.toLowerCase(), index);
+      }
+      DataExtensionValidator.validateField(field, issue);
+    });
+
+    DataExtensionValidator.validateSendable(definition, fields, issue);
+    DataExtensionValidator.validateRetention(definition.retention, issue);
+    return issues;
+  }
+
+  static validateField(field, issue) {
+    const name = String(field.name);
+    const type = field.fieldType || 'Text';
+    const hasLength = field.maxLength !== undefined && field.maxLength !== null;
+
+    if (name.length > MAX_NAME_LENGTH) {
+      issue(name, `Field name is longer than ${MAX_NAME_LENGTH} characters`);
+    }
+    const reserved = RESERVED_FIELD_NAMES.find(system => system.toLowerCase() === name.trim().toLowerCase());
+    if (reserved) {
+      issue(name, `"${reserved}" is a reserved system field name`);
+    } else if (name.startsWith('_')) {
+      issue(name, 'Names starting with "_" are reserved for system fields');
+    }
+    if (!FIELD_TYPES.includes(type)) {
+      issue(name, `Unknown fieldType "${type}" (use ${FIELD_TYPES.join(', ')})`);
+      return;
+    }
+
+    if (hasLength && (!Number.isInteger(Number(field.maxLength)) || Number(field.maxLength) < 1)) {
+      issue(name, `maxLength must be a positive whole number`);
+    } else if (type === 'Text' && hasLength && field.maxLength > MAX_TEXT_LENGTH) {
+      issue(name, `Text fields hold at most ${MAX_TEXT_LENGTH} characters`);
+    } else if (type === 'EmailAddress' && hasLength && field.maxLength > MAX_EMAIL_LENGTH) {
+      issue(name, `EmailAddress fields hold at most ${MAX_EMAIL_LENGTH} characters`);
+    } else if (FIXED_LENGTH_TYPES.includes(type) && hasLength) {
+      issue(name, `maxLength does not apply to ${type} fields`);
+    }
+
+    if (type === 'Decimal') {
+      if (!hasLength || field.scale === undefined || field.scale === null) {
+        issue(name, 'Decimal fields need a precision (maxLength) and a scale');
+      } else if (field.maxLength > MAX_DECIMAL_PRECISION) {
+        issue(name, `Decimal precision is at most ${MAX_DECIMAL_PRECISION}`);
+      } else if (!Number.isInteger(Number(field.scale)) || field.scale < 0 || field.scale > field.maxLength) {
+        issue(name, `Decimal scale must be between 0 and the precision (${field.maxLength})`);
+      }
+    } else if (field.scale !== undefined && field.scale !== null) {
+      issue(name, 'scale only applies to Decimal fields');
+    }
+
+    if (field.isPrimaryKey) {
+      if (!field.isRequired) {
+        issue(name, 'Primary key fields must also be required (isRequired: true)');
+      }
+      if (field.isNullable) {
+        issue(name, 'Primary key fields cannot be nullable');
+      }
+    }
+    if (field.isRequired && field.isNullable) {
+      issue(name, 'A field cannot be both required and nullable');
+    }
+
+    if (field.defaultValue !== undefined && field.defaultValue !== null && field.defaultValue !== '') {
+      const isDateFunction = type === 'Date' && DATE_FUNCTION.test(String(field.defaultValue));
+      const message = isDateFunction ? null : DataExtensionRows.checkValue(
+        { name, dataType: type, maxLength: field.maxLength, scale: field.scale },
+        field.defaultValue
+      );
+      if (message) {
+        issue(name, `Invalid defaultValue: ${message}`);
+      }
+    }
+  }
+
+  static validateSendable(definition, fields, issue) {
+    if (!definition.isSendable) {
+      if (definition.sendableDataExtensionField) {
+        issue(null, 'sendableDataExtensionField is set but isSendable is not true');
+      }
+      return;
+    }
+
+    if (!definition.sendableDataExtensionField) {
+      issue(null, 'Sendable data extensions need a sendableDataExtensionField');
+      return;
+    }
+    const field = fields.find(f => f && f.name && String(f.name).toLowerCase() === String(definition.sendableDataExtensionField).toLowerCase());
+    if (!field) {
+      issue(null, `sendableDataExtensionField "${definition.sendableDataExtensionField}" is not one of the fields`);
+    } else if (!SENDABLE_FIELD_TYPES.includes(field.fieldType || 'Text')) {
+      issue(field.name, `A ${field.fieldType} field cannot relate to subscribers (use ${SENDABLE_FIELD_TYPES.join(', ')})`);
+    }
+  }
+
+  static validateRetention(retention, issue) {
+    if (!retention) return;
+    if (!Number.isInteger(Number(retention.period)) || retention.period < 1) {
+      issue(null, 'retention.period must be a positive whole number');
+    }
+    if (retention.unit && !RETENTION_UNITS.includes(retention.unit)) {
+      issue(null, `retention.unit must be one of ${RETENTION_UNITS.join(', ')}`);
+    }
+  }
+
+  // One line per problem, for error messages
+  static format(issues) {
+    return issues.map(({ field, message }) => `- ${field ? `${field}: ` : ''}${message}`).join('\n');
+  }
+}
@@ -0,0 +1,443 @@
+// utils/journey-composer.js
+import { randomUUID } from 'crypto';
+import { escapeXml } from './xml.js';
+
+// Structures follow docs/journey-builder-examples.json
+export const ENTRY_MODES = ['OnceAndDone', 'SingleEntryAcrossAllVersions', 'MultipleEntries'];
+export const WAIT_UNITS = ['HOURS', 'DAYS', 'WEEKS', 'MONTHS'];
+export const FILTER_OPERATORS = ['Equal', 'NotEqual', 'GreaterThan', 'LessThan', 'GreaterThanOrEqual', 'LessThanOrEqual', 'IsNotNull', 'IsNull', 'Between', 'In', 'Like'];
+// ENGAGEMENTDECISION statsTypeId for each metric
+export const ENGAGEMENT_METRICS = { open: 1, click: 3, bounce: 5, unsubscribe: 7 };
+const SCHEDULE_FREQUENCIES = ['Once', 'Hourly', 'Daily', 'Weekly', 'Monthly', 'Yearly'];
+const KEY_PREFIXES = { email: 'EMAIL', wait: 'WAIT', decision: 'DECISION', engagement: 'ENGAGEMENT', randomSplit: 'RANDOM' };
+export const MAX_ACTIVITIES = 200;
+export const MAX_WAIT_DAYS = 365;
+export const DAYS_PER_UNIT = { HOURS: 1 / 24, DAYS: 1, WEEKS: 7, MONTHS: 31 };
+const DEFAULT_TIME_ZONE = 'Central Standard Time';
+
+// Turns a high-level journey description into the /interaction/v1/interactions
+// payload (and the eventDefinitions payload for data extension entry).
+//
+// spec: { name, key, description, entryMode, entry, steps }
+//   entry: { type: 'dataExtension', dataExtensionKey, schedule, filter, newRecordsOnly }
+//        | { type: 'event', eventDefinitionKey }
+//   steps: [{ type: 'email', id, emailId | assetId, name, subject, preheader }
+//           | { type: 'wait', duration, unit, time, timeZone }
+//           | { type: 'decision', name, paths: [{ label, conditions, logic, steps }], remainder: { label, steps } }
+//           | { type: 'engagement', name, email, metric, urls, yes: [...], no: [...] }
+//           | { type: 'randomSplit', name, paths: [{ percentage, label, steps }] }
+//           | { type: 'exit' }]
+// Steps after a split continue every path of the split that does not exit.
+export class JourneyComposer {
+  constructor(spec, resolved = {}) {
+    this.spec = spec;
+    this.dataExtension = resolved.dataExtension || null;
+    this.assets = resolved.assets || new Map();
+    this.problems = [];
+    this.keys = new Map();
+    this.counters = {};
+    this.activities = [];
+  }
+
+  // Email steps anywhere in the tree, for resolving asset IDs before composing
+  static emailSteps(steps = []) {
+    return steps.flatMap(step => {
+      if (!step || typeof step !== 'object') return [];
+      if (step.type === 'email') return [step];
+      return JourneyComposer.childLists(step).flatMap(list => JourneyComposer.emailSteps(list));
+    });
+  }
+
+  static childLists(step) {
+    switch (step.type) {
+      case 'decision':
+        return [...(step.paths || []).map(path => path.steps || []), (step.remainder && step.remainder.steps) || []];
+      case 'engagement':
+        return [step.yes || [], step.no || []];
+      case 'randomSplit':
+        return (step.paths || []).map(path => path.steps || []);
+      default:
+        return [];
+    }
+  }
+
+  compose() {
+    const spec = this.spec;
+    if (!spec.name) this.problems.push('name is required');
+    if (spec.entryMode && !ENTRY_MODES.includes(spec.entryMode)) {
+      this.problems.push(`entryMode must be one of ${ENTRY_MODES.join(', ')}`);
+    }
+    if (!Array.isArray(spec.steps) || spec.steps.length === 0) {
+      this.problems.push('At least one step is required');
+    }
+
+    const entry = this.buildEntry(spec.entry || {});
+    this.assignKeys(spec.steps || []);
+    this.compileSteps(spec.steps || [], null, []);
+    const order = [...this.keys.values()];
+    this.activities.sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+
+    if (this.activities.length > MAX_ACTIVITIES) {
+      this.problems.push(`A journey can have at most ${MAX_ACTIVITIES} activities (${this.activities.length} generated)`);
+    }
+    if (this.problems.length > 0) {
+      throw new Error(`The journey description is invalid:\n- ${this.problems.join('\n- ')}`);
+    }
+
+    const journey = {
+      key: spec.key || randomUUID(),
+      name: spec.name,
+      description: spec.description || '',
+      workflowApiVersion: 1.0,
+      entryMode: spec.entryMode || (entry.recurring ? 'OnceAndDone' : 'SingleEntryAcrossAllVersions'),
+      definitionType: 'Multistep',
+      triggers: [entry.trigger],
+      activities: this.activities,
+      goals: [],
+      exits: [],
+      notifiers: [],
+    };
+
+    return { journey, eventDefinition: entry.eventDefinition };
+  }
+
+  buildEntry(entry) {
+    if (entry.type === 'event') {
+      if (!entry.eventDefinitionKey) this.problems.push('entry.eventDefinitionKey is required for event entry');
+      this.eventDefinitionKey = entry.eventDefinitionKey;
+      return {
+        recurring: false,
+        eventDefinition: null,
+        trigger: {
+          key: 'TRIGGER',
+          name: entry.eventDefinitionKey,
+          type: 'APIEvent',
+          eventDefinitionKey: entry.eventDefinitionKey,
+          arguments: {},
+          configurationArguments: {},
+          metaData: { eventDefinitionKey: entry.eventDefinitionKey },
+        },
+      };
+    }
+
+    if (entry.type !== 'dataExtension') {
+      this.problems.push('entry.type must be dataExtension or event');
+      return { recurring: false, eventDefinition: null, trigger: null };
+    }
+    if (!entry.dataExtensionKey) {
+      this.problems.push('entry.dataExtensionKey is required for data extension entry');
+    }
+
+    const schedule = this.buildSchedule(entry.schedule);
+    const recurring = Boolean(schedule) && schedule.occurrences !== 1;
+    const eventDefinitionKey = entry.eventDefinitionKey || `DEAudience-${randomUUID()}`;
+    this.eventDefinitionKey = eventDefinitionKey;
+    const de = this.dataExtension || { name: entry.dataExtensionKey, objectId: null };
+
+    const eventDefinition = {
+      type: 'EmailAudience',
+      name: `${this.spec.name || 'Journey'} Entry`,
+      eventDefinitionKey,
+      mode: 'Production',
+      dataExtensionId: de.objectId,
+      dataExtensionName: de.name,
+      arguments: {
+        useHighWatermark: entry.newRecordsOnly ?? recurring,
+        resetHighWatermark: entry.newRecordsOnly ?? recurring,
+      },
+      metaData: { scheduleFlowMode: recurring ? 'recurring' : 'runOnce' },
+    };
+    if (schedule) {
+      eventDefinition.schedule = schedule;
+    }
+    if (entry.filter) {
+      eventDefinition.filterDefinitionTemplate = typeof entry.filter === 'string'
+        ? entry.filter
+        : this.buildFilter(entry.filter, field => `${de.name}.${field}`, 'entry.filter');
+    }
+
+    return {
+      recurring,
+      eventDefinition,
+      trigger: {
+        key: 'TRIGGER',
+        name: eventDefinition.name,
+        type: 'EmailAudience',
+        eventDefinitionKey,
+        arguments: {},
+        configurationArguments: {},
+        metaData: { eventDefinitionKey, chainType: 'None', configurationRequired: false },
+      },
+    };
+  }
+
+  // schedule: { start, end, occurrences, frequency, interval, timeZone }
+  buildSchedule(schedule) {
+    if (!schedule) return null;
+    const frequency = schedule.frequency || 'Once';
+    if (!schedule.start) this.problems.push('entry.schedule.start is required');
+    if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+      this.problems.push(`entry.schedule.frequency must be one of ${SCHEDULE_FREQUENCIES.join(', ')}`);
+    }
+
+    const result = {
+      startDateTime: schedule.start,
+      timeZone: schedule.timeZone || DEFAULT_TIME_ZONE,
+      frequency: frequency === 'Once' ? 'Daily' : frequency,
+      recurrencePattern: 'Interval',
+      interval: schedule.interval || 1,
+    };
+    if (frequency === 'Once') {
+      return { ...result, occurrences: 1, endType: 'Occurrences' };
+    }
+    if (schedule.end) {
+      return { ...result, endDateTime: schedule.end, endType: 'EndDate' };
+    }
+    if (schedule.occurrences) {
+      return { ...result, occurrences: schedule.occurrences, endType: 'Occurrences' };
+    }
+    this.problems.push('Recurring schedules need an end or occurrences');
+    return result;
+  }
+
+  // Keys are numbered in reading order: EMAIL-1, WAIT-1, EMAIL-2, ...
+  assignKeys(steps) {
+    for (const step of steps) {
+      if (!step || typeof step !== 'object') continue;
+      const prefix = KEY_PREFIXES[step.type];
+      if (prefix) {
+        this.counters[prefix] = (this.counters[prefix] || 0) + 1;
+        this.keys.set(step, `${prefix}-${this.counters[prefix]}`);
+      }
+      JourneyComposer.childLists(step).forEach(list => this.assignKeys(list));
+    }
+  }
+
+  // Compiles back to front so every outcome knows the key that follows it.
+  // emails: email steps already on this path, for engagement splits.
+  // Returns the key of the first activity, or null for an empty/exiting path.
+  compileSteps(steps, next, emails) {
+    const exitIndex = steps.findIndex(step => step && step.type === 'exit');
+    if (exitIndex !== -1 && exitIndex < steps.length - 1) {
+      this.problems.push('Steps after an exit can never be reached');
+    }
+
+    const reachable = exitIndex === -1 ? steps : steps.slice(0, exitIndex);
+    const tail = exitIndex === -1 ? next : null;
+    const seen = [...emails];
+    const emailsBefore = reachable.map(step => {
+      const before = [...seen];
+      if (step && step.type === 'email') seen.push(step);
+      return before;
+    });
+
+    let following = tail;
+    for (let i = reachable.length - 1; i >= 0; i--) {
+      following = this.compileStep(reachable[i], following, emailsBefore[i]);
+    }
+    return following;
+  }
+
+  compileStep(step, next, emails) {
+    if (!step || typeof step !== 'object') {
+      this.problems.push('Every step must be an object');
+      return next;
+    }
+
+    const key = this.keys.get(step);
+    const outcome = (target, extra = {}) => ({ key: randomUUID(), ...(target ? { next: target } : {}), ...extra });
+    let activity;
+
+    switch (step.type) {
+      case 'email':
+        activity = this.buildEmail(step, key, [outcome(next)]);
+        break;
+      case 'wait':
+        activity = this.buildWait(step, key, [outcome(next)]);
+        break;
+      case 'decision':
+        activity = this.buildDecision(step, key, next, emails, outcome);
+        break;
+      case 'engagement':
+        activity = this.buildEngagement(step, key, next, emails, outcome);
+        break;
+      case 'randomSplit':
+        activity = this.buildRandomSplit(step, key, next, emails, outcome);
+        break;
+      default:
+        this.problems.push(`Unknown step type "${step.type}" (use email, wait, decision, engagement, randomSplit or exit)`);
+        return next;
+    }
+
+    this.activities.push(activity);
+    return key;
+  }
+
+  buildEmail(step, key, outcomes) {
+    const asset = step.assetId !== undefined ? this.assets.get(String(step.assetId)) : null;
+    const emailId = step.emailId ?? asset?.emailId;
+    if (!emailId) {
+      this.problems.push(`${key}: emailId or a resolvable assetId is required`);
+    }
+    const subject = step.subject ?? asset?.subject;
+    if (!subject) {
+      this.problems.push(`${key}: subject is required`);
+    }
+
+    return {
+      key,
+      type: 'EMAILV2',
+      name: step.name || asset?.name || key,
+      outcomes,
+      configurationArguments: {
+        triggeredSend: JourneyComposer.compact({
+          emailId,
+          emailSubject: subject,
+          preHeader: step.preheader ?? asset?.preheader,
+          isTrackingClicks: true,
+          isMultipart: true,
+          isSendLogging: true,
+          autoAddSubscribers: true,
+          autoUpdateSubscribers: true,
+        }),
+      },
+    };
+  }
+
+  buildWait(step, key, outcomes) {
+    const unit = String(step.unit || 'DAYS').toUpperCase();
+    const duration = Number(step.duration);
+    if (!WAIT_UNITS.includes(unit)) {
+      this.problems.push(`${key}: unit must be one of ${WAIT_UNITS.join(', ')}`);
+    }
+    if (!Number.isInteger(duration) || duration < 1) {
+      this.problems.push(`${key}: duration must be a positive whole number`);
+    } else if (duration * (DAYS_PER_UNIT[unit] || 1) > MAX_WAIT_DAYS) {
+      this.problems.push(`${key}: waits are limited to ${MAX_WAIT_DAYS} days`);
+    }
+
+    const configurationArguments = { waitDuration: String(step.duration), waitUnit: unit };
+    if (step.time) {
+      configurationArguments.specifiedTime = step.time;
+      configurationArguments.timeZone = step.timeZone || DEFAULT_TIME_ZONE;
+    }
+    return {
+      key,
+      type: 'WAIT',
+      name: step.name || `Wait ${duration} ${duration === 1 ? unit.toLowerCase().slice(0, -1) : unit.toLowerCase()}`,
+      outcomes,
+      configurationArguments,
+    };
+  }
+
+  buildDecision(step, key, next, emails, outcome) {
+    const paths = step.paths || [];
+    if (paths.length === 0) {
+      this.problems.push(`${key}: a decision needs at least one path with conditions`);
+    }
+
+    const criteria = {};
+    const outcomes = paths.map((path, i) => {
+      const result = outcome(this.compileSteps(path.steps || [], next, emails), {
+        metaData: { label: path.label || `Path ${i + 1}` },
+      });
+      criteria[result.key] = this.buildFilter(path, field => field.includes('.') ? field : `Event.${this.eventDefinitionKey}.${field}`, `${key} path ${i + 1}`);
+      return result;
+    });
+
+    const remainder = step.remainder || {};
+    outcomes.push(outcome(this.compileSteps(remainder.steps || [], next, emails), {
+      metaData: { label: remainder.label || 'Remainder' },
+    }));
+
+    return {
+      key,
+      type: 'MULTICRITERIADECISION',
+      name: step.name || key,
+      outcomes,
+      configurationArguments: { criteria },
+    };
+  }
+
+  buildEngagement(step, key, next, emails, outcome) {
+    const metric = step.metric || 'open';
+    if (!(metric in ENGAGEMENT_METRICS)) {
+      this.problems.push(`${key}: metric must be one of ${Object.keys(ENGAGEMENT_METRICS).join(', ')}`);
+    }
+
+    // The email to measure: named explicitly, or the closest one before the split
+    const email = step.email
+      ? emails.find(candidate => candidate.id === step.email || candidate.name === step.email)
+      : emails[emails.length - 1];
+    if (!email) {
+      this.problems.push(`${key}: ${step.email ? `email "${step.email}" is not sent earlier on this path` : 'no email is sent before this engagement split'}`);
+    }
+
+    const configurationArguments = {
+      refActivityCustomerKey: email ? this.keys.get(email) : null,
+      statsTypeId: ENGAGEMENT_METRICS[metric],
+    };
+    if (metric === 'click' && step.urls && step.urls.length > 0) {
+      configurationArguments.engagementUrls = { urls: step.urls };
+    }
+
+    return {
+      key,
+      type: 'ENGAGEMENTDECISION',
+      name: step.name || key,
+      outcomes: [
+        outcome(this.compileSteps(step.yes || [], next, emails), { arguments: { when: true }, metaData: { label: 'Yes' } }),
+        outcome(this.compileSteps(step.no || [], next, emails), { arguments: { when: false }, metaData: { label: 'No' } }),
+      ],
+      configurationArguments,
+    };
+  }
+
+  buildRandomSplit(step, key, next, emails, outcome) {
+    const paths = step.paths || [];
+    const total = paths.reduce((sum, path) => sum + Number(path.percentage || 0), 0);
+    if (paths.length < 2) {
+      this.problems.push(`${key}: a random split needs at least two paths`);
+    }
+    if (total !== 100) {
+      this.problems.push(`${key}: path percentages add up to ${total}, not 100`);
+    }
+
+    return {
+      key,
+      type: 'RANDOMSPLIT',
+      name: step.name || key,
+      outcomes: paths.map((path, i) => outcome(this.compileSteps(path.steps || [], next, emails), {
+        arguments: { percentage: Number(path.percentage) },
+        metaData: { label: path.label || `${path.percentage}% - Path ${i + 1}` },
+      })),
+    };
+  }
+
+  // filter: { conditions: [{ field, operator, value }], logic: 'AND' | 'OR' }
+  buildFilter(filter, fieldKey, label) {
+    const conditions = filter.conditions || [];
+    if (conditions.length === 0) {
+      this.problems.push(`${label}: at least one condition is required`);
+    }
+    const logic = String(filter.logic || 'AND').toUpperCase();
+
+    const xml = conditions.map(condition => {
+      const operator = condition.operator || 'Equal';
+      if (!condition.field) this.problems.push(`${label}: every condition needs a field`);
+      if (!FILTER_OPERATORS.includes(operator)) {
+        this.problems.push(`${label}: unknown operator "${operator}" (use ${FILTER_OPERATORS.join(', ')})`);
+      }
+      // Null checks carry an empty value
+      const value = ['IsNull', 'IsNotNull'].includes(operator) ? '' : String(condition.value ?? '');
+      return `<Condition Key="${escapeXml(fieldKey(String(condition.field || '')))}" Operator="${operator}">` +
+        `<Value><![CDATA[${value.replace(/]]>/g, ']]]]><![CDATA[>')}]]></Value></Condition>`;
+    }).join('');
+
+    return `<FilterDefinition><ConditionSet Operator="${logic === 'OR' ? 'OR' : 'AND'}">${xml}</ConditionSet></FilterDefinition>`;
+  }
+
+  static compact(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined && value !== null));
+  }
+}
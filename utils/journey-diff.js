@@ -0,0 +1,88 @@
+// utils/journey-diff.js
+
+// Journey properties compared between versions; ids, dates and status
+// differ on every version and are left out
+const JOURNEY_PROPERTIES = ['name', 'description', 'entryMode', 'definitionType', 'workflowApiVersion'];
+
+// Compares two versions of a journey activity by activity (matched on key).
+// Returns [{ kind, activity, message, from, to }].
+export class JourneyDiff {
+  static compare(from, to) {
+    const changes = [];
+    const change = (kind, activity, message, extra = {}) => changes.push({ kind, activity, message, ...extra });
+
+    for (const property of JOURNEY_PROPERTIES) {
+      if (JourneyDiff.stable(from[property]) !== JourneyDiff.stable(to[property])) {
+        change('updateJourney', null, `Change ${property}`, { property, from: from[property] ?? null, to: to[property] ?? null });
+      }
+    }
+
+    const fromTrigger = JourneyDiff.trigger(from);
+    const toTrigger = JourneyDiff.trigger(to);
+    if (JourneyDiff.stable(fromTrigger) !== JourneyDiff.stable(toTrigger)) {
+      change('updateEntry', null, 'Change the entry event', { from: fromTrigger, to: toTrigger });
+    }
+
+    const fromActivities = new Map((from.activities || []).map(activity => [activity.key, activity]));
+    const toActivities = new Map((to.activities || []).map(activity => [activity.key, activity]));
+
+    for (const [key, activity] of toActivities) {
+      const previous = fromActivities.get(key);
+      if (!previous) {
+        change('addActivity', key, `Add ${activity.type} ${activity.name || key}`);
+        continue;
+      }
+      if (previous.type !== activity.type) {
+        change('updateActivity', key, `Change type from ${previous.type} to ${activity.type}`, { property: 'type', from: previous.type, to: activity.type });
+        continue;
+      }
+      if ((previous.name || '') !== (activity.name || '')) {
+        change('updateActivity', key, 'Rename', { property: 'name', from: previous.name ?? null, to: activity.name ?? null });
+      }
+      const fromNext = JourneyDiff.wiring(previous);
+      const toNext = JourneyDiff.wiring(activity);
+      if (JourneyDiff.stable(fromNext) !== JourneyDiff.stable(toNext)) {
+        change('updateActivity', key, 'Change where the outcomes lead', { property: 'outcomes', from: fromNext, to: toNext });
+      }
+      if (JourneyDiff.stable(JourneyDiff.configuration(previous)) !== JourneyDiff.stable(JourneyDiff.configuration(activity))) {
+        change('updateActivity', key, 'Change configuration', { property: 'configurationArguments', from: JourneyDiff.configuration(previous), to: JourneyDiff.configuration(activity) });
+      }
+    }
+
+    for (const [key, activity] of fromActivities) {
+      if (!toActivities.has(key)) {
+        change('removeActivity', key, `Remove ${activity.type} ${activity.name || key}`);
+      }
+    }
+    return changes;
+  }
+
+  static trigger(journey) {
+    const trigger = (journey.triggers || [])[0];
+    if (!trigger) return null;
+    return { type: trigger.type, eventDefinitionKey: trigger.metaData?.eventDefinitionKey || trigger.eventDefinitionKey || null };
+  }
+
+  // Outcome keys are generated and carry no meaning, so outcomes are compared by position
+  static wiring(activity) {
+    return (activity.outcomes || []).map(outcome => ({
+      next: outcome.next ?? null,
+      ...(outcome.arguments ? { arguments: outcome.arguments } : {}),
+    }));
+  }
+
+  // Ids Journey Builder assigns on publish are not part of the design
+  static configuration(activity) {
+    const { triggeredSend, ...rest } = activity.configurationArguments || {};
+    if (!triggeredSend) return rest;
+    const { id, key, triggeredSendId, triggeredSendKey, ...send } = triggeredSend;
+    return { ...rest, triggeredSend: send };
+  }
+
+  // JSON with sorted keys, so property order does not count as a change
+  static stable(value) {
+    return JSON.stringify(value ?? null, (key, nested) => nested && typeof nested === 'object' && !Array.isArray(nested)
+      ? Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]))
+      : nested);
+  }
+}
@@ -0,0 +1,386 @@
+// utils/journey-validator.js
+import { ENTRY_MODES, WAIT_UNITS, FILTER_OPERATORS, MAX_ACTIVITIES, MAX_WAIT_DAYS, DAYS_PER_UNIT } from './journey-composer.js';
+
+const SCHEDULE_FREQUENCIES = ['Hourly', 'Daily', 'Weekly', 'Monthly', 'Yearly'];
+const SPLIT_TYPES = ['MULTICRITERIADECISION', 'ENGAGEMENTDECISION', 'RANDOMSPLIT', 'ABNTEST'];
+// Windows time zone IDs ("W. Europe Standard Time", "UTC", "UTC+12"), which is what Journey Builder expects
+const WINDOWS_TIME_ZONE = /^([A-Z][\w.&' -]* Time( \([\w .]+\))?|UTC|UTC[+-]\d{2})$/;
+const IANA_TIME_ZONE = /^[A-Za-z]+\/[\w+-]+(\/[\w+-]+)?$/;
+const TIME_OF_DAY = /^([01]?\d|2[0-3]):[0-5]\d( ?[AP]M)?$/i;
+
+// Offline checks for a journey definition (the /interaction/v1/interactions
+// payload) and, when given, its entry event definition. Rules come from
+// docs/journey-builder-examples.json (key_learnings, troubleshooting, best
+// practices). Returns [{ severity: 'error' | 'warning', activity, message }];
+// activity is null for journey and entry level problems. Errors are the
+// problems Journey Builder refuses to publish.
+export class JourneyValidator {
+  static validate(journey, eventDefinition = null) {
+    const issues = [];
+    const add = (severity, activity, message) => issues.push({ severity, activity, message });
+
+    if (!journey || typeof journey !== 'object') {
+      return [{ severity: 'error', activity: null, message: 'The journey must be an object' }];
+    }
+
+    if (!journey.name) {
+      add('error', null, 'name is required');
+    }
+    const entryMode = journey.entryMode || 'NotSet';
+    if (entryMode === 'NotSet') {
+      add('warning', null, `entryMode is not set; choose one of ${ENTRY_MODES.join(', ')}`);
+    } else if (!ENTRY_MODES.includes(entryMode)) {
+      add('error', null, `Unknown entryMode "${entryMode}" (use ${ENTRY_MODES.join(', ')})`);
+    }
+
+    const eventDefinitionKey = JourneyValidator.validateTrigger(journey, eventDefinition, add);
+    const recurring = JourneyValidator.isRecurring(eventDefinition);
+    if (eventDefinition) {
+      JourneyValidator.validateEntry(eventDefinition, entryMode, recurring, add);
+    }
+
+    const activities = Array.isArray(journey.activities) ? journey.activities : [];
+    if (activities.length === 0) {
+      add('error', null, 'The journey has no activities');
+      return issues;
+    }
+    if (activities.length > MAX_ACTIVITIES) {
+      add('error', null, `A journey can have at most ${MAX_ACTIVITIES} activities (found ${activities.length})`);
+    }
+
+    const byKey = new Map();
+    const outcomeKeys = new Set();
+    for (const activity of activities) {
+      if (!activity || !activity.key) {
+        add('error', null, `Every activity needs a key (found ${activity?.type || 'an activity'} without one)`);
+        continue;
+      }
+      if (byKey.has(activity.key)) {
+        add('error', activity.key, 'Duplicate activity key');
+        continue;
+      }
+      byKey.set(activity.key, activity);
+      if (!activity.type) {
+        add('error', activity.key, 'type is required');
+      }
+      for (const outcome of activity.outcomes || []) {
+        if (!outcome.key) {
+          add('error', activity.key, 'Every outcome needs a key');
+        } else if (outcomeKeys.has(outcome.key)) {
+          add('error', activity.key, `Outcome key ${outcome.key} is used more than once`);
+        } else {
+          outcomeKeys.add(outcome.key);
+        }
+      }
+    }
+
+    JourneyValidator.validateGraph(activities, byKey, add);
+    for (const activity of byKey.values()) {
+      JourneyValidator.validateActivity(activity, { byKey, eventDefinitionKey, recurring }, add);
+    }
+    return issues;
+  }
+
+  // Exactly one entry event; returns its event definition key
+  static validateTrigger(journey, eventDefinition, add) {
+    const triggers = Array.isArray(journey.triggers) ? journey.triggers : [];
+    if (triggers.length !== 1) {
+      add('error', null, `A journey needs exactly one entry event (found ${triggers.length})`);
+    }
+    const trigger = triggers[0];
+    if (!trigger) return null;
+
+    const key = trigger.metaData?.eventDefinitionKey || trigger.eventDefinitionKey || null;
+    if (!key) {
+      add('error', null, 'The entry event has no eventDefinitionKey');
+    } else if (eventDefinition && eventDefinition.eventDefinitionKey && eventDefinition.eventDefinitionKey !== key) {
+      add('error', null, `The entry event uses ${key} but the event definition key is ${eventDefinition.eventDefinitionKey}`);
+    }
+    if (eventDefinition && eventDefinition.type && trigger.type && eventDefinition.type !== trigger.type) {
+      add('error', null, `The entry event type ${trigger.type} does not match the event definition type ${eventDefinition.type}`);
+    }
+    return key;
+  }
+
+  static isRecurring(eventDefinition) {
+    if (!eventDefinition) return false;
+    const schedule = eventDefinition.schedule;
+    return eventDefinition.metaData?.scheduleFlowMode === 'recurring' ||
+      Boolean(schedule && (schedule.endType === 'EndDate' || Number(schedule.occurrences) > 1));
+  }
+
+  // Entry data extension rules from key_learnings and troubleshooting
+  static validateEntry(eventDefinition, entryMode, recurring, add) {
+    if (eventDefinition.type === 'EmailAudience' && !eventDefinition.dataExtensionId) {
+      add('error', null, 'The entry event definition has no dataExtensionId');
+    }
+
+    const schedule = eventDefinition.schedule;
+    if (schedule) {
+      if (!schedule.startDateTime || Number.isNaN(Date.parse(schedule.startDateTime))) {
+        add('error', null, `schedule.startDateTime "${schedule.startDateTime ?? ''}" is not a date`);
+      }
+      if (schedule.endType === 'EndDate' && (!schedule.endDateTime || Number.isNaN(Date.parse(schedule.endDateTime)))) {
+        add('error', null, 'schedule.endType is EndDate but endDateTime is missing or not a date');
+      } else if (schedule.endDateTime && Date.parse(schedule.endDateTime) <= Date.parse(schedule.startDateTime)) {
+        add('error', null, 'schedule.endDateTime is not after startDateTime');
+      }
+      if (schedule.frequency && !SCHEDULE_FREQUENCIES.includes(schedule.frequency)) {
+        add('error', null, `Unknown schedule.frequency "${schedule.frequency}" (use ${SCHEDULE_FREQUENCIES.join(', ')})`);
+      }
+      JourneyValidator.validateTimeZone(schedule.timeZone, 'schedule.timeZone', null, add, true);
+    }
+
+    if (recurring) {
+      if (!eventDefinition.arguments?.useHighWatermark) {
+        add('warning', null, 'Recurring entry without useHighWatermark: every run re-reads the whole data extension, not just new records');
+      }
+      if (entryMode === 'MultipleEntries') {
+        add('warning', null, 'Recurring entry with entryMode MultipleEntries: a contact still in the data extension enters again on every run');
+      } else if (entryMode === 'SingleEntryAcrossAllVersions' && !eventDefinition.arguments?.useHighWatermark) {
+        add('warning', null, 'Recurring entry with entryMode SingleEntryAcrossAllVersions re-admits contacts who have exited; use OnceAndDone or useHighWatermark');
+      }
+    }
+
+    const filter = eventDefinition.filterDefinitionTemplate;
+    if (filter) {
+      JourneyValidator.validateFilter(filter, null, 'Entry filter', add);
+      if (!/groupToSetRelationshipId/.test(filter)) {
+        add('warning', null, 'The entry filter has no groupToSetRelationshipId; filters only work when the data extension is linked to the Contact Model');
+      }
+    }
+  }
+
+  // Every next must exist, every activity must be reachable from the first one, no loops
+  static validateGraph(activities, byKey, add) {
+    const incoming = new Map([...byKey.keys()].map(key => [key, 0]));
+    for (const activity of byKey.values()) {
+      for (const outcome of activity.outcomes || []) {
+        if (outcome.next === undefined || outcome.next === null || outcome.next === '') continue;
+        if (!byKey.has(outcome.next)) {
+          add('error', activity.key, `Outcome ${outcome.key ?? ''} points to ${outcome.next}, which is not an activity`);
+        } else {
+          incoming.set(outcome.next, incoming.get(outcome.next) + 1);
+        }
+      }
+    }
+
+    const start = activities.find(activity => activity && byKey.get(activity.key) === activity);
+    if (!start) return;
+    if (incoming.get(start.key) > 0) {
+      add('error', start.key, 'The first activity is the journey start, but other activities lead back to it');
+    }
+
+    // Depth-first walk from the start: unvisited activities are unreachable,
+    // an edge to an activity on the current path is a loop
+    const state = new Map();
+    const visit = (key) => {
+      state.set(key, 'active');
+      for (const outcome of byKey.get(key).outcomes || []) {
+        if (!byKey.has(outcome.next)) continue;
+        if (state.get(outcome.next) === 'active') {
+          add('error', key, `Outcome ${outcome.key ?? ''} loops back to ${outcome.next}`);
+        } else if (!state.has(outcome.next)) {
+          visit(outcome.next);
+        }
+      }
+      state.set(key, 'done');
+    };
+    visit(start.key);
+
+    for (const key of byKey.keys()) {
+      if (state.has(key)) continue;
+      add('error', key, incoming.get(key) === 0
+        ? 'Orphan activity: no outcome leads to it'
+        : 'Unreachable: only activities that are never reached lead to it');
+    }
+  }
+
+  static validateActivity(activity, context, add) {
+    const key = activity.key;
+    const config = activity.configurationArguments || {};
+    const outcomes = activity.outcomes || [];
+
+    if (SPLIT_TYPES.includes(activity.type) && outcomes.length < 2) {
+      add('error', key, `A ${activity.type} needs at least two outcomes`);
+    }
+
+    switch (activity.type) {
+      case 'EMAILV2': {
+        const send = config.triggeredSend;
+        if (!send) {
+          add('error', key, 'No triggeredSend configuration');
+          break;
+        }
+        if (!send.emailId) {
+          add('error', key, 'triggeredSend.emailId is required');
+        }
+        if (!send.emailSubject) {
+          add('error', key, 'triggeredSend.emailSubject is required');
+        }
+        break;
+      }
+
+      case 'WAIT':
+        JourneyValidator.validateWait(key, config, add);
+        break;
+
+      case 'MULTICRITERIADECISION': {
+        const criteria = config.criteria || {};
+        const outcomeKeys = new Set(outcomes.map(outcome => outcome.key));
+        for (const criteriaKey of Object.keys(criteria)) {
+          if (!outcomeKeys.has(criteriaKey)) {
+            add('error', key, `Criteria ${criteriaKey} does not belong to any outcome`);
+          }
+          JourneyValidator.validateFilter(criteria[criteriaKey], context.eventDefinitionKey, `Criteria ${criteriaKey}`, add, key);
+        }
+        // The last outcome is the remainder path and has no criteria
+        outcomes.slice(0, -1).filter(outcome => !criteria[outcome.key]).forEach(outcome => {
+          add('error', key, `Outcome ${outcome.key} has no criteria`);
+        });
+        break;
+      }
+
+      case 'ENGAGEMENTDECISION': {
+        const reference = context.byKey.get(config.refActivityCustomerKey);
+        if (!config.refActivityCustomerKey) {
+          add('error', key, 'refActivityCustomerKey is required');
+        } else if (!reference || reference.type !== 'EMAILV2') {
+          add('error', key, `refActivityCustomerKey ${config.refActivityCustomerKey} is not an email activity`);
+        } else if (!JourneyValidator.leadsTo(reference.key, key, context.byKey)) {
+          add('error', key, `${reference.key} is not sent before this engagement split`);
+        }
+        const statsTypeId = Number(config.statsTypeId);
+        if (!Number.isInteger(statsTypeId) || statsTypeId < 1 || statsTypeId > 8) {
+          add('error', key, 'statsTypeId must be 1-8 (1 Opened, 3 Clicked, 5 Bounced, 7 Unsubscribed; even numbers negate)');
+        }
+        if (!outcomes.some(outcome => outcome.arguments?.when === true) || !outcomes.some(outcome => outcome.arguments?.when === false)) {
+          add('error', key, 'Needs one outcome with arguments.when true and one with false');
+        }
+        break;
+      }
+
+      case 'RANDOMSPLIT':
+      case 'ABNTEST': {
+        const total = outcomes.reduce((sum, outcome) => sum + Number(outcome.arguments?.percentage || 0), 0);
+        if (total !== 100) {
+          add('error', key, `Outcome percentages add up to ${total}, not 100`);
+        }
+        if (activity.type === 'ABNTEST') {
+          JourneyValidator.validatePathOptimizer(activity, context, add);
+        }
+        break;
+      }
+
+      case 'STOWAIT':
+        if (!config.applicationExtensionKey) {
+          add('error', key, 'Einstein STO needs configurationArguments.applicationExtensionKey');
+        }
+        break;
+    }
+  }
+
+  static validateWait(key, config, add) {
+    const unit = config.waitUnit;
+    const duration = Number(config.waitDuration);
+    if (!WAIT_UNITS.includes(unit)) {
+      add('error', key, `waitUnit "${unit ?? ''}" must be one of ${WAIT_UNITS.join(', ')}`);
+    }
+    if (!Number.isInteger(duration) || duration < 1) {
+      add('error', key, `waitDuration "${config.waitDuration ?? ''}" must be a positive whole number`);
+    } else if (WAIT_UNITS.includes(unit) && duration * DAYS_PER_UNIT[unit] > MAX_WAIT_DAYS) {
+      add('error', key, `Waits are limited to ${MAX_WAIT_DAYS} days`);
+    }
+
+    if (config.specifiedTime !== undefined) {
+      if (!TIME_OF_DAY.test(String(config.specifiedTime))) {
+        add('error', key, `specifiedTime "${config.specifiedTime}" is not a time of day (HH:MM)`);
+      }
+      if (unit === 'HOURS') {
+        add('warning', key, 'specifiedTime is ignored for waits in hours');
+      }
+    }
+    JourneyValidator.validateTimeZone(config.timeZone, 'timeZone', key, add, config.specifiedTime !== undefined);
+  }
+
+  static validateTimeZone(timeZone, label, key, add, required) {
+    if (!timeZone) {
+      if (required) add('error', key, `${label} is required`);
+      return;
+    }
+    if (IANA_TIME_ZONE.test(timeZone)) {
+      add('error', key, `${label} "${timeZone}" is an IANA name; Journey Builder expects Windows time zone IDs such as "W. Europe Standard Time"`);
+    } else if (!WINDOWS_TIME_ZONE.test(timeZone)) {
+      add('error', key, `${label} "${timeZone}" is not a time zone ID such as "Central Standard Time" or "UTC"`);
+    }
+  }
+
+  // Holdbacks only work in run-once journeys, and the test must close with ABNTESTSTOP
+  static validatePathOptimizer(activity, context, add) {
+    const config = activity.configurationArguments || {};
+    if (context.recurring && Number(config.holdBackPercentage || 0) > 0) {
+      add('error', activity.key, 'Holdback is not available in recurring journeys; holdBackPercentage must be 0');
+    }
+    const stop = [...context.byKey.values()].find(candidate =>
+      candidate.type === 'ABNTESTSTOP' && candidate.configurationArguments?.aBnStartActivityKey === activity.key);
+    if (!stop) {
+      add('error', activity.key, 'No ABNTESTSTOP activity closes this Path Optimizer test');
+    } else if (!(activity.outcomes || []).every(outcome => outcome.next && JourneyValidator.leadsTo(outcome.next, stop.key, context.byKey))) {
+      add('error', activity.key, `Every path must converge at ${stop.key}`);
+    }
+  }
+
+  static validateFilter(xml, eventDefinitionKey, label, add, key = null) {
+    const text = String(xml || '');
+    if (!/<FilterDefinition[\s>]/.test(text)) {
+      add('error', key, `${label} is not a FilterDefinition`);
+      return;
+    }
+
+    const conditions = [...text.matchAll(/<Condition\b([^>]*)>([\s\S]*?)<\/Condition>/g)];
+    if (conditions.length === 0) {
+      add('error', key, `${label} has no conditions`);
+    }
+    for (const [, attributes, body] of conditions) {
+      const field = /\bKey="([^"]*)"/.exec(attributes)?.[1] || '';
+      const operator = /\bOperator="([^"]*)"/.exec(attributes)?.[1] || '';
+      if (!FILTER_OPERATORS.includes(operator)) {
+        add('error', key, `${label}: unknown operator "${operator}" on ${field}`);
+      }
+      const event = /^Event\.([^.]+)\./.exec(field);
+      if (event && eventDefinitionKey && event[1] !== eventDefinitionKey) {
+        add('error', key, `${label}: ${field} refers to event ${event[1]}, not the entry event ${eventDefinitionKey}`);
+      }
+
+      const value = /<Value>([\s\S]*?)<\/Value>/.exec(body)?.[1] ?? '';
+      const cdata = /^<!\[CDATA\[([\s\S]*)\]\]>$/.exec(value);
+      if (!cdata) {
+        add('warning', key, `${label}: wrap the value for ${field} in CDATA`);
+      } else if (['IsNull', 'IsNotNull'].includes(operator) && cdata[1] !== '') {
+        add('warning', key, `${label}: ${operator} on ${field} should have an empty CDATA value`);
+      }
+    }
+  }
+
+  static leadsTo(from, to, byKey) {
+    const seen = new Set();
+    const queue = [from];
+    while (queue.length > 0) {
+      const key = queue.shift();
+      if (key === to) return true;
+      if (seen.has(key) || !byKey.has(key)) continue;
+      seen.add(key);
+      queue.push(...(byKey.get(key).outcomes || []).map(outcome => outcome.next).filter(Boolean));
+    }
+    return false;
+  }
+
+  static summarize(issues) {
+    return {
+      valid: !issues.some(issue => issue.severity === 'error'),
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      issues,
+    };
+  }
+}
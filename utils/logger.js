@@ -0,0 +1,121 @@
+// utils/logger.js
+// Leveled logger writing to stderr (stdout carries the MCP protocol).
+// Everything that is logged goes through redact() first.
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = '[REDACTED]';
+
+const DEFAULT_SENSITIVE_FIELDS = [
+  'access_token', 'accessToken', 'refresh_token', 'refreshToken',
+  'client_secret', 'clientSecret', 'authorization', 'password', 'fueloauth',
+];
+
+const STRING_PATTERNS = [
+  // Authorization headers
+  [/(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, `$1${REDACTED}`],
+  // SOAP header token
+  [/(<fueloauth[^>]*>)[^<]*(<\/fueloauth>)/gi, `$1${REDACTED}$2`],
+  // Serialized token responses and form posts
+  [/("?(?:access_token|refresh_token|client_secret)"?\s*[:=]\s*"?)[^"&,\s}]+/gi, `$1${REDACTED}`],
+  // Email addresses
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[EMAIL]'],
+];
+
+export class Logger {
+  constructor(options = {}) {
+    const level = (options.level || process.env.MCE_LOG_LEVEL || 'info').toLowerCase();
+    this.level = level in LEVELS ? level : 'info';
+    this.json = (options.format || process.env.MCE_LOG_FORMAT) === 'json';
+
+    const extraFields = options.sensitiveFields || (process.env.MCE_LOG_REDACT_FIELDS || '')
+      .split(',')
+      .map(field => field.trim())
+      .filter(Boolean);
+    this.sensitiveFields = new Set([...DEFAULT_SENSITIVE_FIELDS, ...extraFields].map(field => field.toLowerCase()));
+
+    // Sensitive fields also show up inside serialized JSON and XML strings
+    this.fieldPatterns = [...this.sensitiveFields].flatMap(field => {
+      const name = field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return [
+        [new RegExp(`("${name}"\\s*:\\s*)("(?:[^"\\\\]|\\\\.)*"|[^,}\\s]+)`, 'gi'), `$1"${REDACTED}"`],
+        [new RegExp(`(<${name}>)[^<]*(</${name}>)`, 'gi'), `$1${REDACTED}$2`],
+      ];
+    });
+
+    this.write = options.write || (line => process.stderr.write(`${line}\n`));
+  }
+
+  error(message, ...details) {
+    this.log('error', message, details);
+  }
+
+  warn(message, ...details) {
+    this.log('warn', message, details);
+  }
+
+  info(message, ...details) {
+    this.log('info', message, details);
+  }
+
+  debug(message, ...details) {
+    this.log('debug', message, details);
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  log(level, message, details = []) {
+    if (!this.isEnabled(level)) return;
+
+    const msg = this.redact(String(message));
+    const data = details.map(detail => this.redact(detail));
+
+    if (this.json) {
+      const entry = { time: new Date().toISOString(), level, msg };
+      if (data.length === 1) entry.data = data[0];
+      if (data.length > 1) entry.data = data;
+      this.write(JSON.stringify(entry));
+      return;
+    }
+
+    const rendered = data.map(detail => typeof detail === 'string' ? detail : JSON.stringify(detail, null, 2));
+    this.write([`${new Date().toISOString()} ${level.toUpperCase()} ${msg}`, ...rendered].join(' '));
+  }
+
+  redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return [...this.fieldPatterns, ...STRING_PATTERNS]
+        .reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+    }
+
+    if (value instanceof Error) {
+      const redacted = { name: value.name, message: this.redact(value.message) };
+      if (value.code) redacted.code = value.code;
+      if (value.response) {
+        redacted.status = value.response.status;
+        redacted.response = this.redact(value.response.data, seen);
+      }
+      if (this.isEnabled('debug') && value.stack) redacted.stack = this.redact(value.stack);
+      return redacted;
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, seen));
+    }
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = this.sensitiveFields.has(key.toLowerCase()) ? REDACTED : this.redact(child, seen);
+    }
+    return result;
+  }
+}
+
+export const logger = new Logger();
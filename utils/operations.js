@@ -0,0 +1,361 @@
+// utils/operations.js
+import { logger } from './logger.js';
+
+const API_PREFERENCES = ['REST', 'SOAP', 'AUTO'];
+const DEFAULT_PAGE_SIZE = 50;
+
+// Single quotes are doubled inside REST $filter string literals
+const quote = value => `'${String(value).replace(/'/g, "''")}'`;
+
+// Drops unset query parameters so they are not sent as "undefined"
+const compact = query => Object.fromEntries(Object.entries(query).filter(([, value]) => value !== undefined && value !== null));
+
+// Content Builder asset types that are emails
+const EMAIL_ASSET_TYPES = ['htmlemail', 'templatebasedemail', 'textonlyemail'];
+
+// Flattens DE rows from either API into { column: value } objects
+const restRows = data => (data.items || []).map(item => ({ ...item.keys, ...item.values }));
+const soapRows = normalized => normalized.results.map(result =>
+  Object.fromEntries((result.Properties?.Property || []).map(property => [property.Name, property.Value ?? null]))
+);
+
+// Named operations with a REST and a SOAP implementation. Each builder
+// returns the request to send, or null when that API cannot serve the params;
+// prepareSoap can complete a request right before it is sent, and
+// fromRest/fromSoap turn the response into the operation result.
+export const OPERATIONS = {
+  list_emails: {
+    description: 'List emails: Content Builder email assets (REST) or classic Email objects (SOAP). Params: name, pageSize',
+    idempotent: true,
+    rest: params => ({
+      method: 'GET',
+      path: '/asset/v1/content/assets',
+      query: {
+        $page: 1,
+        $pageSize: params.pageSize || DEFAULT_PAGE_SIZE,
+        $filter: params.name
+          ? `name like ${quote(params.name)}`
+          : `assetType.name in (${EMAIL_ASSET_TYPES.map(quote).join(',')})`,
+      },
+    }),
+    soap: params => ({
+      action: 'Retrieve',
+      objectType: 'Email',
+      properties: ['ID', 'Name', 'Subject', 'CustomerKey', 'CategoryID', 'CreatedDate', 'ModifiedDate'],
+      filter: params.name ? { property: 'Name', operator: 'like', value: `%${params.name}%` } : undefined,
+    }),
+    fromRest: data => ({ count: data.count, items: data.items || [] }),
+    fromSoap: normalized => ({ count: normalized.results.length, items: normalized.results }),
+  },
+
+  list_data_extensions: {
+    description: 'List data extensions. Params: name, pageSize',
+    idempotent: true,
+    rest: params => ({
+      method: 'GET',
+      path: '/data/v1/customobjects',
+      query: compact({ $page: 1, $pageSize: params.pageSize || DEFAULT_PAGE_SIZE, $search: params.name }),
+    }),
+    soap: params => ({
+      action: 'Retrieve',
+      objectType: 'DataExtension',
+      properties: ['ObjectID', 'CustomerKey', 'Name', 'Description', 'IsSendable', 'CategoryID', 'CreatedDate', 'ModifiedDate'],
+      filter: params.name ? { property: 'Name', operator: 'like', value: `%${params.name}%` } : undefined,
+    }),
+    fromRest: data => ({ count: data.count, items: data.items || [] }),
+    fromSoap: normalized => ({ count: normalized.results.length, items: normalized.results }),
+  },
+
+  get_contacts: {
+    description: 'Look up contacts/subscribers. Params: emails (REST or SOAP) or contactKeys (SOAP)',
+    idempotent: true,
+    rest: params => params.emails && params.emails.length > 0 ? {
+      method: 'POST',
+      path: '/contacts/v1/addresses/email/search',
+      body: { ChannelAddressList: params.emails, MaximumCount: params.maxCount || DEFAULT_PAGE_SIZE },
+    } : null,
+    soap: params => {
+      const keys = params.contactKeys && params.contactKeys.length > 0 ? params.contactKeys : null;
+      const values = keys || params.emails;
+      if (!values || values.length === 0) return null;
+      return {
+        action: 'Retrieve',
+        objectType: 'Subscriber',
+        properties: ['SubscriberKey', 'EmailAddress', 'Status', 'CreatedDate', 'UnsubscribedDate'],
+        filter: { property: keys ? 'SubscriberKey' : 'EmailAddress', operator: values.length > 1 ? 'IN' : 'equals', value: values.length > 1 ? values : values[0] },
+      };
+    },
+    fromRest: data => data,
+    fromSoap: normalized => ({ count: normalized.results.length, items: normalized.results }),
+  },
+
+  get_data_extension_rows: {
+    description: 'Read data extension rows. Params: dataExtensionKey, pageSize',
+    idempotent: true,
+    required: ['dataExtensionKey'],
+    rest: params => ({
+      method: 'GET',
+      path: `/data/v1/customobjectdata/key/${encodeURIComponent(params.dataExtensionKey)}/rowset`,
+      query: { $page: 1, $pageSize: params.pageSize || DEFAULT_PAGE_SIZE },
+    }),
+    soap: params => ({ action: 'Retrieve', objectType: `DataExtensionObject[${params.dataExtensionKey}]` }),
+    // SOAP needs the column list, which comes from the described data extension
+    prepareSoap: async (request, server) => {
+      const { schema } = await server.describeObject(request);
+      return { ...request, properties: schema.properties.map(property => property.name) };
+    },
+    fromRest: data => ({ count: data.count, items: restRows(data) }),
+    fromSoap: normalized => ({ count: normalized.results.length, items: soapRows(normalized) }),
+  },
+
+  bulk_data_import: {
+    description: 'Upsert rows into a data extension. Params: dataExtensionKey, rows (array of { column: value })',
+    idempotent: true,
+    required: ['dataExtensionKey', 'rows'],
+    rowCount: params => (params.rows || []).length,
+    rest: params => ({
+      method: 'PUT',
+      path: `/data/v1/async/dataextensions/key:${encodeURIComponent(params.dataExtensionKey)}/rows`,
+      body: { items: params.rows },
+    }),
+    soap: params => ({
+      action: 'Create',
+      objectType: `DataExtensionObject[${params.dataExtensionKey}]`,
+      objects: params.rows,
+      upsert: true,
+    }),
+    fromRest: data => data,
+    fromSoap: normalized => normalized,
+  },
+
+  automation_trigger: {
+    description: 'Run an automation once. Params: automationId (REST or SOAP) or automationKey (SOAP)',
+    idempotent: false,
+    rest: params => params.automationId ? {
+      method: 'POST',
+      path: `/automation/v1/automations/${encodeURIComponent(params.automationId)}/actions/runallonce`,
+    } : null,
+    soap: params => params.automationKey || params.automationId ? {
+      action: 'Perform',
+      objectType: 'Automation',
+      requestAction: 'start',
+      objects: [params.automationKey ? { CustomerKey: params.automationKey } : { ObjectID: params.automationId }],
+    } : null,
+    fromRest: data => ({ started: true, ...data }),
+    fromSoap: normalized => normalized,
+  },
+
+  list_journeys: {
+    description: 'List journeys (REST only). Params: name, pageSize',
+    idempotent: true,
+    rest: params => ({
+      method: 'GET',
+      path: '/interaction/v1/interactions',
+      query: compact({ $page: 1, $pageSize: params.pageSize || DEFAULT_PAGE_SIZE, nameOrDescription: params.name }),
+    }),
+    soap: () => null,
+    fromRest: data => ({ count: data.count, items: data.items || [] }),
+    fromSoap: normalized => normalized,
+  },
+};
+
+// Picks the API for an operation, runs it, falls back to the other API when
+// the first one fails, and reports the route and timings
+export class OperationRouter {
+  constructor(server) {
+    this.server = server;
+    const preference = String(process.env.MCE_API_PREFERENCE || 'AUTO').toUpperCase();
+    this.preference = API_PREFERENCES.includes(preference) ? preference : 'AUTO';
+  }
+
+  static describe() {
+    return Object.entries(OPERATIONS).map(([name, operation]) => ({ name, description: operation.description }));
+  }
+
+  async run(args) {
+    const operation = OPERATIONS[args.operation];
+    if (!operation) {
+      throw new Error(`Unknown operation "${args.operation}". Available: ${Object.keys(OPERATIONS).join(', ')}`);
+    }
+
+    const params = args.params || {};
+    const missing = (operation.required || []).filter(key => params[key] === undefined || params[key] === null || params[key] === '');
+    if (missing.length > 0) {
+      throw new Error(`Operation "${args.operation}" requires params: ${missing.join(', ')}`);
+    }
+
+    const context = { profile: args.profile, businessUnitId: args.businessUnitId };
+    const started = Date.now();
+
+    const routes = this.planRoutes(args, operation, params, context);
+    if (routes.length === 0) {
+      throw new Error(`Operation "${args.operation}" cannot be served by REST or SOAP with these params`);
+    }
+
+    const [first, second] = routes;
+    const canFallBack = Boolean(second) && args.fallback !== false;
+    const firstPolicy = this.server.describePolicy(this.policyRequest(first), args);
+
+    // A policy block on the first route only ends the call when there is no
+    // fallback; otherwise it counts as a failed attempt that was never sent
+    if (firstPolicy.allowed || !canFallBack) {
+      const confirmation = this.server.checkPolicy(this.policyRequest(first), args);
+      if (confirmation) return { confirmation };
+    }
+
+    const result = {
+      operation: args.operation,
+      preference: args.api || this.preference,
+      route: first.api,
+      attempts: [],
+    };
+
+    let outcome = firstPolicy.allowed
+      ? await this.attempt(first, operation, args)
+      : { ok: false, summary: { api: first.api, ok: false, blocked: true, error: firstPolicy.reason } };
+    result.attempts.push(outcome.summary);
+
+    if (!outcome.ok && canFallBack) {
+      const blocked = this.fallbackBlockedReason(operation, outcome, second, args, firstPolicy);
+      if (blocked) {
+        result.fallbackSkipped = blocked;
+      } else {
+        logger.warn(`${args.operation} via ${first.api} failed (${outcome.summary.error}), falling back to ${second.api}`);
+        outcome = await this.attempt(second, operation, args);
+        result.attempts.push(outcome.summary);
+        result.route = second.api;
+        result.fallbackFrom = first.api;
+      }
+    }
+
+    result.ok = outcome.ok;
+    result.durationMs = Date.now() - started;
+    if (outcome.ok) {
+      result.result = outcome.data;
+    } else {
+      result.error = outcome.summary.error;
+      if (outcome.data !== undefined) result.result = outcome.data;
+    }
+    return result;
+  }
+
+  // Ordered routes that can serve the params: preferred first, the other as fallback
+  planRoutes(args, operation, params, context) {
+    let preferred = args.api ? String(args.api).toUpperCase() : this.preference;
+    if (preferred === 'AUTO') {
+      const rowCount = operation.rowCount ? operation.rowCount(params) : undefined;
+      preferred = this.server.determineOptimalRoute(args.operation, { rowCount });
+    }
+
+    const order = preferred === 'SOAP' ? ['SOAP', 'REST'] : ['REST', 'SOAP'];
+    const routes = [];
+    for (const api of order) {
+      const build = api === 'REST' ? operation.rest : operation.soap;
+      const request = build(params);
+      if (request) {
+        routes.push({ api, request: { ...request, ...context, retry: args.retry, tool: 'mce_v1_operation' } });
+      }
+    }
+    return routes;
+  }
+
+  policyRequest(route) {
+    return route.api === 'REST'
+      ? { api: 'REST', method: route.request.method, path: route.request.path }
+      : { api: 'SOAP', action: route.request.action, objectType: route.request.objectType };
+  }
+
+  // Non-idempotent operations only fall back when the first API rejected the
+  // request outright or policy kept it from being sent, so the work cannot run twice
+  fallbackBlockedReason(operation, outcome, route, args, firstPolicy) {
+    const rejected = outcome.summary.blocked || (outcome.summary.status >= 400 && outcome.summary.status < 500);
+    if (!operation.idempotent && !rejected) {
+      return `not retried via ${route.api}: the operation is not idempotent and the first attempt may have run`;
+    }
+
+    const policy = this.server.describePolicy(this.policyRequest(route), args);
+    if (!policy.allowed) {
+      return `not retried via ${route.api}: ${policy.reason}`;
+    }
+    if (policy.requiresConfirmation && !firstPolicy.requiresConfirmation) {
+      return `not retried via ${route.api}: ${policy.reason}; call again with api: "${route.api}"`;
+    }
+    return null;
+  }
+
+  async attempt(route, operation, args) {
+    const started = Date.now();
+    const summary = { api: route.api };
+
+    try {
+      const outcome = route.api === 'REST'
+        ? await this.attemptRest(route.request, operation)
+        : await this.attemptSoap(route.request, operation);
+      Object.assign(summary, outcome.summary);
+      return { ok: outcome.ok, data: outcome.data, summary };
+    } catch (error) {
+      summary.ok = false;
+      summary.error = error.message;
+      return { ok: false, summary };
+    } finally {
+      summary.durationMs = Date.now() - started;
+      logger.debug(`${args.operation} via ${route.api}: ${summary.ok ? 'ok' : summary.error} in ${summary.durationMs}ms`);
+    }
+  }
+
+  async attemptRest(request, operation) {
+    let response;
+    try {
+      ({ response } = await this.server.executeRestRequest(request));
+    } catch (error) {
+      this.server.auditRequest('REST', request, { error });
+      throw error;
+    }
+    this.server.auditRequest('REST', request, { response });
+
+    const ok = response.status < 400;
+    return {
+      ok,
+      data: ok ? operation.fromRest(response.data || {}) : undefined,
+      summary: {
+        ok,
+        status: response.status,
+        error: ok ? undefined : `HTTP ${response.status}${response.data?.message ? `: ${response.data.message}` : ''}`,
+      },
+    };
+  }
+
+  async attemptSoap(route, operation) {
+    const request = operation.prepareSoap ? await operation.prepareSoap(route, this.server) : route;
+    await this.server.validateSoapRequest(request);
+
+    let normalized;
+    let status = 200;
+    if (request.objects && request.objects.length > 1) {
+      normalized = await this.server.executeSoapBatch(request);
+    } else {
+      let response;
+      try {
+        ({ response } = await this.server.executeSoapRequest(request));
+      } catch (error) {
+        this.server.auditRequest('SOAP', request, { error });
+        throw error;
+      }
+      this.server.auditRequest('SOAP', request, { response });
+      normalized = await this.server.normalizeSoapResponse(response);
+      status = response.status;
+    }
+
+    // Partial failures still count as served; per-object errors are in the result
+    const ok = status === 200 && !['Fault', 'Error'].includes(normalized.overallStatus) && !/^Error/i.test(normalized.overallStatus);
+    return {
+      ok,
+      data: ok ? operation.fromSoap(normalized) : normalized,
+      summary: {
+        ok,
+        status,
+        error: ok ? undefined : (normalized.errors[0]?.message || normalized.overallStatus),
+      },
+    };
+  }
+}
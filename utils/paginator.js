@@ -0,0 +1,142 @@
+// utils/paginator.js
+const DEFAULT_MAX_PAGES = 50;
+const DEFAULT_MAX_TOTAL_ITEMS = 10000;
+const ITEM_KEYS = ['items', 'entry', 'results'];
+
+export class RestPaginator {
+  // fetchPage(args) must resolve to { response, summary } like executeRestRequest
+  constructor(fetchPage) {
+    this.fetchPage = fetchPage;
+  }
+
+  async collect(args, options = {}) {
+    if (String(args.method).toUpperCase() !== 'GET') {
+      throw new Error('Pagination is only supported for GET requests');
+    }
+
+    const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    const maxTotalItems = options.maxTotalItems || DEFAULT_MAX_TOTAL_ITEMS;
+    const style = this.detectStyle(args.query);
+
+    const query = { ...args.query };
+    let page = Number(query[style.page]) || 1;
+    query[style.page] = page;
+
+    let pageArgs = { ...args, query };
+    const items = [];
+    const retries = [];
+    let pagesFetched = 0;
+    let totalCount = null;
+    let stoppedReason = 'last page reached';
+
+    while (true) {
+      const { response, summary } = await this.fetchPage(pageArgs);
+      pagesFetched++;
+
+      if (summary && (summary.retries.length > 0 || summary.gaveUp)) {
+        retries.push({ page, ...summary });
+      }
+
+      if (response.status < 200 || response.status >= 300) {
+        stoppedReason = `HTTP ${response.status} on page ${page}`;
+        return this.result({ items, totalCount, pagesFetched, stoppedReason, truncated: true, retries, error: response.data });
+      }
+
+      const data = response.data || {};
+      const pageItems = this.extractItems(data);
+      if (typeof data.count === 'number') {
+        totalCount = data.count;
+      }
+
+      const room = maxTotalItems - items.length;
+      items.push(...pageItems.slice(0, room));
+
+      if (pageItems.length > room) {
+        stoppedReason = `maxTotalItems (${maxTotalItems}) reached`;
+        return this.result({ items, totalCount, pagesFetched, stoppedReason, truncated: true, retries });
+      }
+
+      const pageSize = Number(data.pageSize) || Number(query[style.pageSize]) || pageItems.length;
+      const nextLink = this.getNextLink(data);
+
+      const hasMore = nextLink
+        ? pageItems.length > 0
+        : pageItems.length > 0 && (totalCount !== null
+          ? page * pageSize < totalCount
+          : pageItems.length >= pageSize);
+
+      if (!hasMore) break;
+
+      if (items.length >= maxTotalItems) {
+        stoppedReason = `maxTotalItems (${maxTotalItems}) reached`;
+        return this.result({ items, totalCount, pagesFetched, stoppedReason, truncated: true, retries });
+      }
+
+      if (pagesFetched >= maxPages) {
+        stoppedReason = `maxPages (${maxPages}) reached`;
+        return this.result({ items, totalCount, pagesFetched, stoppedReason, truncated: true, retries });
+      }
+
+      page++;
+      pageArgs = nextLink
+        ? this.argsFromLink(args, nextLink)
+        : { ...args, query: { ...query, [style.page]: page } };
+    }
+
+    return this.result({ items, totalCount, pagesFetched, stoppedReason, truncated: false, retries });
+  }
+
+  // Asset and interaction APIs use $page/$pageSize, contacts and some
+  // platform endpoints use page/pageSize
+  detectStyle(query = {}) {
+    if ('page' in query || 'pageSize' in query) {
+      return { page: 'page', pageSize: 'pageSize' };
+    }
+    return { page: '$page', pageSize: '$pageSize' };
+  }
+
+  extractItems(data) {
+    if (Array.isArray(data)) return data;
+    for (const key of ITEM_KEYS) {
+      if (Array.isArray(data[key])) return data[key];
+    }
+    return [];
+  }
+
+  getNextLink(data) {
+    const next = data.links && data.links.next;
+    if (!next) return null;
+    return typeof next === 'string' ? next : next.href || null;
+  }
+
+  argsFromLink(args, link) {
+    const url = new URL(link, 'https://placeholder.invalid');
+    let path = url.pathname;
+
+    // Rowset links come back without the /data prefix, e.g. /v1/customobjectdata/...
+    if (args.path.startsWith('/data/') && !path.startsWith('/data/')) {
+      path = `/data${path}`;
+    }
+
+    return {
+      ...args,
+      path,
+      query: Object.fromEntries(url.searchParams.entries()),
+    };
+  }
+
+  result({ items, totalCount, pagesFetched, stoppedReason, truncated, retries, error }) {
+    const result = {
+      count: totalCount !== null ? totalCount : items.length,
+      itemsReturned: items.length,
+      pagesFetched,
+      truncated,
+      stoppedReason,
+      items,
+    };
+
+    if (retries.length > 0) result.retries = retries;
+    if (error !== undefined) result.error = error;
+    return result;
+  }
+}
@@ -0,0 +1,188 @@
+// utils/policy.js
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { logger } from './logger.js';
+
+const READ_ONLY_REST_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const READ_ONLY_SOAP_ACTIONS = ['Retrieve', 'Describe'];
+
+export class RequestPolicy {
+  constructor(filePath = process.env.MCE_POLICY_FILE) {
+    this.filePath = filePath ? resolve(filePath) : null;
+    this.config = {};
+    this.confirmations = new Map(); // token -> { fingerprint, expiresAt }
+    this.confirmationTtlMs = Number(process.env.MCE_CONFIRMATION_TTL_SECONDS || 300) * 1000;
+
+    if (this.filePath) {
+      this.load();
+    }
+  }
+
+  // Policy file format:
+  // {
+  //   "readOnly": false,
+  //   "rest": { "allowMethods": [], "denyMethods": [], "allowPaths": ["/asset/**"], "denyPaths": [] },
+  //   "soap": { "allowActions": [], "denyActions": [], "allowObjectTypes": [], "denyObjectTypes": [] },
+  //   "requireConfirmation": {
+  //     "rest": [{ "methods": ["DELETE"], "paths": ["/**"] }],
+  //     "soap": [{ "actions": ["Delete", "Perform"] }]
+  //   },
+  //   "profiles": { "production": { ...same keys, override the top level } }
+  // }
+  load() {
+    try {
+      this.config = JSON.parse(readFileSync(this.filePath, 'utf8'));
+      logger.info(`✓ Loaded request policy from ${this.filePath}`);
+    } catch (error) {
+      // Fail closed: a policy that was asked for but cannot be read blocks all writes
+      this.config = { readOnly: true };
+      logger.warn(`✗ Could not load policy from ${this.filePath}, falling back to read-only:`, error.message);
+    }
+  }
+
+  forProfile(profileName) {
+    const base = this.config;
+    const override = (base.profiles && base.profiles[profileName]) || {};
+
+    return {
+      readOnly: process.env.MCE_READ_ONLY === 'true' || Boolean(override.readOnly ?? base.readOnly),
+      rest: { ...base.rest, ...override.rest },
+      soap: { ...base.soap, ...override.soap },
+      requireConfirmation: { ...base.requireConfirmation, ...override.requireConfirmation },
+    };
+  }
+
+  // request: { api: 'REST', method, path, profile } or { api: 'SOAP', action, objectType, profile }
+  // Throws when the request is blocked; returns { requiresConfirmation, reason }
+  evaluate(request) {
+    const policy = this.forProfile(request.profile);
+
+    if (request.api === 'REST') {
+      const method = String(request.method).toUpperCase();
+      const rules = policy.rest;
+      const path = RequestPolicy.normalizePath(request.path);
+
+      if (policy.readOnly && !READ_ONLY_REST_METHODS.includes(method)) {
+        throw new Error(`Blocked by policy: server is in read-only mode (${method} ${request.path})`);
+      }
+      this.checkList(rules.allowMethods, rules.denyMethods, method, 'REST method', (pattern, value) => pattern.toUpperCase() === value);
+      this.checkList(rules.allowPaths, rules.denyPaths, path, 'REST path', RequestPolicy.matchPath);
+
+      const rule = (policy.requireConfirmation.rest || []).find(r =>
+        this.matches(r.methods, method, (pattern, value) => pattern.toUpperCase() === value) &&
+        this.matches(r.paths, path, RequestPolicy.matchPath)
+      );
+      return { requiresConfirmation: Boolean(rule), reason: rule && `${method} ${request.path} requires confirmation` };
+    }
+
+    const rules = policy.soap;
+    if (policy.readOnly && !READ_ONLY_SOAP_ACTIONS.includes(request.action)) {
+      throw new Error(`Blocked by policy: server is in read-only mode (${request.action} ${request.objectType})`);
+    }
+    this.checkList(rules.allowActions, rules.denyActions, request.action, 'SOAP action', RequestPolicy.matchName);
+    this.checkList(rules.allowObjectTypes, rules.denyObjectTypes, request.objectType, 'SOAP object type', RequestPolicy.matchName);
+
+    const rule = (policy.requireConfirmation.soap || []).find(r =>
+      this.matches(r.actions, request.action, RequestPolicy.matchName) &&
+      this.matches(r.objectTypes, request.objectType, RequestPolicy.matchName)
+    );
+    return { requiresConfirmation: Boolean(rule), reason: rule && `SOAP ${request.action} on ${request.objectType} requires confirmation` };
+  }
+
+  checkList(allow, deny, value, label, match) {
+    if (deny && deny.some(pattern => match(pattern, value))) {
+      throw new Error(`Blocked by policy: ${label} "${value}" is denied`);
+    }
+    if (allow && allow.length > 0 && !allow.some(pattern => match(pattern, value))) {
+      throw new Error(`Blocked by policy: ${label} "${value}" is not in the allowlist`);
+    }
+  }
+
+  // A missing or empty pattern list matches everything
+  matches(patterns, value, match) {
+    return !patterns || patterns.length === 0 || patterns.some(pattern => match(pattern, value));
+  }
+
+  // A bare object type also covers its keyed form, so a rule for
+  // DataExtensionObject applies to DataExtensionObject[Orders]
+  static matchName(pattern, value) {
+    if (pattern === '*') return true;
+    const name = String(pattern).toLowerCase();
+    const target = String(value).toLowerCase();
+    return name === target || name === target.replace(/\[[^\]]*\]$/, '');
+  }
+
+  // The path the server will actually see: query dropped, "//" collapsed and
+  // "." / ".." resolved, so "/asset/v1/../../platform" is checked as "/platform".
+  // Encoded dots, slashes and backslashes are refused because servers differ
+  // in whether they decode them before resolving segments.
+  static normalizePath(path) {
+    const raw = String(path ?? '').split('?')[0];
+    if (/%2e|%2f|%5c|\\/i.test(raw)) {
+      throw new Error(`Blocked by policy: REST path "${raw}" contains encoded dots, slashes or backslashes`);
+    }
+
+    const segments = [];
+    for (const segment of raw.split('/')) {
+      if (segment === '' || segment === '.') continue;
+      if (segment === '..') {
+        if (segments.length === 0) {
+          throw new Error(`Blocked by policy: REST path "${raw}" leaves the API root`);
+        }
+        segments.pop();
+        continue;
+      }
+      segments.push(segment);
+    }
+    return '/' + segments.join('/') + (raw.length > 1 && raw.endsWith('/') && segments.length > 0 ? '/' : '');
+  }
+
+  // Glob match where * stays within a path segment and ** spans segments;
+  // a trailing /** also matches the bare prefix
+  static matchPath(pattern, path) {
+    const regex = String(pattern)
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\/\*\*$/, '\u0001')
+      .replace(/\*\*/g, '\u0000')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\u0000/g, '.*')
+      .replace('\u0001', '(?:/.*)?');
+    return new RegExp(`^${regex}$`, 'i').test(path.split('?')[0]);
+  }
+
+  issueConfirmation(request) {
+    const token = randomBytes(12).toString('hex');
+    this.confirmations.set(token, {
+      fingerprint: RequestPolicy.fingerprint(request),
+      expiresAt: Date.now() + this.confirmationTtlMs,
+    });
+    return token;
+  }
+
+  // Tokens are single use and only valid for the exact request they were issued for
+  consumeConfirmation(token, request) {
+    const entry = token && this.confirmations.get(token);
+    if (!entry) return false;
+
+    this.confirmations.delete(token);
+    return entry.expiresAt > Date.now() && entry.fingerprint === RequestPolicy.fingerprint(request);
+  }
+
+  static fingerprint(request) {
+    return createHash('sha256').update(RequestPolicy.canonicalize(request)).digest('hex');
+  }
+
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => RequestPolicy.canonicalize(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${RequestPolicy.canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+}
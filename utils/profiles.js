@@ -0,0 +1,96 @@
+// utils/profiles.js
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { logger } from './logger.js';
+
+const REQUIRED_SETTINGS = ['subdomain', 'clientId', 'clientSecret'];
+
+export class ProfileManager {
+  constructor(filePath = process.env.MCE_PROFILES_FILE) {
+    this.filePath = filePath ? resolve(filePath) : null;
+    this.profiles = {};
+    this.defaultProfile = null;
+
+    if (this.filePath) {
+      this.load();
+    }
+  }
+
+  // Profile file format:
+  // {
+  //   "defaultProfile": "production",
+  //   "profiles": {
+  //     "production": { "subdomain": "...", "clientId": "...", "clientSecret": "${PROD_SECRET}", "defaultMid": "..." }
+  //   }
+  // }
+  load() {
+    try {
+      const config = JSON.parse(readFileSync(this.filePath, 'utf8'));
+      this.profiles = config.profiles || {};
+      this.defaultProfile = config.defaultProfile || null;
+      logger.info(`✓ Loaded ${Object.keys(this.profiles).length} credential profile(s) from ${this.filePath}`);
+    } catch (error) {
+      logger.warn(`✗ Could not load profiles from ${this.filePath}:`, error.message);
+    }
+  }
+
+  list() {
+    const names = Object.keys(this.profiles);
+    if (!names.includes('default') && process.env.MCE_CLIENT_ID) {
+      names.push('default');
+    }
+    return names;
+  }
+
+  resolve(name) {
+    const profileName = name || this.defaultProfile || 'default';
+    const profile = this.profiles[profileName];
+
+    if (!profile) {
+      if (profileName === 'default') {
+        return this.fromEnvironment();
+      }
+      throw new Error(`Unknown profile: ${profileName}. Available profiles: ${this.list().join(', ') || 'none'}`);
+    }
+
+    const resolved = {
+      name: profileName,
+      subdomain: this.expand(profile.subdomain),
+      clientId: this.expand(profile.clientId),
+      clientSecret: this.expand(profile.clientSecret),
+      defaultMid: this.expand(profile.defaultMid) || null,
+    };
+
+    const missing = REQUIRED_SETTINGS.filter(key => !resolved[key]);
+    if (missing.length > 0) {
+      throw new Error(`Profile "${profileName}" is missing required settings: ${missing.join(', ')}`);
+    }
+
+    return resolved;
+  }
+
+  // Fallback profile built from the MCE_* environment variables
+  fromEnvironment() {
+    const subdomain = process.env.MCE_SUBDOMAIN;
+    const clientId = process.env.MCE_CLIENT_ID;
+    const clientSecret = process.env.MCE_CLIENT_SECRET;
+
+    if (!subdomain || !clientId || !clientSecret) {
+      throw new Error('Missing required environment variables: MCE_SUBDOMAIN, MCE_CLIENT_ID, MCE_CLIENT_SECRET');
+    }
+
+    return {
+      name: 'default',
+      subdomain,
+      clientId,
+      clientSecret,
+      defaultMid: process.env.MCE_DEFAULT_MID || null,
+    };
+  }
+
+  // Allow "${VAR}" references so secrets can stay out of the profile file
+  expand(value) {
+    if (value === undefined || value === null) return value;
+    return String(value).replace(/\$\{(\w+)\}/g, (_, key) => process.env[key] || '');
+  }
+}
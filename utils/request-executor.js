@@ -0,0 +1,129 @@
+// utils/request-executor.js
+import { logger } from './logger.js';
+
+const IDEMPOTENT_REST_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const IDEMPOTENT_SOAP_ACTIONS = ['Retrieve', 'Describe', 'Update', 'Delete'];
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+const SOAP_FAULT = /<(\w+:)?Fault[\s>]/;
+const SERVER_BUSY = /Server\s*Busy|Too many requests/i;
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ERR_NETWORK'];
+
+export class RequestExecutor {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? Number(process.env.MCE_MAX_RETRIES ?? 3);
+    this.baseDelayMs = options.baseDelayMs ?? Number(process.env.MCE_RETRY_BASE_DELAY_MS ?? 500);
+    this.maxDelayMs = options.maxDelayMs ?? Number(process.env.MCE_RETRY_MAX_DELAY_MS ?? 30000);
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  static isIdempotent(api, method) {
+    if (api === 'SOAP') {
+      return IDEMPOTENT_SOAP_ACTIONS.includes(method);
+    }
+    return IDEMPOTENT_REST_METHODS.includes(String(method).toUpperCase());
+  }
+
+  // Classify an HTTP response. Throttled requests were rejected before being
+  // processed, so they are safe to replay even for non-idempotent calls.
+  static classifyRestResponse(response) {
+    if (response.status === 429) {
+      return { reason: 'HTTP 429 rate limited', throttled: true };
+    }
+    if (TRANSIENT_STATUSES.includes(response.status)) {
+      return { reason: `HTTP ${response.status}`, throttled: false };
+    }
+    return null;
+  }
+
+  static classifySoapResponse(response) {
+    const text = String(response.data || '');
+    // Only faults and error statuses carry the busy message; a successful body
+    // can contain the same words in retrieved data
+    const failed = response.status !== 200 || SOAP_FAULT.test(text);
+    if (response.status === 429 || (failed && SERVER_BUSY.test(text))) {
+      return { reason: 'SOAP Server Busy', throttled: true };
+    }
+    // A regular soap:Fault with a 500 is a real error, not a transient one
+    if (response.status !== 500 && TRANSIENT_STATUSES.includes(response.status)) {
+      return { reason: `HTTP ${response.status}`, throttled: false };
+    }
+    return null;
+  }
+
+  static classifyError(error) {
+    if (!error.response && NETWORK_ERROR_CODES.includes(error.code)) {
+      return { reason: `Network error ${error.code}`, throttled: false };
+    }
+    return null;
+  }
+
+  // Runs send() until it succeeds or retries are exhausted.
+  // Returns { response, summary } or throws the last network error.
+  async execute(send, options = {}) {
+    const { idempotent = true, classify = RequestExecutor.classifyRestResponse, retry = {} } = options;
+    const maxRetries = retry.maxRetries ?? this.maxRetries;
+    const allowNonIdempotent = retry.allowNonIdempotent === true;
+    const summary = { attempts: 0, retries: [] };
+
+    for (let attempt = 0; ; attempt++) {
+      summary.attempts = attempt + 1;
+
+      let response = null;
+      let failure = null;
+      try {
+        response = await send();
+        failure = classify(response);
+      } catch (error) {
+        failure = RequestExecutor.classifyError(error);
+        if (!failure) throw error;
+        failure.error = error;
+      }
+
+      if (!failure) {
+        return { response, summary };
+      }
+
+      const canRetry = failure.throttled || idempotent || allowNonIdempotent;
+      if (!canRetry || attempt >= maxRetries) {
+        summary.gaveUp = failure.reason;
+        if (!canRetry) {
+          summary.note = 'Not retried automatically because the request is not idempotent; pass retry.allowNonIdempotent to opt in';
+        }
+        if (failure.error) throw Object.assign(failure.error, { retrySummary: summary });
+        return { response, summary };
+      }
+
+      const delayMs = this.getDelay(attempt, response);
+      summary.retries.push({ attempt: attempt + 1, reason: failure.reason, delayMs });
+      logger.warn(`Retrying after ${failure.reason} (attempt ${attempt + 1}/${maxRetries}, waiting ${delayMs}ms)`);
+      await this.sleep(delayMs);
+    }
+  }
+
+  getDelay(attempt, response) {
+    const retryAfter = this.parseRetryAfter(response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelayMs);
+    }
+
+    // Exponential backoff with equal jitter
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  static hasRetryInfo(summary) {
+    return Boolean(summary && (summary.retries.length > 0 || summary.gaveUp));
+  }
+}
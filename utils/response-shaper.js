@@ -0,0 +1,103 @@
+// utils/response-shaper.js
+export class ResponseShaper {
+  // Projects, trims and serializes a response body for a tool result.
+  // Returns { text, summary } where summary is null if nothing was omitted.
+  static shape(data, options = {}) {
+    const maxChars = options.maxChars || Number(process.env.MCE_MAX_RESPONSE_CHARS) || null;
+    const summary = {};
+    let value = data;
+
+    if (value && typeof value === 'object') {
+      if (options.select && options.select.length > 0) {
+        value = ResponseShaper.project(value, options.select);
+        summary.selected = options.select;
+      }
+
+      if (options.maxItems) {
+        const omittedItems = [];
+        value = ResponseShaper.limitArrays(value, options.maxItems, '$', omittedItems);
+        if (omittedItems.length > 0) summary.omittedItems = omittedItems;
+      }
+    }
+
+    let text = typeof value === 'object' && value !== null
+      ? JSON.stringify(value, null, 2)
+      : String(value);
+
+    if (maxChars && text.length > maxChars) {
+      const omittedChars = text.length - maxChars;
+      text = `${text.substring(0, maxChars)}\n... [TRUNCATED: ${omittedChars} of ${text.length} characters omitted]`;
+      summary.omittedChars = omittedChars;
+    }
+
+    const truncated = Boolean(summary.omittedItems || summary.omittedChars);
+    return { text, summary: truncated ? summary : null };
+  }
+
+  // Paths use dots with optional [*] for arrays, e.g. "items[*].name",
+  // "$.items.customerKey" or "RetrieveResponseMsg.Results.Name"
+  static parsePath(path) {
+    return String(path)
+      .replace(/^\$\.?/, '')
+      .replace(/\[\*\]/g, '.*')
+      .replace(/\[['"]?([^\]'"]+)['"]?\]/g, '.$1')
+      .split('.')
+      .filter(Boolean);
+  }
+
+  static project(value, paths) {
+    return ResponseShaper.pick(value, paths.map(p => ResponseShaper.parsePath(p)));
+  }
+
+  static pick(value, segmentLists) {
+    if (segmentLists.some(segments => segments.length === 0)) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      // Arrays are traversed implicitly; an explicit * is consumed here
+      const inner = segmentLists.map(segments => segments[0] === '*' ? segments.slice(1) : segments);
+      return value.map(item => ResponseShaper.pick(item, inner));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return undefined;
+    }
+
+    const result = {};
+    for (const key of Object.keys(value)) {
+      const rests = segmentLists
+        .filter(segments => segments[0] === key || segments[0] === '*')
+        .map(segments => segments.slice(1));
+
+      if (rests.length === 0) continue;
+
+      const picked = ResponseShaper.pick(value[key], rests);
+      if (picked !== undefined) {
+        result[key] = picked;
+      }
+    }
+    return result;
+  }
+
+  static limitArrays(value, maxItems, path, omitted) {
+    if (Array.isArray(value)) {
+      if (value.length > maxItems) {
+        omitted.push({ path, total: value.length, kept: maxItems });
+      }
+      return value
+        .slice(0, maxItems)
+        .map((item, index) => ResponseShaper.limitArrays(item, maxItems, `${path}[${index}]`, omitted));
+    }
+
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        result[key] = ResponseShaper.limitArrays(child, maxItems, `${path}.${key}`, omitted);
+      }
+      return result;
+    }
+
+    return value;
+  }
+}
@@ -0,0 +1,57 @@
+// utils/row-writer.js
+import { open, mkdir } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { toCsvRow } from './csv.js';
+
+export const ROW_FILE_FORMATS = ['csv', 'ndjson'];
+
+// Appends rows to a CSV or NDJSON file page by page, so large exports never
+// have to be held in memory. CSV columns are fixed by the header.
+export class RowWriter {
+  constructor(handle, path, format, columns) {
+    this.handle = handle;
+    this.path = path;
+    this.format = format;
+    this.columns = columns;
+    this.rowsWritten = 0;
+  }
+
+  // An existing file is only replaced when overwrite is set
+  static async open(path, format, columns, { overwrite = false } = {}) {
+    if (!ROW_FILE_FORMATS.includes(format)) {
+      throw new Error(`Unsupported export format "${format}". Use ${ROW_FILE_FORMATS.join(' or ')}`);
+    }
+
+    const fullPath = resolve(path);
+    await mkdir(dirname(fullPath), { recursive: true });
+    let handle;
+    try {
+      handle = await open(fullPath, overwrite ? 'w' : 'wx');
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new Error(`${fullPath} already exists; pass overwrite: true to replace it`);
+      }
+      throw error;
+    }
+    const writer = new RowWriter(handle, fullPath, format, columns);
+    if (format === 'csv') {
+      await writer.handle.write(toCsvRow(columns) + '\r\n');
+    }
+    return writer;
+  }
+
+  // rows: objects keyed by column name; columns missing from a row are empty
+  async write(rows) {
+    if (rows.length === 0) return;
+
+    const lines = rows.map(row => this.format === 'csv'
+      ? toCsvRow(this.columns.map(column => row[column])) + '\r\n'
+      : JSON.stringify(Object.fromEntries(this.columns.map(column => [column, row[column] ?? null]))) + '\n');
+    await this.handle.write(lines.join(''));
+    this.rowsWritten += rows.length;
+  }
+
+  async close() {
+    await this.handle.close();
+  }
+}
@@ -0,0 +1,133 @@
+// utils/soap-filter.js
+import { escapeXml } from './xml.js';
+
+// Canonical SimpleOperator spellings, keyed by lowercase alias
+const OPERATORS = {
+  equals: 'equals',
+  '=': 'equals',
+  notequals: 'notEquals',
+  '!=': 'notEquals',
+  greaterthan: 'greaterThan',
+  '>': 'greaterThan',
+  greaterthanorequal: 'greaterThanOrEqual',
+  '>=': 'greaterThanOrEqual',
+  lessthan: 'lessThan',
+  '<': 'lessThan',
+  lessthanorequal: 'lessThanOrEqual',
+  '<=': 'lessThanOrEqual',
+  isnull: 'isNull',
+  isnotnull: 'isNotNull',
+  between: 'between',
+  in: 'IN',
+  like: 'like',
+  existsinstring: 'existsInString',
+  existsinstringasaword: 'existsInStringAsAWord',
+  notexistsinstring: 'notExistsInString',
+  beginswith: 'beginsWith',
+  endswith: 'endsWith',
+  contains: 'contains',
+  mustcontain: 'mustContain',
+  isanyof: 'isAnyOf',
+  isnotanyof: 'isNotAnyOf',
+};
+
+const NO_VALUE_OPERATORS = ['isNull', 'isNotNull'];
+const MULTI_VALUE_OPERATORS = ['IN', 'between', 'isAnyOf', 'isNotAnyOf'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+export class SoapFilterBuilder {
+  // Accepts a simple part { property, operator, value | values | dateValue }
+  // or a tree of { and: [...] } / { or: [...] } nodes
+  static build(filter) {
+    if (!filter) return '';
+    return SoapFilterBuilder.renderPart(filter, 'Filter');
+  }
+
+  static renderPart(filter, tag) {
+    const logical = SoapFilterBuilder.getLogicalOperator(filter);
+    if (logical) {
+      const operands = filter[logical.key];
+      if (!Array.isArray(operands) || operands.length === 0) {
+        throw new Error(`Filter "${logical.key}" must be a non-empty array`);
+      }
+      if (operands.length === 1) {
+        return SoapFilterBuilder.renderPart(operands[0], tag);
+      }
+      return SoapFilterBuilder.renderComplex(operands, logical.operator, tag);
+    }
+
+    return SoapFilterBuilder.renderSimple(filter, tag);
+  }
+
+  static getLogicalOperator(filter) {
+    if (filter.and) return { key: 'and', operator: 'AND' };
+    if (filter.or) return { key: 'or', operator: 'OR' };
+    if (filter.AND) return { key: 'AND', operator: 'AND' };
+    if (filter.OR) return { key: 'OR', operator: 'OR' };
+    return null;
+  }
+
+  // The API only nests binary parts, so a AND b AND c becomes (a AND b) AND c
+  static renderComplex(operands, operator, tag) {
+    const right = operands[operands.length - 1];
+    const rest = operands.slice(0, -1);
+    const left = rest.length === 1
+      ? SoapFilterBuilder.renderPart(rest[0], 'LeftOperand')
+      : SoapFilterBuilder.renderComplex(rest, operator, 'LeftOperand');
+
+    return `<${tag} xsi:type="ComplexFilterPart">${left}<LogicalOperator>${operator}</LogicalOperator>${SoapFilterBuilder.renderPart(right, 'RightOperand')}</${tag}>`;
+  }
+
+  static renderSimple(filter, tag) {
+    if (!filter.property) {
+      throw new Error(`Filter part is missing "property": ${JSON.stringify(filter)}`);
+    }
+
+    const operator = SoapFilterBuilder.normalizeOperator(filter.operator || filter.simpleOperator || 'equals');
+    const values = SoapFilterBuilder.getValues(filter, operator);
+    const valueTag = SoapFilterBuilder.isDateFilter(filter, values) ? 'DateValue' : 'Value';
+    const valuesXml = values.map(value => `<${valueTag}>${escapeXml(value)}</${valueTag}>`).join('');
+
+    return `<${tag} xsi:type="SimpleFilterPart"><Property>${escapeXml(filter.property)}</Property><SimpleOperator>${operator}</SimpleOperator>${valuesXml}</${tag}>`;
+  }
+
+  static normalizeOperator(operator) {
+    const normalized = OPERATORS[String(operator).toLowerCase()];
+    if (!normalized) {
+      throw new Error(`Unsupported filter operator "${operator}". Supported: ${[...new Set(Object.values(OPERATORS))].join(', ')}`);
+    }
+    return normalized;
+  }
+
+  static getValues(filter, operator) {
+    if (NO_VALUE_OPERATORS.includes(operator)) {
+      return [];
+    }
+
+    const raw = filter.values ?? filter.dateValues ?? filter.dateValue ?? filter.value;
+    const values = raw === undefined ? [] : Array.isArray(raw) ? raw : [raw];
+
+    if (values.length === 0) {
+      throw new Error(`Filter on "${filter.property}" with operator "${operator}" requires a value`);
+    }
+    if (operator === 'between' && values.length !== 2) {
+      throw new Error(`Filter on "${filter.property}" with operator "between" requires exactly 2 values`);
+    }
+    if (values.length > 1 && !MULTI_VALUE_OPERATORS.includes(operator)) {
+      throw new Error(`Filter on "${filter.property}" with operator "${operator}" accepts a single value; use "IN" for multiple values`);
+    }
+
+    return values.map(value => value instanceof Date ? value.toISOString() : value);
+  }
+
+  // DateValue is used when asked for explicitly, or when a *Date property is
+  // compared against ISO dates. type: "string" forces a plain Value.
+  static isDateFilter(filter, values) {
+    if (filter.type === 'date' || filter.dateValue !== undefined || filter.dateValues !== undefined) return true;
+    if (filter.type) return false;
+
+    return /Date$/i.test(filter.property) &&
+      values.length > 0 &&
+      values.every(value => ISO_DATE.test(String(value)));
+  }
+}
@@ -0,0 +1,110 @@
+// utils/soap-response.js
+// Normalized view of partner API responses for every action:
+//   { overallStatus, requestId, results: [...], errors: [{ code, message, objectIndex }] }
+// A 200 response can still carry per-object errors, so callers should check errors.
+
+// Elements that repeat in the API and must stay arrays even with one entry
+const ALWAYS_ARRAY = ['Results', 'Result', 'Attributes', 'Lists', 'Property', 'Field', 'Key', 'Parameter'];
+
+// Free text and identifiers keep their string form ("00123", "true" as a name);
+// flags such as IsPrimaryKey are still booleans
+const KEEP_AS_STRING = /(Key|Name|Value|Description|Message|Address|Subject|Text)$/;
+const FLAG = /^Is[A-Z]/;
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+const SOAP_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?$/;
+
+// The SOAP API reports times in Central Standard Time without daylight saving
+const SOAP_TIME_ZONE = '-06:00';
+
+export class SoapResponse {
+  // body: the parsed soap Body (tag prefixes joined with "_")
+  static normalize(body) {
+    const fault = body.soap_Fault || body.s_Fault;
+    if (fault) {
+      return SoapResponse.fromFault(fault);
+    }
+
+    const messageName = Object.keys(body).find(key => /Response(Msg)?$/.test(key));
+    const message = (messageName && body[messageName]) || {};
+
+    // Perform/Configure/Schedule wrap each entry in <Results><Result>;
+    // Describe returns ObjectDefinition instead of Results
+    let results = message.Results ?? message.ObjectDefinition ?? [];
+    if (results && !Array.isArray(results) && Object.keys(results).length === 1 && results.Result !== undefined) {
+      results = results.Result;
+    }
+    results = [].concat(results).map(result => SoapResponse.coerce(result));
+
+    const errors = [];
+    results.forEach((result, position) => {
+      if (result && result.StatusCode === 'Error') {
+        errors.push({
+          code: result.ErrorCode ?? null,
+          message: result.StatusMessage || 'Unknown error',
+          objectIndex: Number.isInteger(result.OrdinalID) ? result.OrdinalID : position,
+        });
+      }
+    });
+
+    const overallStatus = message.OverallStatus ?? (errors.length > 0 ? 'Error' : 'OK');
+    // Retrieve reports request-level problems only in OverallStatus
+    if (/^Error/i.test(overallStatus) && errors.length === 0) {
+      errors.push({ code: null, message: overallStatus, objectIndex: null });
+    }
+
+    return {
+      overallStatus,
+      requestId: message.RequestID ?? null,
+      results,
+      errors,
+    };
+  }
+
+  static fromFault(fault) {
+    const code = fault.faultcode ?? fault.s_Code?.s_Value ?? null;
+    const message = fault.faultstring ?? fault.s_Reason?.s_Text ?? 'SOAP fault';
+    return {
+      overallStatus: 'Fault',
+      requestId: null,
+      results: [],
+      errors: [{ code, message: String(message), objectIndex: null }],
+    };
+  }
+
+  // Non-XML error bodies (gateway pages, plain text)
+  static fromText(status, text) {
+    return {
+      overallStatus: 'Error',
+      requestId: null,
+      results: [],
+      errors: [{ code: `HTTP ${status}`, message: String(text ?? '').slice(0, 1000), objectIndex: null }],
+    };
+  }
+
+  static coerce(value, key = '') {
+    if (Array.isArray(value)) {
+      return value.map(item => SoapResponse.coerce(item, key));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([childKey, child]) => {
+        const coerced = SoapResponse.coerce(child, childKey);
+        return [childKey, ALWAYS_ARRAY.includes(childKey) ? [].concat(coerced ?? []) : coerced];
+      }));
+    }
+
+    if (typeof value !== 'string' || (KEEP_AS_STRING.test(key) && !FLAG.test(key))) {
+      return value;
+    }
+    if (value === 'true' || value === 'false') {
+      return value === 'true';
+    }
+    if (NUMBER.test(value) && Number.isSafeInteger(Math.trunc(Number(value)))) {
+      return Number(value);
+    }
+    if (SOAP_DATE.test(value)) {
+      return new Date(`${value}${SOAP_TIME_ZONE}`).toISOString();
+    }
+    return value;
+  }
+}
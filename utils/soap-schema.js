@@ -0,0 +1,170 @@
+// utils/soap-schema.js
+import { XmlSerializer } from './xml.js';
+
+const MAX_SUGGESTIONS = 3;
+
+// Property metadata for one SOAP object type, built from a DescribeRequest
+// ObjectDefinition or, for DataExtensionObject[Key], from its DataExtensionFields
+export class SoapSchema {
+  constructor(objectType, properties, flags = {}) {
+    this.objectType = objectType;
+    this.properties = properties;
+    this.flags = flags;
+    this.byName = new Map(properties.map(property => [property.name.toLowerCase(), property]));
+    this.caseSensitive = true;
+  }
+
+  // definition: a normalized ObjectDefinition result (see SoapResponse)
+  static fromObjectDefinition(objectType, definition) {
+    const properties = [].concat(definition.Properties ?? []).map(property => SoapSchema.compact({
+      name: String(property.Name),
+      dataType: property.DataType,
+      isRetrievable: property.IsRetrievable,
+      isUpdatable: property.IsUpdatable,
+      isCreatable: property.IsCreatable,
+      isRequired: property.IsRequired,
+      isNullable: property.IsNullable,
+      isViewable: property.IsViewable,
+    }));
+
+    return new SoapSchema(objectType, properties, SoapSchema.compact({
+      isCreatable: definition.IsCreatable,
+      isUpdatable: definition.IsUpdatable,
+      isRetrievable: definition.IsRetrievable,
+    }));
+  }
+
+  // fields: normalized DataExtensionField retrieve results
+  static fromDataExtensionFields(objectType, fields) {
+    const properties = [...fields]
+      .sort((a, b) => (a.Ordinal ?? 0) - (b.Ordinal ?? 0))
+      .map(field => SoapSchema.compact({
+        name: String(field.Name),
+        dataType: field.FieldType,
+        maxLength: field.MaxLength || undefined,
+        scale: field.Scale || undefined,
+        isPrimaryKey: field.IsPrimaryKey,
+        isRequired: field.IsRequired,
+        defaultValue: field.DefaultValue || undefined,
+        isRetrievable: true,
+        isUpdatable: true,
+      }));
+
+    // Data extension column names are not case sensitive
+    const schema = new SoapSchema(objectType, properties, { isCreatable: true, isUpdatable: true, isRetrievable: true });
+    schema.caseSensitive = false;
+    return schema;
+  }
+
+  static compact(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined && value !== ''));
+  }
+
+  get(name) {
+    return this.byName.get(String(name).toLowerCase());
+  }
+
+  toJSON() {
+    return { objectType: this.objectType, ...this.flags, properties: this.properties };
+  }
+
+  // Returns a list of problems; an empty list means the request looks valid
+  validate(args) {
+    const issues = [];
+
+    if (args.action === 'Retrieve') {
+      for (const name of args.properties || []) {
+        this.checkProperty(name, issues, 'isRetrievable', 'is not retrievable');
+      }
+      for (const name of SoapSchema.filterProperties(args.filter)) {
+        this.checkProperty(name, issues);
+      }
+      return issues;
+    }
+
+    const isRowType = /^DataExtensionObject\[.+\]$/.test(args.objectType || '');
+    const names = new Set();
+    for (const obj of args.objects || []) {
+      SoapSchema.objectFields(obj, isRowType).forEach(name => names.add(name));
+    }
+    for (const name of names) {
+      this.checkProperty(name, issues, args.action === 'Update' ? 'isUpdatable' : null, 'is not updatable');
+    }
+    return issues;
+  }
+
+  // Only the first segment of a path like Client.ID is checked
+  checkProperty(name, issues, flag = null, flagMessage = '') {
+    const root = String(name).split('.')[0];
+    const property = this.get(root);
+
+    if (!property) {
+      const suggestions = this.suggest(root);
+      issues.push(`Unknown property "${root}" on ${this.objectType}` +
+        (suggestions.length > 0 ? ` (did you mean ${suggestions.map(s => `"${s}"`).join(', ')}?)` : ''));
+      return;
+    }
+    if (this.caseSensitive && property.name !== root) {
+      issues.push(`Property "${root}" on ${this.objectType} should be spelled "${property.name}"`);
+      return;
+    }
+    if (flag && property[flag] === false) {
+      issues.push(`Property "${root}" on ${this.objectType} ${flagMessage}`);
+    }
+  }
+
+  // Closest names by edit distance, ignoring case
+  suggest(name, limit = MAX_SUGGESTIONS) {
+    const needle = String(name).toLowerCase();
+    const maxDistance = Math.max(2, Math.floor(needle.length / 3));
+
+    return this.properties
+      .map(property => ({ name: property.name, distance: SoapSchema.distance(needle, property.name.toLowerCase()) }))
+      .filter(candidate => candidate.distance <= maxDistance ||
+        candidate.name.toLowerCase().includes(needle) || needle.includes(candidate.name.toLowerCase()))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit)
+      .map(candidate => candidate.name);
+  }
+
+  static distance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  static filterProperties(filter) {
+    if (!filter || typeof filter !== 'object') return [];
+    const operands = filter.and || filter.or || filter.AND || filter.OR;
+    if (Array.isArray(operands)) {
+      return operands.flatMap(operand => SoapSchema.filterProperties(operand));
+    }
+    return filter.property ? [filter.property] : [];
+  }
+
+  // Field names as they will be sent: element names for regular objects,
+  // column names for data extension rows
+  static objectFields(obj, isRowType) {
+    if (!obj || typeof obj !== 'object') return [];
+
+    if (isRowType) {
+      const columns = obj.Properties || obj.Keys;
+      if (!columns) return Object.keys(obj);
+      return [].concat(columns).map(column => column.Name ?? column.name).filter(Boolean);
+    }
+
+    return Object.keys(obj)
+      .filter(key => !key.startsWith('@') && key !== '#text')
+      .map(key => XmlSerializer.elementName(key));
+  }
+}
@@ -0,0 +1,125 @@
+// utils/sql-lint.js
+import { SoapSchema } from './soap-schema.js';
+
+// System data views available to Query Activities (ENT. prefix for the parent BU)
+export const DATA_VIEWS = [
+  '_Sent', '_Open', '_Click', '_Bounce', '_Unsubscribe', '_Complaint', '_FTAF', '_Job',
+  '_Subscribers', '_ListSubscribers', '_BusinessUnitUnsubscribes', '_EnterpriseAttribute',
+  '_Journey', '_JourneyActivity', '_SurveyResponse', '_Coupon',
+  '_SMSMessageTracking', '_SMSSubscriptionLog', '_UndeliverableSms', '_MobileAddress', '_MobileSubscription',
+  '_PushAddress', '_PushTag', '_SocialNetworkImpressions', '_SocialNetworkTracking',
+  '_MobileLineAddressContactSubscriptionView', '_MobileLineOrphanContactView',
+];
+
+const WRITE_STATEMENTS = /\b(INSERT|UPDATE|DELETE|MERGE|TRUNCATE|DROP|CREATE|ALTER|EXEC|EXECUTE)\b/i;
+const CONTROL_FLOW = /\b(WHILE|BEGIN\s+TRY|BEGIN\s+TRAN(SACTION)?|CURSOR|GOTO|RAISERROR|THROW)\b/i;
+
+// Static checks for the Marketing Cloud SQL dialect: a single SELECT whose
+// result is written to the target data extension. Returns
+// [{ severity: 'error' | 'warning', line, message }]; errors fail at run time.
+export class SqlLinter {
+  static lint(sql) {
+    const issues = [];
+    const text = String(sql || '');
+    if (!text.trim()) {
+      return [{ severity: 'error', line: 1, message: 'The query is empty' }];
+    }
+
+    // Keyword checks run without identifiers, so a column named [Update] is not
+    // an UPDATE; the data view check needs the names and uses named instead
+    const named = SqlLinter.stripLiterals(text);
+    const code = SqlLinter.stripIdentifiers(named);
+    const add = (severity, index, message) => issues.push({ severity, line: SqlLinter.lineOf(code, index), message });
+    const first = (pattern) => code.search(pattern);
+
+    const statements = code.split(';').filter(statement => statement.trim());
+    if (statements.length > 1) {
+      add('error', code.indexOf(';'), 'Only one statement is allowed per query');
+    }
+    if (!/^\s*(SELECT|WITH)\b/i.test(code)) {
+      add('error', code.search(/\S/), 'The query must be a SELECT; the target data extension and update type control how rows are written');
+    }
+
+    const write = WRITE_STATEMENTS.exec(code);
+    if (write) {
+      add('error', write.index, `${write[1].toUpperCase()} is not supported; use a SELECT with the Overwrite, Update or Append update type`);
+    }
+    if (/\bDECLARE\b|\bSET\s+@/i.test(code) || /(^|[^@\w])@\w+/.test(code)) {
+      add('error', first(/\bDECLARE\b|\bSET\s+@|(^|[^@\w])@\w+/i), 'Variables are not supported');
+    }
+    if (/#\w+/.test(code)) {
+      add('error', first(/#\w+/), 'Temporary tables are not supported; stage rows in a data extension instead');
+    }
+    const into = /\bSELECT\b[^;]*?\bINTO\b/i.exec(code);
+    if (into) {
+      add('error', code.search(/\bINTO\b/i), 'SELECT INTO is not supported; the target data extension is set on the query activity');
+    }
+    const control = CONTROL_FLOW.exec(code);
+    if (control) {
+      add('error', control.index, `${control[0].toUpperCase()} is not supported`);
+    }
+    if (/^\s*GO\s*$/im.test(code)) {
+      add('error', first(/^\s*GO\s*$/im), 'GO batch separators are not supported');
+    }
+
+    // ORDER BY is only valid together with TOP (or OFFSET/FETCH); window
+    // functions such as ROW_NUMBER() OVER (ORDER BY ...) are fine without
+    const orderBy = /\bORDER\s+BY\b/i.exec(SqlLinter.stripWindows(code));
+    if (orderBy && !/\bTOP\b/i.test(code) && !/\bOFFSET\b/i.test(code)) {
+      add('error', orderBy.index, 'ORDER BY requires TOP; rows in a data extension have no order');
+    }
+
+    if (/\bSELECT\s+(DISTINCT\s+)?(TOP\s+\(?\d+\)?\s+(PERCENT\s+)?)?\*/i.test(code)) {
+      add('warning', first(/\bSELECT\b/i), 'SELECT * breaks when the source columns change; list the target columns explicitly');
+    }
+
+    for (const match of named.matchAll(/\b(FROM|JOIN)\s+(\[?(ENT\]?\.\[?)?)?\[?(_\w+)\]?/gi)) {
+      const view = match[4];
+      const known = DATA_VIEWS.find(name => name.toLowerCase() === view.toLowerCase());
+      if (!known) {
+        const suggestion = DATA_VIEWS
+          .map(name => ({ name, distance: SoapSchema.distance(view.toLowerCase(), name.toLowerCase()) }))
+          .sort((a, b) => a.distance - b.distance)[0];
+        add('error', match.index, `Unknown data view ${view}` + (suggestion.distance <= 3 ? ` (did you mean ${suggestion.name}?)` : ''));
+      }
+    }
+
+    return issues.sort((a, b) => a.line - b.line);
+  }
+
+  // Blanks out comments and string literals (keeping line breaks) so the
+  // checks do not match their contents
+  static stripLiterals(sql) {
+    return sql
+      .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+      .replace(/--[^\n]*/g, match => ' '.repeat(match.length))
+      .replace(/'(?:[^']|'')*'/g, match => `'${match.slice(1, -1).replace(/[^\n]/g, ' ')}'`);
+  }
+
+  // Blanks out bracketed and double-quoted identifiers, keeping the delimiters
+  static stripIdentifiers(sql) {
+    return sql.replace(/\[[^\]\n]*\]|"[^"\n]*"/g, match => `${match[0]}${' '.repeat(match.length - 2)}${match[match.length - 1]}`);
+  }
+
+  // Blanks out the parentheses of OVER (...) and WITHIN GROUP (...) clauses
+  static stripWindows(sql) {
+    let result = sql;
+    for (const match of sql.matchAll(/\b(OVER|WITHIN\s+GROUP)\s*\(/gi)) {
+      const start = match.index + match[0].length;
+      let depth = 1;
+      let end = start;
+      while (end < sql.length && depth > 0) {
+        if (sql[end] === '(') depth++;
+        if (sql[end] === ')') depth--;
+        end++;
+      }
+      result = result.slice(0, start) + sql.slice(start, end - 1).replace(/[^\n]/g, ' ') + result.slice(end - 1);
+    }
+    return result;
+  }
+
+  static lineOf(text, index) {
+    if (index < 0) return 1;
+    return text.slice(0, index).split('\n').length;
+  }
+}
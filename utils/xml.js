@@ -0,0 +1,94 @@
+// utils/xml.js
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+export function escapeXml(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+}
+
+// Partner API collections that wrap their items in a singular element,
+// e.g. Fields: [{...}] -> <Fields><Field>...</Field><Field>...</Field></Fields>
+const COLLECTION_ITEMS = {
+  Fields: 'Field',
+  Keys: 'Key',
+  Properties: 'Property',
+  SaveOptions: 'SaveOption',
+};
+
+const ELEMENT_NAME = /^[A-Za-z_][\w.-]*(:[A-Za-z_][\w.-]*)?$/;
+
+// Serializes plain JS values to partner API XML:
+//   - nested objects become child elements, arrays repeat the element
+//   - "@name" keys become attributes, e.g. { "@xsi:type": "ClientID", ID: 5 }
+//   - "#text" sets the text content next to attributes
+//   - camelCase keys are normalized to the API's PascalCase (parentFolder.id -> ParentFolder.ID)
+//   - undefined and null values are omitted, everything else is escaped
+export class XmlSerializer {
+  static element(name, value) {
+    const tag = XmlSerializer.elementName(name);
+
+    if (value === undefined || value === null) return '';
+
+    if (Array.isArray(value)) {
+      const itemTag = COLLECTION_ITEMS[tag];
+      if (itemTag && value.some(item => XmlSerializer.isObject(item))) {
+        return `<${tag}>${value.map(item => XmlSerializer.element(itemTag, item)).join('')}</${tag}>`;
+      }
+      return value.map(item => XmlSerializer.element(tag, item)).join('');
+    }
+
+    if (XmlSerializer.isObject(value)) {
+      const attributes = Object.entries(value)
+        .filter(([key, attr]) => key.startsWith('@') && attr !== undefined && attr !== null)
+        .map(([key, attr]) => ` ${XmlSerializer.attributeName(key.slice(1))}="${escapeXml(XmlSerializer.scalar(attr))}"`)
+        .join('');
+      const text = value['#text'] !== undefined ? escapeXml(XmlSerializer.scalar(value['#text'])) : '';
+      return `<${tag}${attributes}>${text}${XmlSerializer.children(value)}</${tag}>`;
+    }
+
+    return `<${tag}>${escapeXml(XmlSerializer.scalar(value))}</${tag}>`;
+  }
+
+  // Child elements of an object, in key order
+  static children(obj) {
+    if (!obj) return '';
+    return Object.entries(obj)
+      .filter(([key]) => !key.startsWith('@') && key !== '#text')
+      .map(([key, value]) => XmlSerializer.element(key, value))
+      .join('');
+  }
+
+  static elementName(key) {
+    const name = String(key);
+    if (!ELEMENT_NAME.test(name)) {
+      throw new Error(`Invalid XML element name: "${name}"`);
+    }
+    if (name.includes(':')) return name;
+
+    const pascal = name.charAt(0).toUpperCase() + name.slice(1);
+    // The partner API spells identifiers ID (ObjectID, CategoryID, ParentFolder.ID)
+    return pascal.replace(/Id$/, 'ID');
+  }
+
+  static attributeName(key) {
+    if (!ELEMENT_NAME.test(key)) {
+      throw new Error(`Invalid XML attribute name: "${key}"`);
+    }
+    return key;
+  }
+
+  static scalar(value) {
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !(value instanceof Date);
+  }
+}